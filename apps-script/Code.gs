@@ -0,0 +1,512 @@
+/**
+ * Reference Google Apps Script for the fee sheet.
+ * Deploy it as a web app (Execute as: Me, Who has access: Anyone) and put the
+ * exec URL in SHEET_URL for server/proxy.js (or in VITE_SHEETURL to call it
+ * straight from the browser).
+ *
+ * Signed requests: once the script property SIGNING_SECRET is set, every POST
+ * must arrive wrapped by the proxy as
+ *   { payload: "<the JSON below, as a string>", ts, signature }
+ * where signature is the hex HMAC-SHA256 of ts + "." + payload. Unsigned
+ * POSTs, bad signatures and timestamps more than five minutes off are refused,
+ * so knowing the exec URL is no longer enough to write to the sheet.
+ *
+ * Sessions: login returns a session token, "<body>.<signature>", where body is
+ * the web-safe base64 of { id, name, role, exp } and signature the hex
+ * HMAC-SHA256 of "session." + body. It is signed with SIGNING_SECRET, so the
+ * proxy can check it too, or without one with a SESSION_SECRET property the
+ * script creates for itself. Every payment and payment lookup must carry a
+ * token that has not expired (SESSION_MAX_AGE_MS), and the cashier written to
+ * the row is the one in the token, whatever the request says.
+ *
+ * POST contract (body is JSON, sent as text/plain to avoid a CORS preflight):
+ *   { txnId, session, admissionNo, name, class, amount,
+ *     allocations: [{ head, label, amount }],
+ *     mode: "cash" | "upi" | "cheque" | "bank",
+ *     reference?,                        (upi, bank)
+ *     chequeNo?, bank?, chequeDate?,     (cheque)
+ *     kind?: "void" | "refund",          (compensating entries only, with
+ *     originalTxnId, originalReceiptNo, reason; amount is negative)
+ *     batchId?,                          (rows entered together from a list)
+ *     appliedRules?: [{ ruleId, type, label, detail, amount }],
+ *                                        (concessions and late fees behind the
+ *                                        student's dues at the time)
+ *     academicYear?, term?,              (e.g. "2026-27", "term1"; the year the
+ *                                        fee belongs to, set on the counter)
+ *     ... }
+ *
+ * A void or refund never touches the original row's amount: it is appended as
+ * its own row, and a void also writes its txnId into the original row's
+ * "Voided By" cell. Only a session with the admin role may send one, and its
+ * amount must be negative. Voiding twice, or refunding more than was paid, is
+ * refused with an error.
+ *
+ * Responses:
+ *   { status: "success", message, receiptNo }    row written
+ *   { status: "duplicate", message, receiptNo, amount }
+ *                                                a row with this txnId already
+ *                                                exists; the client treats
+ *                                                this as success, at the
+ *                                                amount that row holds
+ *   { status: "error", message }                 nothing written, the client
+ *                                                may retry
+ *
+ * receiptNo comes from a counter kept in the script properties, so receipt
+ * numbers are sequential across every counter laptop and never repeat.
+ *
+ * Login (POST with action "login"):
+ *   { action: "login", username, password }
+ *   { status: "success", user: { id, name, role }, token }   role is "cashier" or "admin"
+ *   { status: "error", message }
+ *   checked against the "Users" tab (headers User ID, Name, Role, Password Hash,
+ *   Active). Password Hash is "<salt>$<hex SHA-256 of salt + password>", a new
+ *   random salt for every user. To set a password, open the spreadsheet, run
+ *   makePasswordHash from the script editor and paste the value it shows into
+ *   the cell; hashes from before salts were used no longer sign in.
+ *
+ * GET contract:
+ *   ?action=roster&session=…
+ *                   { status: "success", version, students: [{ admissionNo, name, class, team, feeHeads,
+ *                   category, guardianName, guardianPhone, guardianEmail }] }
+ *                   for a signed-in session, or for the proxy signing "roster"
+ *                   with ts and signature like the payments lookup;
+ *                   read from the "Students" tab (headers Ad.No., Name, Class, and
+ *                   optionally Team; Fee Heads: the optional heads a student has
+ *                   opted into, as head ids from the fee structure, e.g. "bus"
+ *                   or "bus, hostel"; Category, matched by the concession rules,
+ *                   e.g. "sibling" or "staff-ward"; and Guardian Name, Guardian
+ *                   Phone and Guardian Email, where payment messages go and the
+ *                   only contacts the proxy will send them to); version changes
+ *                   whenever any of these does
+ *   ?action=payments&admissionNo=…&session=…
+ *                   { status: "success", payments: [...] } every row for that
+ *                   student, in the same shape the client queues them; with
+ *                   SIGNING_SECRET set it also needs ts and signature (over
+ *                   "payments:" + admissionNo), so only the proxy can read it
+ *   anything else   { status: "ok" }, used by the client as a connectivity probe
+ */
+
+var PAYMENTS_SHEET = 'Payments';
+var HEADERS = ['Timestamp', 'Transaction ID', 'Admission No', 'Name', 'Class', 'Amount', 'Receipt No', 'Cashier', 'Fee Heads',
+  'Mode', 'Reference', 'Cheque No', 'Bank', 'Cheque Date', 'Cashier ID', 'Entry Type', 'Original Txn ID', 'Reason',
+  'Voided By', 'Batch ID', 'Concessions & Fines', 'Academic Year', 'Term'];
+var SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+// Long enough for payments queued offline during a day to go out on the token
+// they were taken with
+var SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+var STUDENTS_SHEET = 'Students';
+// Optional text columns of the Students tab: header → roster field
+var STUDENT_TEXT_COLUMNS = {
+  'Team': 'team',
+  'Category': 'category',
+  'Guardian Name': 'guardianName',
+  'Guardian Phone': 'guardianPhone',
+  'Guardian Email': 'guardianEmail'
+};
+var USERS_SHEET = 'Users';
+var TXN_ID_COLUMN = 2;
+var AMOUNT_COLUMN = 6;
+var RECEIPT_NO_COLUMN = 7;
+var ORIGINAL_TXN_COLUMN = 17;
+var VOIDED_BY_COLUMN = 19;
+
+function doGet(e) {
+  var action = e && e.parameter ? e.parameter.action : '';
+  if (action === 'roster') {
+    try {
+      verifyRosterReader_(e.parameter);
+      return json_(getRoster_());
+    } catch (err) {
+      return json_({ status: 'error', message: String(err) });
+    }
+  }
+  if (action === 'payments') {
+    try {
+      var admissionNo = String(e.parameter.admissionNo || '').trim();
+      verifySignature_('payments:' + admissionNo, e.parameter.ts, e.parameter.signature);
+      verifySession_(e.parameter.session);
+      return json_({ status: 'success', payments: getPayments_(admissionNo) });
+    } catch (err) {
+      return json_({ status: 'error', message: String(err) });
+    }
+  }
+  return json_({ status: 'ok' });
+}
+
+function getRoster_() {
+  var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STUDENTS_SHEET);
+  if (!sheet) {
+    return { status: 'error', message: 'No "' + STUDENTS_SHEET + '" sheet found.' };
+  }
+
+  var rows = sheet.getDataRange().getValues();
+  var headers = rows.shift().map(function (h) { return String(h).trim(); });
+  var col = function (name) { return headers.indexOf(name); };
+  var adCol = col('Ad.No.');
+  var nameCol = col('Name');
+  var classCol = col('Class');
+  var feeHeadsCol = col('Fee Heads');
+  var textCols = Object.keys(STUDENT_TEXT_COLUMNS)
+    .map(function (header) { return { index: col(header), field: STUDENT_TEXT_COLUMNS[header] }; })
+    .filter(function (c) { return c.index >= 0; });
+
+  var students = rows
+    .filter(function (row) { return row[adCol] !== '' && row[adCol] != null; })
+    .map(function (row) {
+      var student = {
+        admissionNo: String(row[adCol]).trim(),
+        name: String(row[nameCol]).trim(),
+        'class': String(row[classCol]).trim()
+      };
+      textCols.forEach(function (c) {
+        var value = String(row[c.index] == null ? '' : row[c.index]).trim();
+        if (value) student[c.field] = value;
+      });
+      var feeHeads = feeHeadsCol >= 0 ? parseFeeHeads_(row[feeHeadsCol]) : [];
+      if (feeHeads.length > 0) student.feeHeads = feeHeads;
+      return student;
+    });
+
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(students));
+  var version = toHex_(digest);
+
+  return { status: 'success', version: version, students: students };
+}
+
+// "Bus, hostel" → ["bus", "hostel"]
+function parseFeeHeads_(text) {
+  return String(text || '')
+    .split(',')
+    .map(function (id) { return id.trim().toLowerCase(); })
+    .filter(Boolean);
+}
+
+function doPost(e) {
+  var lock = LockService.getScriptLock();
+  try {
+    var payload = readPayload_(JSON.parse(e.postData.contents));
+    if (payload.action === 'login') {
+      return json_(login_(payload.username, payload.password));
+    }
+    if (!payload.txnId) {
+      return json_({ status: 'error', message: 'Missing txnId.' });
+    }
+    // The row records who the token says took the payment
+    var user = verifySession_(payload.session);
+    payload.cashierId = user.id;
+    payload.cashier = user.name;
+
+    // Serialise writers so two resends of the same txnId cannot both append
+    lock.waitLock(20000);
+    var sheet = getPaymentsSheet_();
+
+    var existing = findTxn_(sheet, payload.txnId);
+    if (existing) {
+      var existingReceiptNo = sheet.getRange(existing.getRow(), RECEIPT_NO_COLUMN).getValue();
+      var existingAmount = sheet.getRange(existing.getRow(), AMOUNT_COLUMN).getValue();
+      return json_({
+        status: 'duplicate',
+        message: 'Payment already recorded.',
+        receiptNo: existingReceiptNo,
+        amount: existingAmount
+      });
+    }
+
+    var original = null;
+    if (payload.kind === 'void' || payload.kind === 'refund') {
+      original = findTxn_(sheet, payload.originalTxnId);
+      var problem = checkAdjustment_(sheet, original, payload, user);
+      if (problem) return json_({ status: 'error', message: problem });
+    } else if (payload.kind) {
+      return json_({ status: 'error', message: 'Unknown entry type "' + payload.kind + '".' });
+    } else if (!(Number(payload.amount) > 0)) {
+      // Money only goes back through a void or refund
+      return json_({ status: 'error', message: 'A payment must have a positive amount.' });
+    }
+
+    var receiptNo = nextReceiptNo_();
+    sheet.appendRow([
+      new Date(),
+      payload.txnId,
+      payload.admissionNo,
+      payload.name,
+      payload['class'],
+      Number(payload.amount),
+      receiptNo,
+      payload.cashier || '',
+      formatAllocations_(payload.allocations),
+      payload.mode || 'cash',
+      payload.reference || '',
+      payload.chequeNo || '',
+      payload.bank || '',
+      payload.chequeDate || '',
+      payload.cashierId || '',
+      payload.kind || 'payment',
+      payload.originalTxnId || '',
+      payload.reason || '',
+      '',
+      payload.batchId || '',
+      formatAppliedRules_(payload.appliedRules),
+      payload.academicYear || '',
+      payload.term || ''
+    ]);
+    if (payload.kind === 'void') {
+      sheet.getRange(original.getRow(), VOIDED_BY_COLUMN).setValue(payload.txnId);
+    }
+
+    return json_({ status: 'success', message: 'Payment recorded.', receiptNo: receiptNo });
+  } catch (err) {
+    return json_({ status: 'error', message: String(err) });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// The roster carries guardian contacts, so it goes only to a signed-in session
+// or, with SIGNING_SECRET set, to the proxy signing "roster" (it reads the
+// roster on its own to check where guardian messages go)
+function verifyRosterReader_(parameter) {
+  if (getSigningSecret_() && parameter.signature) {
+    verifySignature_('roster', parameter.ts, parameter.signature);
+    return;
+  }
+  verifySession_(parameter.session);
+}
+
+// Unwrap a signed request from the proxy; throws when SIGNING_SECRET is set and
+// the request is unsigned, tampered with or stale
+function readPayload_(body) {
+  if (!getSigningSecret_()) {
+    return body.signature ? JSON.parse(body.payload) : body;
+  }
+  verifySignature_(body.payload, body.ts, body.signature);
+  return JSON.parse(body.payload);
+}
+
+function getSigningSecret_() {
+  return PropertiesService.getScriptProperties().getProperty('SIGNING_SECRET');
+}
+
+// No-op until SIGNING_SECRET is set
+function verifySignature_(payload, ts, signature) {
+  var secret = getSigningSecret_();
+  if (!secret) return;
+  if (!signature || typeof payload !== 'string') {
+    throw new Error('Unsigned request.');
+  }
+  if (Math.abs(Date.now() - Number(ts)) > SIGNATURE_MAX_AGE_MS) {
+    throw new Error('Request signature has expired.');
+  }
+  var digest = Utilities.computeHmacSha256Signature(ts + '.' + payload, secret, Utilities.Charset.UTF_8);
+  if (toHex_(digest) !== String(signature).toLowerCase()) {
+    throw new Error('Bad request signature.');
+  }
+}
+
+function getSessionSecret_() {
+  var properties = PropertiesService.getScriptProperties();
+  var secret = properties.getProperty('SIGNING_SECRET') || properties.getProperty('SESSION_SECRET');
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty('SESSION_SECRET', secret);
+  }
+  return secret;
+}
+
+function signSession_(body) {
+  var digest = Utilities.computeHmacSha256Signature('session.' + body, getSessionSecret_(), Utilities.Charset.UTF_8);
+  return toHex_(digest);
+}
+
+function issueSession_(user) {
+  var claims = { id: user.id, name: user.name, role: user.role, exp: Date.now() + SESSION_MAX_AGE_MS };
+  var body = Utilities.base64EncodeWebSafe(JSON.stringify(claims), Utilities.Charset.UTF_8);
+  return body + '.' + signSession_(body);
+}
+
+// The { id, name, role } a session token was issued to; throws when it is
+// missing, tampered with or expired
+function verifySession_(token) {
+  var parts = String(token || '').split('.');
+  if (parts.length !== 2 || !parts[0]) throw new Error('Not signed in. Sign in again.');
+  if (signSession_(parts[0]) !== parts[1].toLowerCase()) throw new Error('Bad session. Sign in again.');
+  var claims = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString('UTF-8'));
+  if (!(Number(claims.exp) > Date.now())) throw new Error('The session has expired. Sign in again.');
+  return { id: String(claims.id), name: String(claims.name), role: String(claims.role) };
+}
+
+// Why a void/refund cannot be recorded, or null. Called with the script lock held.
+function checkAdjustment_(sheet, original, payload, user) {
+  if (user.role !== 'admin') return 'Only an admin can void or refund a payment.';
+  if (!(Number(payload.amount) < 0)) return 'A void or refund must have a negative amount.';
+  if (!original) return 'The original payment ' + payload.originalTxnId + ' is not in the sheet.';
+  if (!String(payload.reason || '').trim()) return 'A reason is required.';
+
+  var row = original.getRow();
+  if (sheet.getRange(row, VOIDED_BY_COLUMN).getValue()) return 'This payment has already been voided.';
+
+  var paid = Number(sheet.getRange(row, AMOUNT_COLUMN).getValue());
+  var lastRow = sheet.getLastRow();
+  var refunded = sheet
+    .getRange(2, ORIGINAL_TXN_COLUMN, lastRow - 1, 1)
+    .createTextFinder(String(payload.originalTxnId))
+    .matchEntireCell(true)
+    .findAll()
+    .reduce(function (sum, cell) { return sum - Number(sheet.getRange(cell.getRow(), AMOUNT_COLUMN).getValue()); }, 0);
+
+  if (-Number(payload.amount) > paid - refunded) {
+    return 'Only ' + (paid - refunded) + ' is left to give back on this payment.';
+  }
+  return null;
+}
+
+function login_(username, password) {
+  var failed = { status: 'error', message: 'Wrong user ID or password.' };
+  var sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(USERS_SHEET);
+  if (!sheet || !username || !password) return failed;
+
+  var rows = sheet.getDataRange().getValues();
+  var headers = rows.shift().map(function (h) { return String(h).trim(); });
+  var col = function (name) { return headers.indexOf(name); };
+  var id = String(username).trim().toLowerCase();
+
+  var row = rows.filter(function (r) { return String(r[col('User ID')]).trim().toLowerCase() === id; })[0];
+  if (!row || !checkPassword_(password, String(row[col('Password Hash')]).trim())) return failed;
+  if (col('Active') >= 0 && String(row[col('Active')]).toLowerCase() === 'no') {
+    return { status: 'error', message: 'This account has been disabled.' };
+  }
+
+  var user = {
+    id: String(row[col('User ID')]).trim(),
+    name: String(row[col('Name')]).trim(),
+    role: String(row[col('Role')]).trim().toLowerCase()
+  };
+  return { status: 'success', user: user, token: issueSession_(user) };
+}
+
+// "<salt>$<hash>" from the Users tab; anything without a salt is refused
+function checkPassword_(password, stored) {
+  var at = stored.indexOf('$');
+  if (at <= 0) return false;
+  return hashPassword_(stored.slice(0, at), password) === stored.slice(at + 1).toLowerCase();
+}
+
+function hashPassword_(salt, password) {
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, salt + String(password), Utilities.Charset.UTF_8);
+  return toHex_(digest);
+}
+
+// Fills in a Password Hash cell: open the spreadsheet, run this from the
+// editor, type the password into the prompt in the sheet and paste the value
+// it shows. Each run picks a new salt.
+function makePasswordHash() {
+  var ui = SpreadsheetApp.getUi();
+  var answer = ui.prompt('Password hash', 'Password for the user:', ui.ButtonSet.OK_CANCEL);
+  if (answer.getSelectedButton() !== ui.Button.OK || !answer.getResponseText()) return;
+  var salt = Utilities.getUuid().replace(/-/g, '');
+  ui.alert('Paste into the Password Hash cell', salt + '$' + hashPassword_(salt, answer.getResponseText()), ui.ButtonSet.OK);
+}
+
+// Apps Script digests are signed bytes
+function toHex_(bytes) {
+  return bytes.map(function (b) { return ('0' + ((b + 256) % 256).toString(16)).slice(-2); }).join('');
+}
+
+// Every row for one student, shaped like a client queue item
+function getPayments_(admissionNo) {
+  var sheet = getPaymentsSheet_();
+  var rows = sheet.getDataRange().getValues();
+  rows.shift();
+  var cell = function (row, name) {
+    var value = row[HEADERS.indexOf(name)];
+    return value === undefined || value === null ? '' : value;
+  };
+
+  return rows
+    .filter(function (row) { return String(cell(row, 'Admission No')).trim() === admissionNo; })
+    .map(function (row) {
+      var kind = cell(row, 'Entry Type');
+      return {
+        txnId: String(cell(row, 'Transaction ID')),
+        createdAt: new Date(cell(row, 'Timestamp')).getTime(),
+        admissionNo: admissionNo,
+        name: cell(row, 'Name'),
+        'class': String(cell(row, 'Class')),
+        amount: String(cell(row, 'Amount')),
+        receiptNo: cell(row, 'Receipt No'),
+        cashier: cell(row, 'Cashier'),
+        cashierId: cell(row, 'Cashier ID'),
+        allocations: parseAllocations_(cell(row, 'Fee Heads')),
+        mode: cell(row, 'Mode') || 'cash',
+        reference: cell(row, 'Reference'),
+        chequeNo: cell(row, 'Cheque No'),
+        bank: cell(row, 'Bank'),
+        chequeDate: cell(row, 'Cheque Date'),
+        kind: kind === 'void' || kind === 'refund' ? kind : undefined,
+        originalTxnId: cell(row, 'Original Txn ID'),
+        reason: cell(row, 'Reason'),
+        voidedBy: cell(row, 'Voided By'),
+        batchId: cell(row, 'Batch ID'),
+        academicYear: String(cell(row, 'Academic Year')) || undefined,
+        term: String(cell(row, 'Term')) || undefined,
+        status: 'success'
+      };
+    });
+}
+
+// Inverse of formatAllocations_; head ids are not stored, only labels
+function parseAllocations_(text) {
+  return String(text || '')
+    .split(', ')
+    .filter(Boolean)
+    .map(function (part) {
+      var at = part.lastIndexOf(': ');
+      return { head: null, label: part.slice(0, at), amount: part.slice(at + 2) };
+    });
+}
+
+function getPaymentsSheet_() {
+  var spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = spreadsheet.getSheetByName(PAYMENTS_SHEET);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(PAYMENTS_SHEET);
+    sheet.appendRow(HEADERS);
+  }
+  return sheet;
+}
+
+// "Tuition: 3000, Bus: 1000"
+function formatAllocations_(allocations) {
+  return (allocations || [])
+    .map(function (a) { return a.label + ': ' + a.amount; })
+    .join(', ');
+}
+
+// "Sibling discount: -1200; Late fee · Term 1: 100"
+function formatAppliedRules_(appliedRules) {
+  return (appliedRules || [])
+    .map(function (r) { return r.label + ': ' + r.amount; })
+    .join('; ');
+}
+
+// Called with the script lock held
+function nextReceiptNo_() {
+  var properties = PropertiesService.getScriptProperties();
+  var next = Number(properties.getProperty('lastReceiptNo') || 0) + 1;
+  properties.setProperty('lastReceiptNo', String(next));
+  return next;
+}
+
+function findTxn_(sheet, txnId) {
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return null;
+  return sheet
+    .getRange(2, TXN_ID_COLUMN, lastRow - 1, 1)
+    .createTextFinder(String(txnId))
+    .matchEntireCell(true)
+    .findNext();
+}
+
+function json_(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
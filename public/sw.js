@@ -0,0 +1,76 @@
+// Service worker: keeps the portal shell available without a network.
+// Page loads are network-first (so a new deploy is picked up as soon as we are
+// online) and fall back to the cached shell; hashed build assets are
+// cache-first. Requests to other origins, such as the Apps Script, are never
+// touched, so payments always go to the network.
+
+const CACHE_NAME = "hisan-store-shell-v1";
+const SHELL = ["/", "/index.html", "/vite.svg"];
+
+// The build's hashed bundles are only known from the built index.html
+const cacheBuildAssets = async (cache) => {
+  const html = await (await cache.match("/index.html")).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+  await cache.addAll(assets);
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then(async (cache) => {
+        await cache.addAll(SHELL);
+        await cacheBuildAssets(cache);
+      })
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = (await cache.match(request)) || (await cache.match("/index.html"));
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  // Connectivity probes must really hit the network
+  if (url.searchParams.has("probe")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
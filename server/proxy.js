@@ -0,0 +1,372 @@
+// Payment proxy: the browser posts here and the proxy forwards to the Apps
+// Script, so the exec URL never ships in the client bundle. Every forwarded
+// POST is signed with SIGNING_SECRET, and the Apps Script refuses unsigned
+// writes once that secret is set in its script properties.
+//
+// Everything but health and login needs the session token login
+// returned, as "Authorization: Bearer <token>". The cashier recorded on a
+// payment is the one the token names, and only an admin's token may send a
+// void or refund.
+//
+//   GET  /api/health     connectivity probe
+//   GET  /api/roster     → Apps Script ?action=roster (signed)
+//   POST /api/payments   → Apps Script doPost (payment, void or refund)
+//   GET  /api/payments?admissionNo=…  → Apps Script ?action=payments (signed)
+//   POST /api/login      → Apps Script doPost with action "login"
+//   POST /api/notify     guardian message → SMS / WhatsApp / email gateway, only
+//                        to the guardian contact the roster has for admissionNo
+//
+// With MOCK_FILE set, payments are appended to that file as JSON lines instead
+// (receipt numbers and duplicate detection included), for development without
+// a sheet. NOTIFY_FILE does the same for guardian messages. Run with `npm run proxy`; settings are read from .env.local / .env.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import dotenv from 'dotenv';
+
+dotenv.config({ path: ['.env.local', '.env'], quiet: true });
+
+const PORT = Number(process.env.PROXY_PORT) || 8787;
+const SHEET_URL = process.env.SHEET_URL;
+const SIGNING_SECRET = process.env.SIGNING_SECRET;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || 'http://localhost:5173';
+const MOCK_FILE = process.env.MOCK_FILE;
+const NOTIFY_FILE = process.env.NOTIFY_FILE;
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Demo logins for MOCK_FILE mode, matching the client's mock auth backend
+const MOCK_USERS = [
+  { id: 'cashier', name: 'Demo Cashier', role: 'cashier', password: 'cashier' },
+  { id: 'admin', name: 'Demo Admin', role: 'admin', password: 'admin' },
+];
+
+// HMAC over "<timestamp>.<payload>"; the Apps Script recomputes it in verifySignature_
+const sign = (payload, secret, ts = Date.now()) => ({
+  payload,
+  ts,
+  signature: crypto.createHmac('sha256', secret).update(`${ts}.${payload}`).digest('hex'),
+});
+
+// 🎫 Session tokens, in the Apps Script's format (see issueSession_ in Code.gs):
+// "<base64url { id, name, role, exp }>.<hex HMAC of "session." + body>". The
+// Apps Script signs them with SIGNING_SECRET; in MOCK_FILE mode without one
+// the proxy signs its own with a key that lasts until it restarts.
+const SESSION_SECRET = SIGNING_SECRET || (MOCK_FILE ? crypto.randomBytes(32).toString('hex') : null);
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const signSession = (body) => crypto.createHmac('sha256', SESSION_SECRET).update(`session.${body}`).digest('hex');
+
+const issueSession = (user) => {
+  const body = Buffer.from(JSON.stringify({ ...user, exp: Date.now() + SESSION_MAX_AGE_MS })).toString('base64url');
+  return `${body}.${signSession(body)}`;
+};
+
+// { id, name, role } for a valid, unexpired token; null otherwise
+const verifySession = (token) => {
+  const [body, signature, extra] = String(token).split('.');
+  if (!body || !signature || extra !== undefined) return null;
+  const expected = Buffer.from(signSession(body));
+  const given = Buffer.from(signature.toLowerCase());
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!(Number(claims.exp) > Date.now())) return null;
+    return { id: String(claims.id), name: String(claims.name), role: String(claims.role) };
+  } catch {
+    return null;
+  }
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    Vary: 'Origin',
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+// The session token the portal sends as "Authorization: Bearer <token>"
+const bearerToken = (req) => /^Bearer (\S+)$/.exec(req.headers.authorization ?? '')?.[1] ?? '';
+
+// The signed-in user behind a request, or null once a 401 has been sent
+const requireSession = (req, res) => {
+  const user = verifySession(bearerToken(req));
+  if (!user) send(res, 401, { status: 'error', message: 'Not signed in, or the session has expired. Sign in again.' });
+  return user;
+};
+
+// Why the proxy will not pass a payment on, or null
+const checkPayment = (payload, user) => {
+  if (!payload || typeof payload.txnId !== 'string' || !payload.txnId) return 'Missing txnId.';
+  if (payload.action) return 'Unexpected action on a payment.';
+  const amount = Number(payload.amount);
+  if (payload.kind === 'void' || payload.kind === 'refund') {
+    if (user.role !== 'admin') return 'Only an admin can void or refund a payment.';
+    if (!(amount < 0)) return 'A void or refund must have a negative amount.';
+    return null;
+  }
+  if (payload.kind) return `Unknown entry type "${payload.kind}".`;
+  return amount > 0 ? null : 'A payment must have a positive amount.';
+};
+
+const forwardPost = async (payload) => {
+  const body = JSON.stringify(SIGNING_SECRET ? sign(JSON.stringify(payload), SIGNING_SECRET) : payload);
+  const res = await fetch(SHEET_URL, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body });
+  return res.json();
+};
+
+// 🗃️ MOCK_FILE mode: one JSON line per recorded payment
+const readMockPayments = async () => {
+  try {
+    const text = await fs.readFile(MOCK_FILE, 'utf8');
+    return text.split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+// Node runs one handler at a time per tick, but the file write is async, so
+// writes are chained to keep receipt numbers unique
+let mockWrite = Promise.resolve();
+
+const recordMockPayment = (payload) => {
+  const result = mockWrite.then(async () => {
+    const payments = await readMockPayments();
+    const existing = payments.find((p) => p.txnId === payload.txnId);
+    if (existing) {
+      return {
+        status: 'duplicate',
+        message: 'Payment already recorded (mock file).',
+        receiptNo: existing.receiptNo,
+        amount: existing.amount,
+      };
+    }
+    const receiptNo = payments.reduce((max, p) => Math.max(max, p.receiptNo ?? 0), 0) + 1;
+    await fs.appendFile(MOCK_FILE, `${JSON.stringify({ ...payload, receiptNo, recordedAt: new Date().toISOString() })}\n`);
+    return { status: 'success', message: 'Payment recorded (mock file).', receiptNo };
+  });
+  mockWrite = result.catch(() => {});
+  return result;
+};
+
+const listMockPayments = async (admissionNo) => ({
+  status: 'success',
+  payments: (await readMockPayments())
+    .filter((p) => String(p.admissionNo) === admissionNo)
+    .map((p) => ({ ...p, status: 'success' })),
+});
+
+const mockLogin = ({ username, password }) => {
+  const found = MOCK_USERS.find((u) => u.id === String(username).trim().toLowerCase() && u.password === password);
+  if (!found) return { status: 'error', message: 'Wrong user ID or password.' };
+  const { password: _password, ...user } = found;
+  return { status: 'success', user, token: issueSession(user) };
+};
+
+const mockRoster = async () => {
+  const students = JSON.parse(await fs.readFile(new URL('../public/students.json', import.meta.url), 'utf8'));
+  return { status: 'success', students };
+};
+
+// The Apps Script only hands the roster (guardian contacts included) to a
+// session or to a request signed like this one
+const fetchSheetRoster = async () => {
+  const { ts, signature } = sign('roster', SIGNING_SECRET);
+  const query = new URLSearchParams({ action: 'roster', ts: String(ts), signature });
+  const upstream = await fetch(`${SHEET_URL}?${query}`);
+  return upstream.json();
+};
+
+// The roster guardian messages are checked against, read again at most once
+// every ROSTER_CACHE_MS so a busy counter does not fetch it per message
+const ROSTER_CACHE_MS = 5 * 60 * 1000;
+let rosterCache = null;
+
+const loadRoster = async () => {
+  if (rosterCache && Date.now() - rosterCache.at < ROSTER_CACHE_MS) return rosterCache.students;
+  const roster = MOCK_FILE ? await mockRoster() : await fetchSheetRoster();
+  if (roster.status !== 'success') throw new Error(roster.message || 'The sheet did not return the roster.');
+  rosterCache = { at: Date.now(), students: roster.students };
+  return roster.students;
+};
+
+// 📣 Guardian messages. Each channel posts to a gateway of the school's choice
+// (any SMS, WhatsApp Business or mail service with an HTTP endpoint, or a
+// small relay in front of one); NOTIFY_FILE replaces them all with a file.
+const NOTIFY_GATEWAYS = {
+  sms: process.env.SMS_GATEWAY_URL,
+  whatsapp: process.env.WHATSAPP_GATEWAY_URL,
+  email: process.env.EMAIL_GATEWAY_URL,
+};
+
+const NOTIFY_PROVIDERS = {
+  file: async (notice) => {
+    await fs.appendFile(NOTIFY_FILE, `${JSON.stringify({ ...notice, sentAt: new Date().toISOString() })}\n`);
+    return { status: 'success', message: `Written to ${NOTIFY_FILE} (mock).` };
+  },
+  gateway: async ({ channel, to, subject, message, id }) => {
+    const url = NOTIFY_GATEWAYS[channel];
+    if (!url) return { status: 'error', message: `No ${channel} gateway is set up on the proxy.` };
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.NOTIFY_API_KEY) headers.Authorization = `Bearer ${process.env.NOTIFY_API_KEY}`;
+    const upstream = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ to, subject, message, reference: id }),
+    });
+    return upstream.ok
+      ? { status: 'success', message: `Sent by ${channel}.` }
+      : { status: 'error', message: `The ${channel} gateway refused the message (${upstream.status}).` };
+  },
+};
+
+// Phone numbers match on their last ten digits, whatever the spacing or country code
+const samePhone = (a, b) => {
+  const digits = (phone) => String(phone ?? '').replace(/\D/g, '').slice(-10);
+  return digits(a).length === 10 && digits(a) === digits(b);
+};
+
+const sameEmail = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+// Whether `to` is the guardian contact the roster has for the student, so the
+// proxy cannot be used to message anyone else
+const isGuardianContact = async (admissionNo, channel, to) => {
+  const student = (await loadRoster()).find((s) => String(s.admissionNo) === String(admissionNo));
+  if (!student) return false;
+  return channel === 'email' ? sameEmail(student.guardianEmail, to) : samePhone(student.guardianPhone, to);
+};
+
+const sendNotice = async (payload) => {
+  const { id, admissionNo, channel, to, subject, message } = payload ?? {};
+  if (typeof id !== 'string' || !id || !admissionNo || !to || !message) {
+    return { status: 'error', message: 'Missing id, admission number, recipient or message.' };
+  }
+  if (!(channel in NOTIFY_GATEWAYS)) return { status: 'error', message: `Unknown channel "${channel}".` };
+  if (!(await isGuardianContact(admissionNo, channel, to))) {
+    return {
+      status: 'error',
+      message: `${to} is not the guardian contact for ${admissionNo} on the roster. Update the Students sheet, then retry.`,
+    };
+  }
+  const notice = { id, admissionNo: String(admissionNo), channel, to: String(to), subject: subject ? String(subject) : '', message: String(message) };
+  return NOTIFY_PROVIDERS[NOTIFY_FILE ? 'file' : 'gateway'](notice);
+};
+
+const handle = async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host}`);
+
+  if (req.method === 'OPTIONS') return send(res, 204, {});
+  if (req.method === 'GET' && pathname === '/api/health') return send(res, 200, { status: 'ok' });
+
+  if (req.method === 'GET' && pathname === '/api/roster') {
+    if (!requireSession(req, res)) return;
+    return send(res, 200, MOCK_FILE ? await mockRoster() : await fetchSheetRoster());
+  }
+
+  if (req.method === 'GET' && pathname === '/api/payments') {
+    if (!requireSession(req, res)) return;
+    const admissionNo = (searchParams.get('admissionNo') ?? '').trim();
+    if (MOCK_FILE) return send(res, 200, await listMockPayments(admissionNo));
+    const query = new URLSearchParams({ action: 'payments', admissionNo, session: bearerToken(req) });
+    if (SIGNING_SECRET) {
+      const { ts, signature } = sign(`payments:${admissionNo}`, SIGNING_SECRET);
+      query.set('ts', String(ts));
+      query.set('signature', signature);
+    }
+    const upstream = await fetch(`${SHEET_URL}?${query}`);
+    return send(res, 200, await upstream.json());
+  }
+
+  if (req.method === 'POST' && pathname === '/api/notify') {
+    if (!requireSession(req, res)) return;
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (err) {
+      return send(res, 400, { status: 'error', message: err.message || 'Body must be JSON.' });
+    }
+    try {
+      return send(res, 200, await sendNotice(payload));
+    } catch (err) {
+      console.error(err);
+      // The gateway or the sheet is down, not the proxy: say so, so the message is retried later
+      return send(res, 200, { status: 'error', message: 'Could not reach the message gateway or the roster.' });
+    }
+  }
+
+  if (req.method === 'POST' && (pathname === '/api/payments' || pathname === '/api/login')) {
+    const user = pathname === '/api/payments' ? requireSession(req, res) : null;
+    if (pathname === '/api/payments' && !user) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (err) {
+      return send(res, 400, { status: 'error', message: err.message || 'Body must be JSON.' });
+    }
+
+    if (pathname === '/api/login') {
+      const login = { action: 'login', username: payload.username, password: payload.password };
+      return send(res, 200, MOCK_FILE ? mockLogin(login) : await forwardPost(login));
+    }
+
+    const problem = checkPayment(payload, user);
+    if (problem) return send(res, 400, { status: 'error', message: problem });
+    // Whatever the body says, the payment was taken by the token's holder
+    const payment = { ...payload, cashierId: user.id, cashier: user.name };
+    return send(
+      res,
+      200,
+      MOCK_FILE ? await recordMockPayment(payment) : await forwardPost({ ...payment, session: bearerToken(req) })
+    );
+  }
+
+  return send(res, 404, { status: 'error', message: 'Not found.' });
+};
+
+const start = () => {
+  if (!MOCK_FILE && !SHEET_URL) {
+    console.error('Set SHEET_URL (or MOCK_FILE for local development) before starting the proxy.');
+    process.exit(1);
+  }
+  if (!SESSION_SECRET) {
+    console.error('Set SIGNING_SECRET (the same value as in the Apps Script) to sign requests and check sessions.');
+    process.exit(1);
+  }
+
+  http
+    .createServer((req, res) => {
+      handle(req, res).catch((err) => {
+        console.error(err);
+        // Upstream unreachable or garbled: an error reply lets the client retry later
+        send(res, 502, { status: 'error', message: 'Could not reach the sheet.' });
+      });
+    })
+    .listen(PORT, () => {
+      console.log(`Payment proxy on http://localhost:${PORT} → ${MOCK_FILE ? `mock file ${MOCK_FILE}` : 'Apps Script'}`);
+    });
+};
+
+start();
@@ -1,316 +1,419 @@
-import React, { useState, useEffect, useRef } from "react";
-import students from "../public/students.json";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { Routes, Route, Navigate } from "react-router-dom";
+import usePersistentQueue from "./hooks/usePersistentQueue";
+import useOnlineStatus from "./hooks/useOnlineStatus";
+import useRoster from "./hooks/useRoster";
+import useFeeStructure from "./hooks/useFeeStructure";
+import useFeeRules from "./hooks/useFeeRules";
+import useAuth from "./hooks/useAuth";
+import useQueueEngine from "./hooks/useQueueEngine";
+import useNotifications from "./hooks/useNotifications";
+import useAcademicYear from "./hooks/useAcademicYear";
+import NavBar from "./components/NavBar";
+import RequirePermission from "./components/RequirePermission";
+import Receipt from "./components/Receipt";
+import { resetForRetry } from "./utils/retry";
+import { createTxnId, createBatchId } from "./utils/ids";
+import { getPaymentSink } from "./utils/paymentSinks";
+import { can, isTokenExpired } from "./utils/auth";
+import { logAudit } from "./utils/audit";
+import { ADJUSTMENT_KINDS, buildCompensatingEntry, getAdjustments } from "./utils/adjustments";
+import { inYear, yearOf } from "./utils/academicYears";
+import { canChangeAmount, getCurrentTerm, withAmount } from "./utils/fees";
+import Billing from "./pages/billing";
+import History from "./pages/history";
+import Reports from "./pages/reports";
+import DayClose from "./pages/dayClose";
+import Exports from "./pages/exports";
+import Analytics from "./pages/analytics";
 import Convert from "./pages/convert";
+import Settings from "./pages/settings";
+import NotFound from "./pages/notFound";
+import Login from "./pages/login";
+import AuditLog from "./pages/audit";
+import Statement from "./pages/statement";
+import BulkEntry from "./pages/bulkEntry";
+import Students from "./pages/students";
+import FeeRules from "./pages/feeRules";
+import Notifications from "./pages/notifications";
+import Promotion from "./pages/promotion";
 
 const App = () => {
-  const [admissionNo, setAdmissionNo] = useState("");
-  const [student, setStudent] = useState(null);
-  const [amount, setAmount] = useState("");
-  const [requestQueue, setRequestQueue] = useState([]);
-  const [isProcessing, setIsProcessing] = useState(false);
+  const [requestQueue, setRequestQueue, isQueueHydrated] = usePersistentQueue();
+  const { isOnline, checkConnection } = useOnlineStatus();
+  const auth = useAuth();
+  const { user } = auth;
+  const roster = useRoster({ session: auth.token });
+  const feeStructure = useFeeStructure();
+  const feeRules = useFeeRules();
+  const academicYear = useAcademicYear({ sharedYear: feeStructure.academicYear });
+  const { activeYear } = academicYear;
+  const [receiptPaper, setReceiptPaper] = useState(() => localStorage.getItem("receiptPaper") || "a5");
+  const [receiptRequest, setReceiptRequest] = useState(null);
 
-  // Refs for the input fields
-  const admissionNoInputRef = useRef(null);
-  const amountInputRef = useRef(null);
+  // 📮 Where payments are recorded, chosen by VITE_PAYMENT_SINK; created once so
+  // the mock keeps its receipt counter for the whole session
+  const [paymentSink] = useState(getPaymentSink);
+
+  // 🔄 Sends the queue in the background while any page is open
+  const queueEngine = useQueueEngine({
+    requestQueue,
+    setRequestQueue,
+    isReady: isQueueHydrated,
+    isOnline,
+    checkConnection,
+    submit: paymentSink.submit,
+  });
+
+  // 📣 Guardian messages for recorded payments, from a queue of their own
+  const notifications = useNotifications({
+    requestQueue,
+    isRequestQueueReady: isQueueHydrated,
+    students: roster.students,
+    isRosterLoaded: roster.isLoaded,
+    isOnline,
+    isSignedIn: Boolean(user),
+    session: auth.token,
+  });
 
   useEffect(() => {
-    // Initialize sheet URL from environment
-    const sheetUrl = import.meta.env.VITE_SHEETURL;
-    if (!sheetUrl) {
-      console.error("VITE_SHEETURL environment variable is not set");
+    if (paymentSink.name === "mock") {
+      console.warn("Payments go to the in-memory mock sink; set VITE_PROXY_URL or VITE_SHEETURL to record them.");
     }
+  }, [paymentSink]);
 
-    // Focus the admission number input when the component mounts (page loads)
-    if (admissionNoInputRef.current) {
-      admissionNoInputRef.current.focus();
-    }
-  }, []); // Empty dependency array means this runs only once on mount
+  // Remember the receipt paper on this counter between sessions
+  useEffect(() => {
+    localStorage.setItem("receiptPaper", receiptPaper);
+  }, [receiptPaper]);
 
   // 🔵 Add request to queue
   const addToQueue = (payload) => {
+    const txnId = createTxnId();
+    const currentTerm = getCurrentTerm(feeStructure);
     const newRequest = {
-      id: Date.now(),
+      id: txnId,
+      txnId,
+      // The year the fee is for; the term only while taking the current year's fees
+      academicYear: activeYear,
+      ...(activeYear === yearOf(Date.now()) && currentTerm && { term: currentTerm.id }),
       ...payload,
-      status: "pending", // pending, loading, success, error
+      // Sent with the payment; the sheet records the cashier it was issued to
+      session: auth.token,
+      status: "pending", // pending, loading, success, error, cancelled
+      attempts: 0,
+      createdAt: Date.now(),
       timestamp: new Date().toLocaleTimeString()
     };
     setRequestQueue(prev => [...prev, newRequest]);
+    return newRequest;
   };
 
-  // 🔍 Handle Search by Admission Number
-  const handleSearch = () => {
-    const found = students.find((s) => String(s.admissionNo) === admissionNo.trim());
-    if (found) {
-      setStudent(found);
-      // Focus the amount input field when a student is found
-      if (amountInputRef.current) {
-        amountInputRef.current.focus();
-      }
-    } else {
-      setStudent(null);
-      alert("Student not found!");
-      // Optionally clear focus from amount field if student not found
-      if (amountInputRef.current) {
-        amountInputRef.current.blur();
-      }
-    }
+  // 🟢 Payment taken at the billing counter
+  const handleCollect = (payload) => {
+    const request = addToQueue(payload);
+    logAudit("create", user, {
+      summary: `₹${request.amount} from ${request.name} (${request.admissionNo})`,
+      txnId: request.txnId,
+    });
   };
 
-  // Handle Enter key press in admission number input
-  const handleAdmissionNoKeyDown = (e) => {
-    if (e.key === 'Enter') {
-      e.preventDefault(); // Prevent form submission if inside a form
-      handleSearch();
-    }
+  // 📋 A teacher's list queued in one go; returns the batch ID shared by its payments
+  const handleCollectBatch = (payloads) => {
+    const batchId = createBatchId();
+    const requests = payloads.map(payload => addToQueue({ ...payload, batchId }));
+    const total = requests.reduce((sum, req) => sum + Number(req.amount), 0);
+    logAudit("create", user, {
+      summary: `Batch ${batchId}: ${requests.length} payments, ₹${total}`,
+      batchId,
+      txnIds: requests.map(req => req.txnId),
+    });
+    return batchId;
   };
 
-  // 🟢 Handle Submit Payment (adds to queue)
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!student || !amount) {
-      alert("Missing student or amount.");
-      // If missing, keep focus on the respective field if possible
-      if (!student) {
-         // Student is missing, focus admission number
-         if (admissionNoInputRef.current) {
-             admissionNoInputRef.current.focus();
-         }
-      } else if (!amount) {
-          // Amount is missing, focus amount
-          if (amountInputRef.current) {
-              amountInputRef.current.focus();
-          }
-      }
-      return;
-    }
-
-    addToQueue({
-      admissionNo,
-      name: student.name,
-      class: student.class,
-      amount
+  // ↩️ Void or refund a recorded payment with a compensating entry
+  const handleAdjust = (original, details) => {
+    const request = addToQueue(buildCompensatingEntry(original, details, user));
+    logAudit(details.kind, user, {
+      summary: `${ADJUSTMENT_KINDS[details.kind]} of ₹${-Number(request.amount)} on receipt ${
+        original.receiptNo ?? "—"
+      } (${original.name}): ${request.reason}`,
+      txnId: request.txnId,
+      originalTxnId: original.txnId,
+      reason: request.reason,
     });
+  };
 
-    // Reset form
-    setAdmissionNo("");
-    setStudent(null);
-    setAmount("");
-    // Refocus the admission number input after successful submission
-    if (admissionNoInputRef.current) {
-      admissionNoInputRef.current.focus();
-    }
+  // Replace one queue item with the result of `update`
+  const updateRequest = (requestId, update) => {
+    setRequestQueue(prev =>
+      prev.map(req => (req.id === requestId ? update(req) : req))
+    );
   };
 
-  // 🔄 Process queue items one by one
-  useEffect(() => {
-    if (requestQueue.length > 0 && !isProcessing) {
-      const nextRequest = requestQueue.find(req => req.status === "pending");
-      if (nextRequest) {
-        processRequest(nextRequest.id);
-      }
-    }
-  }, [requestQueue, isProcessing]);
+  const pendingCount = queueEngine.counts.pending;
 
-  // 🔄 Process individual request
-  const processRequest = async (requestId) => {
-    setIsProcessing(true);
-    
-    setRequestQueue(prev => 
-      prev.map(req => 
-        req.id === requestId ? { ...req, status: "loading" } : req
-      )
-    );
+  // 🧾 Receipt printing; stable so the print effect fires only once per receipt
+  const closeReceipt = useCallback(() => setReceiptRequest(null), []);
 
-    try {
-      const request = requestQueue.find(req => req.id === requestId);
-      const sheetUrl = import.meta.env.VITE_SHEETURL;
-      
-      const res = await fetch(sheetUrl, {
-        method: "POST",
-        body: JSON.stringify(request),
-      });
+  // Voids that reached the sheet, so a reprinted original can be stamped
+  const adjustments = useMemo(() => getAdjustments(requestQueue), [requestQueue]);
+  // What counts towards the active year's dues
+  const yearQueue = useMemo(() => inYear(requestQueue, activeYear), [requestQueue, activeYear]);
 
-      const data = await res.json();
-      setRequestQueue(prev => 
-        prev.map(req => 
-          req.id === requestId 
-            ? { ...req, status: data.status === "success" ? "success" : "error", message: data.message } 
-            : req
-        )
-      );
-    } catch (err) {
-      console.error(err);
-      setRequestQueue(prev => 
-        prev.map(req => 
-          req.id === requestId 
-            ? { ...req, status: "error", message: "Failed to submit payment." } 
-            : req
-        )
-      );
-    } finally {
-      setIsProcessing(false);
-    }
+  const isVoided = (request) => adjustments.get(request.txnId)?.voidEntry?.status === "success";
+
+  // 🔁 Queue panel actions, each one written to the audit log
+  const describeRequest = (requestId) => {
+    const req = requestQueue.find(r => r.id === requestId);
+    return req ? `₹${req.amount} from ${req.name} (${req.admissionNo})` : requestId;
   };
 
-  // 🟡 Get status color
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "success": return "bg-green-900 text-green-200 border-green-700";
-      case "error": return "bg-red-900 text-red-200 border-red-700";
-      case "loading": return "bg-blue-900 text-blue-200 border-blue-700";
-      default: return "bg-gray-800 text-gray-200 border-gray-700";
-    }
+  // A payment whose token ran out while it waited goes out on the token of
+  // whoever retries it, and is recorded under their name
+  const retryWithSession = (req) => ({
+    ...resetForRetry(req),
+    ...(isTokenExpired(req.session) && { session: auth.token }),
+  });
+
+  const handleRetry = (requestId) => {
+    updateRequest(requestId, retryWithSession);
+    logAudit("retry", user, { summary: describeRequest(requestId), txnId: requestId });
   };
 
-  // 🟡 Get status icon
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case "success": 
-        return (
-          <svg className="w-4 h-4 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
-          </svg>
-        );
-      case "error":
-        return (
-          <svg className="w-4 h-4 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
-          </svg>
-        );
-      case "loading":
-        return (
-          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-400"></div>
-        );
-      default:
-        return (
-          <div className="w-4 h-4 rounded-full bg-gray-500"></div>
-        );
-    }
+  const handleRetryAllFailed = () => {
+    const failed = requestQueue.filter(req => req.status === "error");
+    setRequestQueue(prev =>
+      prev.map(req => (req.status === "error" ? retryWithSession(req) : req))
+    );
+    logAudit("retry", user, {
+      summary: `All ${failed.length} failed payments`,
+      txnIds: failed.map(req => req.txnId),
+    });
   };
 
-  return (
-    <>
-    {/* <Convert/> */}
-    {/* Dark background for the entire app */}
-    <div className="min-h-screen bg-gray-900 text-gray-100 flex flex-col md:flex-row">
-      {/* Main Form Section */}
-      <div className="md:w-2/3 p-6">
-        <div className="bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6">
-          <h1 className="text-2xl font-semibold text-gray-100 mb-6">Fee Submission Portal</h1>
+  const handleEditAmount = (requestId, newAmount) => {
+    const before = describeRequest(requestId);
+    updateRequest(requestId, req => (canChangeAmount(req) ? withAmount(retryWithSession(req), newAmount) : req));
+    logAudit("edit", user, { summary: `${before} changed to ₹${newAmount}`, txnId: requestId, amount: newAmount });
+  };
 
-          {/* Admission No Search */}
-          <div className="flex gap-3 mb-6">
-            <input
-              type="number"
-              placeholder="Enter Admission No"
-              value={admissionNo}
-              onChange={(e) => setAdmissionNo(e.target.value)}
-              onKeyDown={handleAdmissionNoKeyDown} // Add keydown handler
-              ref={admissionNoInputRef} // Assign the ref to the admission no input
-              className="flex-1 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-400"
-            />
-            <button
-              onClick={handleSearch}
-              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-            >
-              Search
-            </button>
-          </div>
+  const handleCancel = (requestId) => {
+    if (!window.confirm("Cancel this payment? It will not be sent to the sheet.")) return;
+    updateRequest(requestId, req =>
+      req.status === "loading"
+        ? req
+        : { ...req, status: "cancelled", nextAttemptAt: null, message: "Cancelled by cashier." }
+    );
+    logAudit("cancel", user, { summary: describeRequest(requestId), txnId: requestId });
+  };
 
-          {/* Show Student Details */}
-          {student && (
-            <div className="bg-gray-700 rounded-md p-4 mb-6 text-gray-200 space-y-2 border border-gray-600">
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <p className="text-sm text-gray-400">Name</p>
-                  <p className="font-medium">{student.name}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-400">Class</p>
-                  <p className="font-medium">{student.class}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-400">Team</p>
-                  <p className="font-medium">{student.team || "—"}</p>
-                </div>
-              </div>
-            </div>
-          )}
+  if (!user) {
+    return <Login onLogin={auth.login} expiredAt={auth.expiredAt} backendName={auth.backendName} />;
+  }
 
-          {/* Amount + Submit */}
-          {student && (
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label className="block text-gray-300 font-medium mb-1">
-                  Amount (₹)
-                </label>
-                <input
-                  type="number"
-                  placeholder="Enter Amount"
-                  value={amount}
-                  onChange={(e) => setAmount(e.target.value)}
-                  ref={amountInputRef} // Assign the ref to the amount input
-                  className="w-full px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-400"
-                />
-              </div>
+  // Cashiers can retry and reprint; changing a payment is for admins
+  const queueActions = {
+    onRetry: handleRetry,
+    onRetryAllFailed: handleRetryAllFailed,
+    onPrintReceipt: setReceiptRequest,
+    counts: queueEngine.counts,
+    isPaused: queueEngine.isPaused,
+    onPause: queueEngine.pause,
+    onResume: queueEngine.resume,
+    ...(can(user, "editPayments") && { onCancel: handleCancel, onEditAmount: handleEditAmount }),
+  };
+
+  return (
+    <>
+    {/* Dark background for the entire app */}
+    <div className={`min-h-screen bg-gray-900 text-gray-100 print:bg-white ${receiptRequest ? "print:hidden" : ""}`}>
+      <NavBar user={user} onLogout={auth.logout} pendingCount={pendingCount} />
 
-              <button
-                type="submit"
-                className="w-full py-2.5 bg-blue-600 text-white rounded-md font-medium transition-colors hover:bg-blue-700"
-              >
-                Add to Queue
-              </button>
-            </form>
-          )}
+      {paymentSink.name === "mock" && (
+        <div className="mx-6 mt-4 px-4 py-2 rounded-md border border-purple-700 bg-purple-900 text-purple-200 text-sm print:hidden">
+          Demo mode — payments are kept in memory only and are not recorded in the sheet.
+        </div>
+      )}
 
-          <p className="text-center text-gray-400 mt-6 text-sm">
-            Requests will be processed sequentially in the queue
-          </p>
+      {queueEngine.isPaused && (
+        <div className="mx-6 mt-4 px-4 py-3 rounded-md border border-blue-700 bg-blue-900 text-blue-200 text-sm print:hidden">
+          Sending paused — {pendingCount} {pendingCount === 1 ? "payment" : "payments"} held until the queue is resumed
         </div>
-      </div>
+      )}
 
-      {/* Queue Status Section */}
-      <div className="md:w-1/3 p-6">
-        <div className="bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6 h-full">
-          <h2 className="text-lg font-semibold text-gray-100 mb-4">Request Queue</h2>
-          
-          {requestQueue.length === 0 ? (
-            <div className="text-center py-8 text-gray-400">
-              <p>No requests in queue</p>
-              <p className="text-sm mt-1">Submit a payment to see it here</p>
-            </div>
-          ) : (
-            <div className="space-y-3 max-h-[calc(100vh-200px)] overflow-y-auto">
-              {[...requestQueue].reverse().map((request) => (
-                <div 
-                  key={request.id} 
-                  className={`p-3 rounded-md border ${getStatusColor(request.status)} text-sm`}
-                >
-                  <div className="flex justify-between items-start">
-                    <div className="flex items-center space-x-2">
-                      {getStatusIcon(request.status)}
-                      <span className="font-medium capitalize">{request.status}</span>
-                    </div>
-                    <span className="text-xs text-gray-400">{request.timestamp}</span>
-                  </div>
-                  
-                  <div className="mt-2 space-y-1">
-                    <p className="font-medium truncate">{request.name}</p>
-                    <div className="flex justify-between text-xs">
-                      <span>Adm: {request.admissionNo}</span>
-                      <span className="font-semibold">₹{request.amount}</span>
-                    </div>
-                    {request.message && (
-                      <p className="text-xs mt-1 text-gray-300 truncate">{request.message}</p>
-                    )}
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
+      {!isOnline && (
+        <div className="mx-6 mt-4 px-4 py-3 rounded-md border border-yellow-700 bg-yellow-900 text-yellow-200 text-sm print:hidden">
+          Offline — {pendingCount} {pendingCount === 1 ? "payment" : "payments"} waiting
         </div>
-      </div>
+      )}
+
+      <Routes>
+        <Route path="/" element={<Navigate to="/billing" replace />} />
+        <Route
+          path="/billing"
+          element={
+            <Billing
+              roster={roster}
+              feeStructure={feeStructure}
+              feeRules={feeRules.rules}
+              requestQueue={requestQueue}
+              activeYear={activeYear}
+              user={user}
+              onAddToQueue={handleCollect}
+              queueActions={queueActions}
+              receiptPaper={receiptPaper}
+              onReceiptPaperChange={setReceiptPaper}
+            />
+          }
+        />
+        <Route
+          path="/bulk"
+          element={
+            <RequirePermission user={user} permission="collect">
+              <BulkEntry
+                students={roster.students}
+                feeStructure={feeStructure}
+                feeRules={feeRules.rules}
+                requestQueue={yearQueue}
+                user={user}
+                onAddBatch={handleCollectBatch}
+              />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/history"
+          element={
+            <RequirePermission user={user} permission="viewReports">
+              <History
+                requestQueue={requestQueue}
+                onPrintReceipt={setReceiptRequest}
+                onAdjust={can(user, "editPayments") ? handleAdjust : undefined}
+              />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/reports"
+          element={
+            <RequirePermission user={user} permission="viewReports">
+              <Reports />
+            </RequirePermission>
+          }
+        >
+          <Route index element={<Navigate to="day-close" replace />} />
+          <Route path="day-close" element={<DayClose requestQueue={requestQueue} />} />
+          <Route
+            path="analytics"
+            element={
+              <Analytics
+                students={roster.students}
+                requestQueue={requestQueue}
+                activeYear={activeYear}
+                feeStructure={feeStructure}
+                feeRules={feeRules.rules}
+                paymentSink={paymentSink}
+                session={auth.token}
+              />
+            }
+          />
+          <Route path="export" element={<Exports students={roster.students} requestQueue={requestQueue} />} />
+        </Route>
+        <Route
+          path="/students"
+          element={
+            <RequirePermission user={user} permission="manageRoster">
+              <Students roster={roster} feeStructure={feeStructure} user={user} />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/students/promote"
+          element={
+            <RequirePermission user={user} permission="manageRoster">
+              <Promotion roster={roster} academicYear={academicYear} feeStructure={feeStructure} user={user} />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/roster"
+          element={
+            <RequirePermission user={user} permission="importRoster">
+              <Convert roster={roster} user={user} />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/settings"
+          element={
+            <RequirePermission user={user} permission="manageSettings">
+              <Settings
+                receiptPaper={receiptPaper}
+                onReceiptPaperChange={setReceiptPaper}
+                academicYear={academicYear}
+                requestQueue={requestQueue}
+                user={user}
+              />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/fee-rules"
+          element={
+            <RequirePermission user={user} permission="manageSettings">
+              <FeeRules feeRules={feeRules} feeStructure={feeStructure} students={roster.students} user={user} />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/notifications"
+          element={
+            <RequirePermission user={user} permission="manageSettings">
+              <Notifications notifications={notifications} user={user} />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/statement/:admissionNo"
+          element={
+            <RequirePermission user={user} permission="viewStatements">
+              <Statement
+                students={roster.students}
+                requestQueue={requestQueue}
+                feeStructure={feeStructure}
+                feeRules={feeRules.rules}
+                activeYear={activeYear}
+                classHistory={academicYear.classHistory}
+                paymentSink={paymentSink}
+                session={auth.token}
+              />
+            </RequirePermission>
+          }
+        />
+        <Route
+          path="/audit"
+          element={
+            <RequirePermission user={user} permission="viewAudit">
+              <AuditLog />
+            </RequirePermission>
+          }
+        />
+        <Route path="*" element={<NotFound />} />
+      </Routes>
     </div>
+
+    {/* Receipt is the only thing on the page while printing */}
+    {receiptRequest && (
+      <div className="hidden print:block">
+        <Receipt
+          request={receiptRequest}
+          paper={receiptPaper}
+          voided={isVoided(receiptRequest)}
+          onDone={closeReceipt}
+        />
+      </div>
+    )}
     </>
   );
 };
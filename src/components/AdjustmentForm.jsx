@@ -0,0 +1,73 @@
+import React, { useState } from "react";
+import { validateAdjustment, getRefundable } from "../utils/adjustments";
+import { formatRupees } from "../utils/amountInWords";
+
+const input = "px-2 py-1 border rounded border-gray-600 bg-gray-700 text-gray-100 text-sm";
+const button = "px-3 py-1 rounded text-xs font-medium transition-colors";
+
+// ↩️ Void or refund one recorded payment; a reason is always required
+const AdjustmentForm = ({ payment, adjustment, onSubmit, onClose }) => {
+  const refundable = getRefundable(payment, adjustment);
+  const [kind, setKind] = useState(adjustment?.refunded > 0 ? "refund" : "void");
+  const [amount, setAmount] = useState(String(refundable));
+  const [reason, setReason] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const details = { kind, amount, reason };
+    const problem = validateAdjustment(payment, adjustment, details);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    const what = kind === "void" ? `Void receipt ${payment.receiptNo}` : `Refund ${formatRupees(Number(amount))}`;
+    if (!window.confirm(`${what} for ${payment.name}? A reversing entry will be sent to the sheet.`)) return;
+    onSubmit(payment, details);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3 py-3 text-sm text-gray-300">
+      <label className="flex flex-col gap-1">
+        Action
+        <select value={kind} onChange={(e) => setKind(e.target.value)} className={input}>
+          <option value="void">Void the whole payment</option>
+          <option value="refund">Refund part of it</option>
+        </select>
+      </label>
+      {kind === "refund" && (
+        <label className="flex flex-col gap-1">
+          Amount (up to {formatRupees(refundable)})
+          <input
+            type="number"
+            min="1"
+            max={refundable}
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className={`${input} w-32`}
+          />
+        </label>
+      )}
+      <label className="flex flex-col gap-1 flex-1 min-w-56">
+        Reason
+        <input
+          type="text"
+          autoFocus
+          placeholder="e.g. wrong student, amount typed twice"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          className={input}
+        />
+      </label>
+      <button type="submit" className={`${button} bg-red-700 text-white hover:bg-red-600`}>
+        {kind === "void" ? "Void payment" : "Refund"}
+      </button>
+      <button type="button" onClick={onClose} className={`${button} bg-gray-600 text-gray-100 hover:bg-gray-500`}>
+        Back
+      </button>
+      {error && <p className="w-full text-red-300">{error}</p>}
+    </form>
+  );
+};
+
+export default AdjustmentForm;
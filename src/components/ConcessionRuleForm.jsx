@@ -0,0 +1,106 @@
+import React, { useState, useId } from "react";
+import { CONCESSION_KINDS, validateRule } from "../utils/feeRules";
+import { createTxnId } from "../utils/ids";
+
+const input = "w-full px-2 py-1 border rounded border-gray-600 bg-gray-700 text-gray-100 text-sm";
+const button = "px-3 py-1 rounded text-xs font-medium transition-colors";
+
+// 🏷️ New concession or scholarship: who gets it, how much, and off which heads
+const ConcessionRuleForm = ({ heads, categories, onSave, onClose }) => {
+  const [rule, setRule] = useState({ label: "", kind: "percent", value: "", category: "", admissionNos: "", heads: [] });
+  const [errors, setErrors] = useState({});
+  const categoryListId = useId();
+
+  const setField = (field) => (e) => setRule((prev) => ({ ...prev, [field]: e.target.value }));
+  const toggleHead = (headId) =>
+    setRule((prev) => ({
+      ...prev,
+      heads: prev.heads.includes(headId) ? prev.heads.filter((id) => id !== headId) : [...prev.heads, headId],
+    }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const record = {
+      id: createTxnId(),
+      label: rule.label.trim(),
+      kind: rule.kind,
+      value: Number(rule.value),
+      category: rule.category.trim(),
+      admissionNos: rule.admissionNos.split(/[\s,]+/).filter(Boolean),
+      heads: rule.heads,
+    };
+    const problems = validateRule("concession", record);
+    setErrors(problems);
+    if (Object.keys(problems).length > 0) return;
+    onSave(record);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-2 lg:grid-cols-4 gap-3 py-3 text-sm text-gray-300">
+      <label className="flex flex-col gap-1">
+        Name
+        <input type="text" autoFocus placeholder="e.g. Sibling discount" value={rule.label} onChange={setField("label")} className={input} />
+        {errors.label && <span className="text-xs text-red-300">{errors.label}</span>}
+      </label>
+      <label className="flex flex-col gap-1">
+        Type
+        <select value={rule.kind} onChange={setField("kind")} className={input}>
+          {Object.entries(CONCESSION_KINDS).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1">
+        {rule.kind === "percent" ? "Percent off" : "Amount off (₹ a year)"}
+        <input type="number" min="0" value={rule.value} onChange={setField("value")} className={input} />
+        {errors.value && <span className="text-xs text-red-300">{errors.value}</span>}
+      </label>
+      <label className="flex flex-col gap-1">
+        Student category
+        <input
+          type="text"
+          list={categoryListId}
+          placeholder="e.g. staff-ward"
+          value={rule.category}
+          onChange={setField("category")}
+          className={input}
+        />
+        <datalist id={categoryListId}>
+          {categories.map((c) => (
+            <option key={c} value={c} />
+          ))}
+        </datalist>
+      </label>
+      <label className="flex flex-col gap-1 col-span-2">
+        Or these admission numbers
+        <input
+          type="text"
+          placeholder="e.g. 777, 788"
+          value={rule.admissionNos}
+          onChange={setField("admissionNos")}
+          className={input}
+        />
+        {errors.appliesTo && <span className="text-xs text-red-300">{errors.appliesTo}</span>}
+      </label>
+      <fieldset className="col-span-2 flex flex-wrap items-center gap-3">
+        <legend className="mb-1">Off these heads (none ticked: all)</legend>
+        {heads.map((head) => (
+          <label key={head.id} className="flex items-center gap-1">
+            <input type="checkbox" checked={rule.heads.includes(head.id)} onChange={() => toggleHead(head.id)} />
+            {head.label}
+          </label>
+        ))}
+      </fieldset>
+      <div className="col-span-2 lg:col-span-4 flex gap-2">
+        <button type="submit" className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+          Add concession
+        </button>
+        <button type="button" onClick={onClose} className={`${button} bg-gray-600 text-gray-100 hover:bg-gray-500`}>
+          Back
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ConcessionRuleForm;
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { LATE_FEE_KINDS, validateRule } from "../utils/feeRules";
+import { createTxnId } from "../utils/ids";
+
+const input = "w-full px-2 py-1 border rounded border-gray-600 bg-gray-700 text-gray-100 text-sm";
+const button = "px-3 py-1 rounded text-xs font-medium transition-colors";
+
+// ⏰ New late-fee rule: which term, how long after the due date, how much
+const LateFeeRuleForm = ({ terms, onSave, onClose }) => {
+  const [rule, setRule] = useState({ label: "Late fee", termId: "", kind: "fixed", value: "", graceDays: "7", maxAmount: "" });
+  const [errors, setErrors] = useState({});
+
+  const setField = (field) => (e) => setRule((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const record = {
+      id: createTxnId(),
+      label: rule.label.trim(),
+      termId: rule.termId,
+      kind: rule.kind,
+      value: Number(rule.value),
+      graceDays: Number(rule.graceDays) || 0,
+      ...(Number(rule.maxAmount) > 0 && { maxAmount: Number(rule.maxAmount) }),
+    };
+    const problems = validateRule("lateFee", { ...record, graceDays: Number(rule.graceDays) });
+    setErrors(problems);
+    if (Object.keys(problems).length > 0) return;
+    onSave(record);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-2 lg:grid-cols-3 gap-3 py-3 text-sm text-gray-300">
+      <label className="flex flex-col gap-1">
+        Name
+        <input type="text" autoFocus value={rule.label} onChange={setField("label")} className={input} />
+        {errors.label && <span className="text-xs text-red-300">{errors.label}</span>}
+      </label>
+      <label className="flex flex-col gap-1">
+        Term
+        <select value={rule.termId} onChange={setField("termId")} className={input}>
+          <option value="">Every term</option>
+          {terms.map((term) => (
+            <option key={term.id} value={term.id}>
+              {term.label}
+              {term.dueDate ? ` (due ${term.dueDate})` : ""}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1">
+        Type
+        <select value={rule.kind} onChange={setField("kind")} className={input}>
+          {Object.entries(LATE_FEE_KINDS).map(([id, label]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1">
+        {rule.kind === "percent" ? "Percent of unpaid" : rule.kind === "perDay" ? "₹ per day" : "Fine (₹)"}
+        <input type="number" min="0" value={rule.value} onChange={setField("value")} className={input} />
+        {errors.value && <span className="text-xs text-red-300">{errors.value}</span>}
+      </label>
+      <label className="flex flex-col gap-1">
+        Grace period (days after the due date)
+        <input type="number" min="0" value={rule.graceDays} onChange={setField("graceDays")} className={input} />
+        {errors.graceDays && <span className="text-xs text-red-300">{errors.graceDays}</span>}
+      </label>
+      <label className="flex flex-col gap-1">
+        Most it can reach (₹, optional)
+        <input type="number" min="0" value={rule.maxAmount} onChange={setField("maxAmount")} className={input} />
+      </label>
+      <div className="col-span-2 lg:col-span-3 flex gap-2">
+        <button type="submit" className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+          Add late-fee rule
+        </button>
+        <button type="button" onClick={onClose} className={`${button} bg-gray-600 text-gray-100 hover:bg-gray-500`}>
+          Back
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default LateFeeRuleForm;
@@ -0,0 +1,50 @@
+import React from "react";
+import { NavLink } from "react-router-dom";
+import { can, getRoleLabel } from "../utils/auth";
+
+const NAV_ITEMS = [
+  { to: "/billing", label: "Billing", permission: "collect" },
+  { to: "/bulk", label: "Bulk entry", permission: "collect" },
+  { to: "/history", label: "History", permission: "viewReports" },
+  { to: "/reports", label: "Reports", permission: "viewReports" },
+  { to: "/students", label: "Students", permission: "manageRoster" },
+  { to: "/roster", label: "Roster import", permission: "importRoster" },
+  { to: "/fee-rules", label: "Fee rules", permission: "manageSettings" },
+  { to: "/notifications", label: "Messages", permission: "manageSettings" },
+  { to: "/audit", label: "Audit log", permission: "viewAudit" },
+  { to: "/settings", label: "Settings", permission: "manageSettings" },
+];
+
+// 🧭 Top navigation; the pending count keeps unsent payments visible from every page
+const NavBar = ({ user, onLogout, pendingCount }) => (
+  <nav className="flex flex-wrap items-center gap-2 px-6 pt-6 print:hidden">
+    {NAV_ITEMS.filter((item) => can(user, item.permission)).map((item) => (
+      <NavLink
+        key={item.to}
+        to={item.to}
+        className={({ isActive }) =>
+          `px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+            isActive ? "bg-blue-600 text-white" : "bg-gray-800 text-gray-300 hover:bg-gray-700"
+          }`
+        }
+      >
+        {item.label}
+      </NavLink>
+    ))}
+    <span className="ml-auto flex items-center gap-3 text-xs text-gray-400">
+      {pendingCount > 0 && (
+        <span className="text-yellow-300">
+          {pendingCount} {pendingCount === 1 ? "payment" : "payments"} in the queue
+        </span>
+      )}
+      <span>
+        {user.name} · {getRoleLabel(user.role)}
+      </span>
+      <button onClick={onLogout} className="px-2 py-1 rounded bg-gray-800 text-gray-300 hover:bg-gray-700">
+        Log out
+      </button>
+    </span>
+  </nav>
+);
+
+export default NavBar;
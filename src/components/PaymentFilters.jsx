@@ -0,0 +1,52 @@
+import React from "react";
+import { PAYMENT_STATUSES } from "../utils/exports";
+
+const input = "px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100";
+
+// 🔎 Search, date range, class and status filters shared by the history and export pages
+const PaymentFilters = ({ filters, onChange, classes }) => {
+  const setFilter = (field) => (e) => onChange({ ...filters, [field]: e.target.value });
+
+  return (
+    <div className="flex flex-wrap gap-4 text-sm text-gray-300">
+      <label className="flex flex-col gap-1 flex-1 min-w-56">
+        Search
+        <input
+          type="search"
+          placeholder="Admission no, name, receipt no or batch ID"
+          value={filters.query}
+          onChange={setFilter("query")}
+          className={`${input} placeholder-gray-400`}
+        />
+      </label>
+      <label className="flex flex-col gap-1">
+        From
+        <input type="date" value={filters.from} onChange={setFilter("from")} className={input} />
+      </label>
+      <label className="flex flex-col gap-1">
+        To
+        <input type="date" value={filters.to} onChange={setFilter("to")} className={input} />
+      </label>
+      <label className="flex flex-col gap-1">
+        Class
+        <select value={filters.className} onChange={setFilter("className")} className={input}>
+          <option value="">All classes</option>
+          {classes.map((c) => (
+            <option key={c} value={c}>Class {c}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1">
+        Payment status
+        <select value={filters.status} onChange={setFilter("status")} className={input}>
+          <option value="">Any status</option>
+          {PAYMENT_STATUSES.map((status) => (
+            <option key={status} value={status} className="capitalize">{status}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default PaymentFilters;
@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { findOverpayments } from "../utils/fees";
+import { formatRupees } from "../utils/amountInWords";
+import { PAYMENT_MODES, validatePaymentDetails, toPaymentFields } from "../utils/paymentModes";
+
+const inputClass =
+  "w-full px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-400";
+
+// 🟢 Amount entry for the selected student. The amount goes to one fee head,
+// or with "Split" on, the cashier enters a part for each head.
+const PaymentForm = ({ ledger, onSubmit, amountInputRef }) => {
+  const heads = ledger.heads.filter((line) => line.id !== null);
+  const firstOwed = heads.find((line) => line.remaining > 0) ?? heads[0];
+
+  const [amount, setAmount] = useState("");
+  const [headId, setHeadId] = useState("");
+  const [split, setSplit] = useState(false);
+  const [splitAmounts, setSplitAmounts] = useState({});
+  const [details, setDetails] = useState({ mode: "cash", reference: "", chequeNo: "", bank: "", chequeDate: "" });
+  const [errors, setErrors] = useState({});
+
+  const setDetail = (field) => (e) => setDetails((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const labelFor = (id) => heads.find((line) => line.id === id)?.label ?? id;
+  // The fee structure may load after the form opens, so default lazily
+  const selectedHead = headId || firstOwed?.id || "";
+
+  const allocations = split
+    ? heads
+        .filter((line) => Number(splitAmounts[line.id]) > 0)
+        .map((line) => ({ head: line.id, label: line.label, amount: String(Number(splitAmounts[line.id])) }))
+    : selectedHead && Number(amount) > 0
+      ? [{ head: selectedHead, label: labelFor(selectedHead), amount: String(Number(amount)) }]
+      : [];
+
+  const total = split ? allocations.reduce((sum, a) => sum + Number(a.amount), 0) : Number(amount) || 0;
+  const overpayments = findOverpayments(ledger, allocations);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (total <= 0) {
+      alert("Missing student or amount.");
+      amountInputRef.current?.focus();
+      return;
+    }
+
+    const problems = validatePaymentDetails(details);
+    setErrors(problems);
+    if (Object.keys(problems).length > 0) return;
+
+    if (overpayments.length > 0) {
+      const detail = overpayments.map((o) => `${o.label}: ${formatRupees(o.excess)} over`).join("\n");
+      if (!window.confirm(`This is more than the student owes.\n${detail}\n\nRecord it anyway?`)) return;
+    }
+
+    onSubmit({ amount: String(total), allocations, ...toPaymentFields(details) });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {!split && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div className="sm:col-span-2">
+            <label className="block text-gray-300 font-medium mb-1">
+              Amount (₹)
+            </label>
+            <input
+              type="number"
+              placeholder="Enter Amount"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              ref={amountInputRef} // Assign the ref to the amount input
+              className={inputClass}
+            />
+          </div>
+          {heads.length > 0 && (
+            <div>
+              <label className="block text-gray-300 font-medium mb-1">Fee head</label>
+              <select value={selectedHead} onChange={(e) => setHeadId(e.target.value)} className={inputClass}>
+                {heads.map((line) => (
+                  <option key={line.id} value={line.id}>{line.label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+
+      {split && (
+        <div className="space-y-2">
+          <p className="text-gray-300 font-medium">Split across fee heads</p>
+          {heads.map((line, i) => (
+            <div key={line.id} className="grid grid-cols-3 gap-3 items-center">
+              <span className="text-sm text-gray-300">
+                {line.label}
+                <span className="block text-xs text-gray-400">Owes {formatRupees(Math.max(0, line.remaining))}</span>
+              </span>
+              <input
+                type="number"
+                placeholder="0"
+                value={splitAmounts[line.id] ?? ""}
+                onChange={(e) => setSplitAmounts((prev) => ({ ...prev, [line.id]: e.target.value }))}
+                ref={i === 0 ? amountInputRef : undefined}
+                className={`${inputClass} col-span-2`}
+              />
+            </div>
+          ))}
+          <p className="text-right text-sm text-gray-300">Total {formatRupees(total)}</p>
+        </div>
+      )}
+
+      {heads.length > 1 && (
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input type="checkbox" checked={split} onChange={(e) => setSplit(e.target.checked)} />
+          Split this payment across several fee heads
+        </label>
+      )}
+
+      {/* Payment mode and its reference details */}
+      <div>
+        <p className="block text-gray-300 font-medium mb-1">Payment mode</p>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          {PAYMENT_MODES.map((m) => (
+            <button
+              key={m.id}
+              type="button"
+              onClick={() => {
+                setDetails((prev) => ({ ...prev, mode: m.id }));
+                setErrors({});
+              }}
+              className={`py-2 rounded-md text-sm border transition-colors ${
+                details.mode === m.id
+                  ? "bg-blue-600 border-blue-500 text-white"
+                  : "bg-gray-700 border-gray-600 text-gray-200 hover:bg-gray-600"
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {(details.mode === "upi" || details.mode === "bank") && (
+        <div>
+          <label className="block text-gray-300 font-medium mb-1">
+            {details.mode === "upi" ? "UPI transaction ID / UTR" : "Bank reference / UTR"}
+          </label>
+          <input type="text" value={details.reference} onChange={setDetail("reference")} className={inputClass} />
+          {errors.reference && <p className="text-xs text-red-300 mt-1">{errors.reference}</p>}
+        </div>
+      )}
+
+      {details.mode === "cheque" && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label className="block text-gray-300 font-medium mb-1">Cheque No</label>
+            <input type="text" inputMode="numeric" maxLength={6} value={details.chequeNo} onChange={setDetail("chequeNo")} className={inputClass} />
+            {errors.chequeNo && <p className="text-xs text-red-300 mt-1">{errors.chequeNo}</p>}
+          </div>
+          <div>
+            <label className="block text-gray-300 font-medium mb-1">Bank</label>
+            <input type="text" value={details.bank} onChange={setDetail("bank")} className={inputClass} />
+            {errors.bank && <p className="text-xs text-red-300 mt-1">{errors.bank}</p>}
+          </div>
+          <div>
+            <label className="block text-gray-300 font-medium mb-1">Cheque date</label>
+            <input type="date" value={details.chequeDate} onChange={setDetail("chequeDate")} className={inputClass} />
+            {errors.chequeDate && <p className="text-xs text-red-300 mt-1">{errors.chequeDate}</p>}
+          </div>
+        </div>
+      )}
+
+      {overpayments.length > 0 && (
+        <p className="text-sm text-yellow-300">
+          Overpayment: {overpayments.map((o) => `${o.label} ${formatRupees(o.excess)} over`).join(", ")}
+        </p>
+      )}
+
+      <button
+        type="submit"
+        className="w-full py-2.5 bg-blue-600 text-white rounded-md font-medium transition-colors hover:bg-blue-700"
+      >
+        Add to Queue
+      </button>
+    </form>
+  );
+};
+
+export default PaymentForm;
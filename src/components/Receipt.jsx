@@ -0,0 +1,124 @@
+import React, { useEffect } from "react";
+import config from "../config";
+import { amountInWords, formatRupees } from "../utils/amountInWords";
+import { getModeLabel } from "../utils/paymentModes";
+import { isAdjustment } from "../utils/adjustments";
+
+// Page setup per paper type; thermal rolls have no fixed height
+const PAPER = {
+  a5: { page: "A5 portrait", margin: "12mm", width: "100%", fontSize: "12pt" },
+  thermal: { page: "80mm auto", margin: "3mm", width: "74mm", fontSize: "9pt" },
+};
+
+const Row = ({ label, value }) => (
+  <div style={{ display: "flex", justifyContent: "space-between", gap: "1em", margin: "0.2em 0" }}>
+    <span>{label}</span>
+    <span style={{ fontWeight: 600, textAlign: "right" }}>{value}</span>
+  </div>
+);
+
+const TITLES = {
+  void: "VOID NOTE",
+  refund: "REFUND NOTE",
+};
+
+// 🧾 Printable fee receipt. Prints itself as soon as it mounts and calls
+// `onDone` once the print dialog closes (choose "Save as PDF" there for a PDF).
+// Voids and refunds print as a note against the original receipt; a reprint
+// of a voided receipt is stamped VOIDED.
+const Receipt = ({ request, paper = "a5", voided = false, onDone }) => {
+  const setup = PAPER[paper] || PAPER.a5;
+  const paidAt = new Date(request.completedAt || request.createdAt || Date.now());
+  const isNote = isAdjustment(request);
+  // Notes carry negative amounts; print what was given back
+  const amount = Math.abs(Number(request.amount) || 0);
+
+  useEffect(() => {
+    window.addEventListener("afterprint", onDone, { once: true });
+    window.print();
+    return () => window.removeEventListener("afterprint", onDone);
+  }, [onDone]);
+
+  return (
+    <div
+      style={{
+        width: setup.width,
+        fontSize: setup.fontSize,
+        fontFamily: "Arial, sans-serif",
+        color: "#000",
+        background: "#fff",
+      }}
+    >
+      <style>{`@page { size: ${setup.page}; margin: ${setup.margin}; }`}</style>
+
+      <div style={{ textAlign: "center", borderBottom: "1px dashed #000", paddingBottom: "0.5em", marginBottom: "0.5em" }}>
+        <div style={{ fontSize: "1.3em", fontWeight: 700 }}>{config.schoolName}</div>
+        <div style={{ fontSize: "1.1em", marginTop: "0.2em" }}>{TITLES[request.kind] ?? "FEE RECEIPT"}</div>
+        {voided && (
+          <div style={{ fontSize: "1.4em", fontWeight: 700, border: "2px solid #000", marginTop: "0.3em" }}>VOIDED</div>
+        )}
+      </div>
+
+      <Row label="Receipt No" value={request.receiptNo} />
+      <Row label="Date" value={paidAt.toLocaleDateString("en-IN")} />
+      <Row label="Time" value={paidAt.toLocaleTimeString("en-IN")} />
+      {isNote && <Row label="Against receipt" value={request.originalReceiptNo ?? "—"} />}
+      {isNote && <Row label="Reason" value={request.reason} />}
+
+      <div style={{ borderTop: "1px dashed #000", margin: "0.5em 0" }} />
+
+      <Row label="Admission No" value={request.admissionNo} />
+      <Row label="Name" value={request.name} />
+      <Row label="Class" value={request.class} />
+      {request.academicYear && <Row label="Academic year" value={request.academicYear} />}
+
+      <div style={{ borderTop: "1px dashed #000", margin: "0.5em 0" }} />
+
+      {request.allocations?.length > 1 &&
+        request.allocations.map((allocation) => (
+          <Row key={allocation.head} label={allocation.label} value={formatRupees(Math.abs(allocation.amount))} />
+        ))}
+      {request.allocations?.length === 1 && <Row label="Fee head" value={request.allocations[0].label} />}
+      <Row label={isNote ? "Amount returned" : "Amount"} value={formatRupees(amount)} />
+      <p style={{ margin: "0.3em 0", fontStyle: "italic" }}>{amountInWords(amount)}</p>
+      <Row label="Payment mode" value={getModeLabel(request.mode)} />
+      {request.reference && <Row label="Reference" value={request.reference} />}
+      {request.mode === "cheque" && (
+        <>
+          <Row label="Cheque No" value={request.chequeNo} />
+          <Row label="Bank" value={request.bank} />
+          <Row label="Cheque date" value={request.chequeDate} />
+        </>
+      )}
+
+      {/* Concessions and fines that made up this year's dues when the payment was taken */}
+      {request.appliedRules?.length > 0 && (
+        <>
+          <div style={{ borderTop: "1px dashed #000", margin: "0.5em 0" }} />
+          <div style={{ fontSize: "0.9em" }}>Applied to this year's fees:</div>
+          {request.appliedRules.map((line) => (
+            <Row
+              key={`${line.ruleId}:${line.label}`}
+              label={`${line.label} (${line.detail})`}
+              value={`${line.amount < 0 ? "−" : "+"}${formatRupees(Math.abs(line.amount))}`}
+            />
+          ))}
+        </>
+      )}
+
+      <div style={{ borderTop: "1px dashed #000", margin: "0.5em 0" }} />
+
+      <Row
+        label={isNote ? "Authorised by" : "Received by"}
+        value={request.cashierId ? `${request.cashier} (${request.cashierId})` : request.cashier || "—"}
+      />
+      <Row label="Transaction ID" value={<span style={{ fontSize: "0.75em", fontWeight: 400 }}>{request.txnId}</span>} />
+
+      <p style={{ textAlign: "center", marginTop: "1.5em", fontSize: "0.85em" }}>
+        This is a computer generated receipt.
+      </p>
+    </div>
+  );
+};
+
+export default Receipt;
@@ -0,0 +1,257 @@
+import React, { useState } from "react";
+import config from "../config";
+import { describePayment } from "../utils/paymentModes";
+import { ADJUSTMENT_KINDS, isAdjustment } from "../utils/adjustments";
+import { canChangeAmount } from "../utils/fees";
+
+// 🟡 Get status color
+const getStatusColor = (status) => {
+  switch (status) {
+    case "success": return "bg-green-900 text-green-200 border-green-700";
+    case "error": return "bg-red-900 text-red-200 border-red-700";
+    case "loading": return "bg-blue-900 text-blue-200 border-blue-700";
+    case "cancelled": return "bg-gray-800 text-gray-500 border-gray-700 opacity-70";
+    default: return "bg-gray-800 text-gray-200 border-gray-700";
+  }
+};
+
+// 🟡 Get status icon
+const getStatusIcon = (status) => {
+  switch (status) {
+    case "success":
+      return (
+        <svg className="w-4 h-4 text-green-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
+        </svg>
+      );
+    case "error":
+    case "cancelled":
+      return (
+        <svg className="w-4 h-4 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+        </svg>
+      );
+    case "loading":
+      return (
+        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-400"></div>
+      );
+    default:
+      return (
+        <div className="w-4 h-4 rounded-full bg-gray-500"></div>
+      );
+  }
+};
+
+const actionButton = "px-2 py-1 rounded text-xs font-medium transition-colors";
+
+const RequestQueue = ({
+  requestQueue,
+  onRetry,
+  onRetryAllFailed,
+  onCancel,
+  onEditAmount,
+  onPrintReceipt,
+  counts,
+  isPaused,
+  onPause,
+  onResume,
+  receiptPaper,
+  onReceiptPaperChange,
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [editAmount, setEditAmount] = useState("");
+
+  const failedCount = counts.failed;
+
+  const startEdit = (request) => {
+    setEditingId(request.id);
+    setEditAmount(String(request.amount));
+  };
+
+  const saveEdit = (e) => {
+    e.preventDefault();
+    if (!editAmount || Number(editAmount) <= 0) {
+      alert("Enter a valid amount.");
+      return;
+    }
+    onEditAmount(editingId, editAmount);
+    setEditingId(null);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6 h-full">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-lg font-semibold text-gray-100">Request Queue</h2>
+        <div className="flex gap-2">
+          {failedCount > 0 && (
+            <button
+              onClick={onRetryAllFailed}
+              className={`${actionButton} bg-red-700 text-white hover:bg-red-600`}
+            >
+              Retry all failed ({failedCount})
+            </button>
+          )}
+          {isPaused ? (
+            <button onClick={onResume} className={`${actionButton} bg-blue-600 text-white hover:bg-blue-700`}>
+              Resume
+            </button>
+          ) : (
+            <button onClick={onPause} className={`${actionButton} bg-gray-600 text-gray-100 hover:bg-gray-500`}>
+              Pause
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Live counts from the queue engine */}
+      <div className="grid grid-cols-4 gap-2 mb-4 text-center text-xs">
+        {[
+          ["Pending", counts.pending, "text-gray-200"],
+          ["Sending", counts.inFlight, "text-blue-300"],
+          ["Recorded", counts.succeeded, "text-green-300"],
+          ["Failed", counts.failed, "text-red-300"],
+        ].map(([label, value, color]) => (
+          <div key={label} className="rounded-md bg-gray-900 py-1">
+            <p className={`text-base font-semibold ${color}`}>{value}</p>
+            <p className="text-gray-400">{label}</p>
+          </div>
+        ))}
+      </div>
+      {isPaused && <p className="text-xs text-blue-300 mb-3">Paused: nothing new is sent until you resume.</p>}
+
+      {requestQueue.length === 0 ? (
+        <div className="text-center py-8 text-gray-400">
+          <p>No requests in queue</p>
+          <p className="text-sm mt-1">Submit a payment to see it here</p>
+        </div>
+      ) : (
+        <div className="space-y-3 max-h-[calc(100vh-200px)] overflow-y-auto">
+          {[...requestQueue].reverse().map((request) => {
+            const canAct =
+              request.status === "error" || (request.status === "pending" && (onEditAmount || onCancel));
+            const isWaiting = request.status === "pending" && request.nextAttemptAt > Date.now();
+
+            return (
+              <div
+                key={request.id}
+                className={`p-3 rounded-md border ${getStatusColor(request.status)} text-sm`}
+              >
+                <div className="flex justify-between items-start">
+                  <div className="flex items-center space-x-2">
+                    {getStatusIcon(request.status)}
+                    <span className="font-medium capitalize">{isWaiting ? "Retrying" : request.status}</span>
+                  </div>
+                  <span className="text-xs text-gray-400">{request.timestamp}</span>
+                </div>
+
+                <div className="mt-2 space-y-1">
+                  <p className="font-medium truncate">{request.name}</p>
+                  <div className="flex justify-between text-xs">
+                    <span>Adm: {request.admissionNo}</span>
+                    <span className="font-semibold">₹{request.amount}</span>
+                  </div>
+                  <p className="text-xs text-gray-400 truncate">
+                    {isAdjustment(request) && `${ADJUSTMENT_KINDS[request.kind]} of receipt ${request.originalReceiptNo ?? "—"} · `}
+                    {describePayment(request)}
+                    {request.batchId && ` · ${request.batchId}`}
+                  </p>
+                  {request.attempts > 0 && (
+                    <p className="text-xs text-gray-400">
+                      {/* attempts counts every send; autoRetries starts over on a manual retry */}
+                      Attempt {request.attempts}
+                      {request.autoRetries > 0 && ` · automatic retry ${request.autoRetries} of ${config.maxRetries}`}
+                      {isWaiting && ` · next try at ${new Date(request.nextAttemptAt).toLocaleTimeString()}`}
+                    </p>
+                  )}
+                  {request.message && (
+                    <p className="text-xs mt-1 text-gray-300 truncate">{request.message}</p>
+                  )}
+                  {request.lastError && request.lastError !== request.message && (
+                    <p className="text-xs text-red-300 truncate">Last error: {request.lastError}</p>
+                  )}
+                </div>
+
+                {editingId === request.id ? (
+                  <form onSubmit={saveEdit} className="mt-2 flex gap-2">
+                    <input
+                      type="number"
+                      value={editAmount}
+                      onChange={(e) => setEditAmount(e.target.value)}
+                      autoFocus
+                      className="flex-1 min-w-0 px-2 py-1 border rounded border-gray-600 bg-gray-700 text-gray-100 text-xs"
+                    />
+                    <button type="submit" className={`${actionButton} bg-blue-600 text-white hover:bg-blue-700`}>
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditingId(null)}
+                      className={`${actionButton} bg-gray-600 text-gray-100 hover:bg-gray-500`}
+                    >
+                      Back
+                    </button>
+                  </form>
+                ) : request.status === "success" ? (
+                  <div className="mt-2 flex items-center gap-2">
+                    <button
+                      onClick={() => onPrintReceipt(request)}
+                      disabled={!request.receiptNo}
+                      title={request.receiptNo ? `Receipt ${request.receiptNo}` : "The sheet did not return a receipt number"}
+                      className={`${actionButton} bg-green-700 text-white hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed`}
+                    >
+                      Print receipt
+                    </button>
+                    {request.receiptNo && <span className="text-xs text-gray-400">No. {request.receiptNo}</span>}
+                  </div>
+                ) : (
+                  canAct && (
+                    <div className="mt-2 flex gap-2">
+                      {request.status === "error" && (
+                        <button
+                          onClick={() => onRetry(request.id)}
+                          className={`${actionButton} bg-blue-600 text-white hover:bg-blue-700`}
+                        >
+                          Retry
+                        </button>
+                      )}
+                      {onEditAmount && !isAdjustment(request) && canChangeAmount(request) && (
+                        <button
+                          onClick={() => startEdit(request)}
+                          className={`${actionButton} bg-gray-600 text-gray-100 hover:bg-gray-500`}
+                        >
+                          Edit amount
+                        </button>
+                      )}
+                      {onCancel && (
+                        <button
+                          onClick={() => onCancel(request.id)}
+                          className={`${actionButton} bg-gray-700 text-red-300 hover:bg-gray-600`}
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  )
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <label className="flex items-center justify-end gap-2 mt-4 text-xs text-gray-400">
+        Receipt paper
+        <select
+          value={receiptPaper}
+          onChange={(e) => onReceiptPaperChange(e.target.value)}
+          className="px-2 py-1 rounded border border-gray-600 bg-gray-700 text-gray-100"
+        >
+          <option value="a5">A5</option>
+          <option value="thermal">80mm thermal</option>
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default RequestQueue;
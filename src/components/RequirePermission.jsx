@@ -0,0 +1,24 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { can, getRoleLabel } from "../utils/auth";
+
+// 🚧 Route guard: shows the page only to roles that hold `permission`
+const RequirePermission = ({ user, permission, children }) => {
+  if (can(user, permission)) return children;
+
+  return (
+    <div className="p-6">
+      <div className="bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6 max-w-lg">
+        <h1 className="text-2xl font-semibold mb-2">Not available</h1>
+        <p className="text-sm text-gray-400 mb-4">
+          This page needs an admin. You are signed in as {user.name} ({getRoleLabel(user.role)}).
+        </p>
+        <Link to="/billing" className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700">
+          Back to billing
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default RequirePermission;
@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from "react";
+import { listRosterVersions, MAX_ROSTER_VERSIONS } from "../utils/roster";
+import { downloadJson } from "../utils/download";
+
+const SOURCE_LABELS = {
+  sync: "Synced",
+  import: "Imported",
+  restore: "Restored",
+  edit: "Edited",
+  promotion: "Promoted",
+};
+
+const button = "px-2 py-1 rounded text-xs font-medium transition-colors";
+
+// 🗂️ The last rosters in use on this counter, newest first
+const RosterHistory = ({ refreshKey, onRestore }) => {
+  const [versions, setVersions] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listRosterVersions()
+      .then((list) => {
+        if (!cancelled) setVersions(list);
+      })
+      .catch((err) => console.error("Could not load roster history:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  if (versions.length === 0) {
+    return <p className="text-sm text-gray-400">No roster versions saved yet.</p>;
+  }
+
+  return (
+    <>
+      <ul className="divide-y divide-gray-700 text-sm">
+        {versions.map((version, i) => (
+          <li key={version.id} className="flex flex-wrap items-center justify-between gap-3 py-2">
+            <span>
+              <span className="font-medium">{new Date(version.savedAt).toLocaleString()}</span>
+              <span className="text-gray-400">
+                {" "}· {SOURCE_LABELS[version.source] ?? version.source} · {version.students.length} students
+                {version.summary &&
+                  ` · +${version.summary.added} −${version.summary.removed} ~${version.summary.changed}`}
+                {version.note && ` · ${version.note}`}
+              </span>
+              {i === 0 && <span className="ml-2 text-xs text-green-300">latest</span>}
+            </span>
+            <span className="flex gap-2">
+              <button
+                onClick={() => downloadJson(version.students, `students-${version.id}.json`)}
+                className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}
+              >
+                Download
+              </button>
+              {i > 0 && (
+                <button
+                  onClick={() => onRestore(version)}
+                  className={`${button} bg-gray-700 text-yellow-300 hover:bg-gray-600`}
+                >
+                  Restore
+                </button>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-gray-500 mt-2">Only the last {MAX_ROSTER_VERSIONS} versions are kept.</p>
+    </>
+  );
+};
+
+export default RosterHistory;
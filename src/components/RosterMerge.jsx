@@ -0,0 +1,133 @@
+import React, { useState, useMemo } from "react";
+import { diffRosters, mergeRosters, summarizeChanges } from "../utils/rosterDiff";
+
+const TYPE_STYLES = {
+  added: { label: "Added", className: "text-green-300", sign: "+" },
+  removed: { label: "Removed", className: "text-red-300", sign: "−" },
+  changed: { label: "Changed", className: "text-yellow-300", sign: "~" },
+};
+
+const FIELD_LABELS = {
+  name: "Name",
+  class: "Class",
+  team: "Team",
+  feeHeads: "Optional heads",
+  category: "Category",
+  guardianName: "Guardian",
+  guardianPhone: "Phone",
+  guardianEmail: "Email",
+};
+
+const button = "px-3 py-1.5 rounded-md text-sm font-medium transition-colors";
+
+// 🔀 Review an imported roster against the one in use, change by change
+const RosterMerge = ({ current, incoming, fileName, onSave }) => {
+  const changes = useMemo(() => diffRosters(current, incoming), [current, incoming]);
+  const summary = summarizeChanges(changes);
+  const [accepted, setAccepted] = useState(() => new Set(changes.map((c) => c.id)));
+  const [filter, setFilter] = useState("all");
+  const [isSaving, setIsSaving] = useState(false);
+
+  const visible = filter === "all" ? changes : changes.filter((c) => c.type === filter);
+
+  const toggle = (id) =>
+    setAccepted((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const setShown = (accept) =>
+    setAccepted((prev) => {
+      const next = new Set(prev);
+      visible.forEach((c) => (accept ? next.add(c.id) : next.delete(c.id)));
+      return next;
+    });
+
+  const handleSave = async () => {
+    const merged = mergeRosters(current, changes, accepted);
+    const applied = summarizeChanges(changes.filter((c) => accepted.has(c.id)));
+    const question = `Save the merged roster of ${merged.length} students (${applied.added} added, ${applied.removed} removed, ${applied.changed} changed)?`;
+    if (!window.confirm(question)) return;
+    setIsSaving(true);
+    try {
+      await onSave(merged, applied);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (changes.length === 0) {
+    return <p className="text-sm text-gray-300">The imported file matches the current roster. Nothing to merge.</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-300 mb-3">
+        Compared {fileName} with the roster in use ({current.length} students):{" "}
+        <span className="text-green-300">{summary.added} added</span>,{" "}
+        <span className="text-red-300">{summary.removed} removed</span>,{" "}
+        <span className="text-yellow-300">{summary.changed} changed</span>.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        {["all", "added", "removed", "changed"].map((type) => (
+          <button
+            key={type}
+            onClick={() => setFilter(type)}
+            className={`${button} ${filter === type ? "bg-blue-600 text-white" : "bg-gray-700 text-gray-300 hover:bg-gray-600"}`}
+          >
+            {type === "all" ? `All (${changes.length})` : `${TYPE_STYLES[type].label} (${summary[type]})`}
+          </button>
+        ))}
+        <span className="flex-1" />
+        <button onClick={() => setShown(true)} className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}>
+          Accept shown
+        </button>
+        <button onClick={() => setShown(false)} className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}>
+          Reject shown
+        </button>
+      </div>
+
+      <ul className="space-y-1 max-h-96 overflow-y-auto text-sm border border-gray-700 rounded-md p-2">
+        {visible.map((change) => {
+          const style = TYPE_STYLES[change.type];
+          const student = change.after ?? change.before;
+          return (
+            <li key={change.id}>
+              <label className="flex items-start gap-3 px-2 py-1 rounded hover:bg-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={accepted.has(change.id)}
+                  onChange={() => toggle(change.id)}
+                  className="mt-1"
+                />
+                <span className={`w-4 font-mono ${style.className}`}>{style.sign}</span>
+                <span className="flex-1">
+                  <span className="font-medium">{change.admissionNo}</span> {student.name}
+                  {change.type !== "changed" && <span className="text-gray-400"> · Class {student.class}</span>}
+                  {change.fields.map((f) => (
+                    <span key={f.field} className="block text-xs text-gray-400">
+                      {FIELD_LABELS[f.field] ?? f.field}: {f.from || "—"} → <span className="text-yellow-200">{f.to || "—"}</span>
+                    </span>
+                  ))}
+                </span>
+              </label>
+            </li>
+          );
+        })}
+      </ul>
+
+      <button
+        onClick={handleSave}
+        disabled={isSaving}
+        className="mt-4 px-5 py-2.5 bg-blue-600 text-white rounded-md font-medium hover:bg-blue-700 disabled:opacity-50"
+      >
+        {isSaving ? "Saving…" : `Save merged roster (${accepted.size} of ${changes.length} changes)`}
+      </button>
+    </div>
+  );
+};
+
+export default RosterMerge;
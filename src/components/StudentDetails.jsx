@@ -0,0 +1,83 @@
+import React from "react";
+import { formatRupees } from "../utils/amountInWords";
+
+const Field = ({ label, value }) => (
+  <div>
+    <p className="text-sm text-gray-400">{label}</p>
+    <p className="font-medium">{value}</p>
+  </div>
+);
+
+// 🪪 Selected student with their fee position for the year, after any
+// concessions and late fines the fee rules apply to them
+const StudentDetails = ({ student, ledger }) => (
+  <div className="bg-gray-700 rounded-md p-4 mb-6 text-gray-200 space-y-4 border border-gray-600">
+    <div className="grid grid-cols-2 gap-4">
+      <Field label="Admission No" value={student.admissionNo} />
+      <Field label="Name" value={student.name} />
+      <Field label="Class" value={student.class} />
+      <Field label="Team" value={student.team || "—"} />
+      {student.category && <Field label="Category" value={student.category} />}
+      {student.feeHeads?.length > 0 && <Field label="Opted into" value={student.feeHeads.join(", ")} />}
+    </div>
+
+    {ledger.heads.length > 0 && (
+      <div className="border-t border-gray-600 pt-3">
+        <div className="grid grid-cols-3 gap-4 mb-3">
+          <Field label="Total due" value={formatRupees(ledger.totalDue)} />
+          <Field label="Paid" value={formatRupees(ledger.totalPaid)} />
+          <div>
+            <p className="text-sm text-gray-400">Outstanding</p>
+            <p className={`font-semibold ${ledger.totalOutstanding > 0 ? "text-yellow-300" : "text-green-300"}`}>
+              {formatRupees(ledger.totalOutstanding)}
+            </p>
+          </div>
+        </div>
+
+        <table className="w-full text-xs">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="text-left font-normal py-1">Fee head</th>
+              <th className="text-right font-normal">Due</th>
+              <th className="text-right font-normal">Paid</th>
+              <th className="text-right font-normal">In queue</th>
+              <th className="text-right font-normal">Outstanding</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ledger.heads.map((line) => (
+              <tr key={line.id ?? "unallocated"} className="border-t border-gray-600">
+                <td className="py-1">{line.label}</td>
+                <td className="text-right">{formatRupees(line.due)}</td>
+                <td className="text-right">{formatRupees(line.paid)}</td>
+                <td className="text-right">{line.inQueue ? formatRupees(line.inQueue) : "—"}</td>
+                <td className={`text-right ${line.outstanding < 0 ? "text-red-300" : ""}`}>
+                  {formatRupees(line.outstanding)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {ledger.appliedRules.length > 0 && (
+          <div className="mt-3 pt-3 border-t border-gray-600 text-xs space-y-1">
+            <p className="text-gray-400">Concessions and late fees included above</p>
+            {ledger.appliedRules.map((line) => (
+              <div key={`${line.ruleId}:${line.label}`} className="flex justify-between gap-3">
+                <span>
+                  {line.label} <span className="text-gray-400">({line.detail})</span>
+                </span>
+                <span className={line.amount < 0 ? "text-green-300" : "text-yellow-300"}>
+                  {line.amount < 0 ? "−" : "+"}
+                  {formatRupees(Math.abs(line.amount))}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default StudentDetails;
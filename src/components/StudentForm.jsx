@@ -0,0 +1,124 @@
+import React, { useState, useId } from "react";
+import { STUDENT_STATUSES, validateStudent } from "../utils/rosterEdits";
+
+const input = "w-full px-2 py-1 border rounded border-gray-600 bg-gray-700 text-gray-100 text-sm";
+const button = "px-3 py-1 rounded text-xs font-medium transition-colors";
+
+const FIELDS = [
+  { id: "admissionNo", label: "Admission No", inputMode: "numeric" },
+  { id: "name", label: "Name" },
+  { id: "class", label: "Class" },
+  { id: "team", label: "Team" },
+  { id: "category", label: "Category (for concessions)" },
+  { id: "guardianName", label: "Guardian name" },
+  { id: "guardianPhone", label: "Guardian phone", type: "tel" },
+  { id: "guardianEmail", label: "Guardian email", type: "email" },
+];
+
+const EMPTY_STUDENT = { admissionNo: "", name: "", class: "", team: "", category: "", guardianName: "", guardianPhone: "", guardianEmail: "" };
+
+// ✏️ Add a student, or edit one (`student` given). The admission number ties a
+// student to their payments, so it cannot be changed once saved.
+// `optionalHeads` are the fee heads (bus, …) a student has to opt into.
+const StudentForm = ({ student, students, classes, optionalHeads = [], onSave, onClose }) => {
+  const isNew = !student;
+  const [values, setValues] = useState(() => ({ ...EMPTY_STUDENT, status: "active", ...student }));
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+  const classListId = useId();
+
+  const setValue = (field) => (e) => setValues((prev) => ({ ...prev, [field]: e.target.value }));
+  const toggleHead = (headId) => (e) =>
+    setValues((prev) => {
+      const others = (prev.feeHeads ?? []).filter((id) => id !== headId);
+      return { ...prev, feeHeads: e.target.checked ? [...others, headId] : others };
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problems = validateStudent(values, students, { isNew });
+    setErrors(problems);
+    if (Object.keys(problems).length > 0) return;
+
+    // Drop empty optional fields so the record looks like an imported one
+    const record = Object.fromEntries(
+      Object.entries(values)
+        .map(([field, value]) => [field, typeof value === "string" ? value.trim() : value])
+        .filter(([, value]) => value !== "" && !(Array.isArray(value) && value.length === 0))
+    );
+    setIsSaving(true);
+    try {
+      await onSave(record);
+      onClose();
+    } catch (err) {
+      console.error(err);
+      alert("Could not save the student.");
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="grid grid-cols-2 lg:grid-cols-4 gap-3 py-3 text-sm text-gray-300">
+      {FIELDS.map((field) => (
+        <label key={field.id} className="flex flex-col gap-1">
+          {field.label}
+          <input
+            type={field.type ?? "text"}
+            inputMode={field.inputMode}
+            value={values[field.id] ?? ""}
+            onChange={setValue(field.id)}
+            disabled={field.id === "admissionNo" && !isNew}
+            list={field.id === "class" ? classListId : undefined}
+            autoFocus={field.id === (isNew ? "admissionNo" : "name")}
+            className={`${input} disabled:opacity-60`}
+          />
+          {errors[field.id] && <span className="text-xs text-red-300">{errors[field.id]}</span>}
+        </label>
+      ))}
+      {optionalHeads.length > 0 && (
+        <fieldset className="flex flex-col gap-1">
+          <legend className="mb-1">Opted into</legend>
+          {optionalHeads.map((head) => (
+            <label key={head.id} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={(values.feeHeads ?? []).includes(head.id)}
+                onChange={toggleHead(head.id)}
+              />
+              {head.label}
+            </label>
+          ))}
+        </fieldset>
+      )}
+      <datalist id={classListId}>
+        {classes.map((c) => (
+          <option key={c} value={c} />
+        ))}
+      </datalist>
+      {!isNew && (
+        <label className="flex flex-col gap-1">
+          Status
+          <select value={values.status ?? "active"} onChange={setValue("status")} className={input}>
+            {Object.entries(STUDENT_STATUSES).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <div className="col-span-2 lg:col-span-4 flex gap-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className={`${button} bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50`}
+        >
+          {isNew ? "Add student" : "Save changes"}
+        </button>
+        <button type="button" onClick={onClose} className={`${button} bg-gray-600 text-gray-100 hover:bg-gray-500`}>
+          Back
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default StudentForm;
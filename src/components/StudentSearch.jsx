@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useMemo, useDeferredValue, useId } from "react";
+import { buildSearchIndex, searchStudents, listClasses } from "../utils/studentSearch";
+
+const MAX_RESULTS = 50;
+
+// 🔍 Typeahead student picker: admission number or name, optional class
+// filter, ↑/↓ to move, Enter to pick, Esc to close.
+const StudentSearch = ({ students, onSelect, inputRef }) => {
+  const [query, setQuery] = useState("");
+  const [classFilter, setClassFilter] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const listId = useId();
+
+  const index = useMemo(() => buildSearchIndex(students), [students]);
+  const classes = useMemo(() => listClasses(students), [students]);
+
+  // Let typing stay responsive while the results catch up
+  const deferredQuery = useDeferredValue(query);
+  const results = useMemo(
+    () => searchStudents(index, deferredQuery, { classFilter, limit: MAX_RESULTS }),
+    [index, deferredQuery, classFilter]
+  );
+
+  // Keep the highlighted option visible while arrowing through a long list
+  useEffect(() => {
+    if (!isOpen) return;
+    document.getElementById(`${listId}-${activeIndex}`)?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex, isOpen, listId]);
+
+  const choose = (student) => {
+    onSelect(student);
+    setQuery("");
+    setIsOpen(false);
+    setActiveIndex(0);
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    setActiveIndex(0);
+    setIsOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        setIsOpen(true);
+        setActiveIndex((i) => Math.min(i + 1, results.length - 1));
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        setActiveIndex((i) => Math.max(i - 1, 0));
+        break;
+      case "Enter": {
+        e.preventDefault(); // Prevent form submission if inside a form
+        // Search straight away rather than on the deferred value, so a fast
+        // "type the admission number and hit Enter" still picks the right student
+        const current = searchStudents(index, query, { classFilter, limit: MAX_RESULTS });
+        const picked = current[Math.min(activeIndex, current.length - 1)];
+        if (picked) {
+          choose(picked);
+        } else if (query.trim()) {
+          onSelect(null);
+          alert("Student not found!");
+        }
+        break;
+      }
+      case "Escape":
+        setIsOpen(false);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const showList = isOpen && results.length > 0;
+
+  return (
+    <div className="flex gap-3 mb-6">
+      <div className="relative flex-1">
+        <input
+          type="text"
+          role="combobox"
+          aria-expanded={showList}
+          aria-controls={listId}
+          aria-activedescendant={showList ? `${listId}-${activeIndex}` : undefined}
+          aria-autocomplete="list"
+          placeholder="Admission No or student name"
+          value={query}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          ref={inputRef}
+          className="w-full px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-400"
+        />
+
+        {showList && (
+          <ul
+            id={listId}
+            role="listbox"
+            className="absolute z-10 mt-1 w-full max-h-80 overflow-y-auto rounded-md border border-gray-600 bg-gray-800 shadow-lg"
+          >
+            {results.map((s, i) => (
+              <li
+                key={s.admissionNo}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === activeIndex}
+                // mousedown fires before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  choose(s);
+                }}
+                onMouseEnter={() => setActiveIndex(i)}
+                className={`flex justify-between gap-3 px-4 py-2 cursor-pointer text-sm ${
+                  i === activeIndex ? "bg-blue-700 text-white" : "text-gray-200"
+                }`}
+              >
+                <span className="truncate">{s.name}</span>
+                <span className="shrink-0 text-xs text-gray-300">
+                  Adm {s.admissionNo} · Class {s.class}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <select
+        value={classFilter}
+        onChange={(e) => {
+          setClassFilter(e.target.value);
+          setActiveIndex(0);
+        }}
+        aria-label="Filter by class"
+        className="px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100"
+      >
+        <option value="">All classes</option>
+        {classes.map((c) => (
+          <option key={c} value={c}>Class {c}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default StudentSearch;
@@ -0,0 +1,78 @@
+// Runtime settings read from the Vite environment (.env / .env.local).
+// Every value has a sensible default so the portal still starts without them.
+
+const env = import.meta.env;
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// Base URL of server/proxy.js; without a trailing slash
+const proxyUrl = env.VITE_PROXY_URL ? env.VITE_PROXY_URL.replace(/\/+$/, "") : "";
+
+const config = {
+  // Printed at the top of every receipt
+  schoolName: env.VITE_SCHOOL_NAME || "School Fee Counter",
+
+  // Where payments are recorded: "proxy" (server/proxy.js, which keeps the
+  // Apps Script URL secret), "apps-script" (the web app directly, so its URL
+  // ends up in the bundle) or "mock" (in memory, for development)
+  paymentSink:
+    env.VITE_PAYMENT_SINK || (proxyUrl ? "proxy" : env.VITE_SHEETURL ? "apps-script" : "mock"),
+  proxyUrl,
+  // Google Apps Script web app that records payments in the sheet
+  sheetUrl: env.VITE_SHEETURL,
+  // Share of payments the mock sink rejects, to try out retries (0–1)
+  mockFailureRate: toNumber(env.VITE_MOCK_FAILURE_RATE, 0),
+
+  // Where the student roster is fetched from at runtime. Defaults to the
+  // proxy or sheet's roster endpoint, or the students.json served next to the app.
+  rosterUrl:
+    env.VITE_ROSTER_URL ||
+    (proxyUrl
+      ? `${proxyUrl}/api/roster`
+      : env.VITE_SHEETURL
+        ? `${env.VITE_SHEETURL}?action=roster`
+        : `${env.BASE_URL}students.json`),
+
+  // Fee heads and amounts per class and term
+  feeStructureUrl: env.VITE_FEE_STRUCTURE_URL || `${env.BASE_URL}fee-structure.json`,
+  // Concessions and late fees, the same for every counter
+  feeRulesUrl: env.VITE_FEE_RULES_URL || `${env.BASE_URL}fee-rules.json`,
+  // Month (1–12) the academic year starts in; 4 makes April–March "2026-27"
+  yearStartMonth: Math.min(12, Math.max(1, toNumber(env.VITE_YEAR_START_MONTH, 4))),
+
+  // Where logins are checked: "sheet" (Users tab behind the Apps Script) or
+  // "mock" (built-in demo users, for development only)
+  authBackend: env.VITE_AUTH_BACKEND || (proxyUrl || env.VITE_SHEETURL ? "sheet" : "mock"),
+  authUrl: env.VITE_AUTH_URL || (proxyUrl ? `${proxyUrl}/api/login` : env.VITE_SHEETURL),
+  // Signed-in users are logged out after this long without touching the app
+  sessionTimeoutMs: toNumber(env.VITE_SESSION_TIMEOUT_MINUTES, 15) * 60 * 1000,
+
+  // Automatic retries for a failed payment before it is left for the cashier
+  maxRetries: toNumber(env.VITE_MAX_RETRIES, 3),
+  // First retry waits this long; each further retry doubles it
+  retryBaseDelayMs: toNumber(env.VITE_RETRY_BASE_DELAY_MS, 2000),
+  retryMaxDelayMs: toNumber(env.VITE_RETRY_MAX_DELAY_MS, 60000),
+
+  // Payments sent at the same time. The sheet writes one row at a time under
+  // its script lock, so a couple in flight is enough to hide the round trip.
+  queueConcurrency: Math.max(1, toNumber(env.VITE_QUEUE_CONCURRENCY, 2)),
+  // Most payments started in any one minute, to stay inside Apps Script quotas
+  queueRatePerMinute: Math.max(1, toNumber(env.VITE_QUEUE_RATE_PER_MINUTE, 30)),
+  // A payment with no reply after this long is abandoned and retried
+  requestTimeoutMs: toNumber(env.VITE_REQUEST_TIMEOUT_SECONDS, 30) * 1000,
+
+  // How guardian payment messages are delivered: "proxy" (server/proxy.js
+  // passes them to the SMS, WhatsApp or email gateway it is configured with)
+  // or "console" (logged in the browser, for development)
+  notifier: env.VITE_NOTIFIER || (proxyUrl ? "proxy" : "console"),
+
+  // Connectivity probe used to tell "Wi-Fi up" from "internet reachable"
+  probeUrl: env.VITE_PROBE_URL || (proxyUrl ? `${proxyUrl}/api/health` : env.VITE_SHEETURL),
+  probeTimeoutMs: toNumber(env.VITE_PROBE_TIMEOUT_MS, 5000),
+  probeIntervalMs: toNumber(env.VITE_PROBE_INTERVAL_MS, 15000),
+};
+
+export default config;
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  addClassHistory,
+  loadActiveYear,
+  loadClassHistory,
+  saveActiveYear,
+  saveClassHistory,
+  yearOf,
+} from "../utils/academicYears";
+import { logAudit } from "../utils/audit";
+
+// 🎓 The academic year payments are taken for, and every student's past classes.
+// `sharedYear` is the year fee-structure.json names for every counter; one
+// chosen here wins on this counter until the file names it too.
+const useAcademicYear = ({ sharedYear = null } = {}) => {
+  const [localYear, setLocalYear] = useState(null);
+  const [classHistory, setClassHistory] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadActiveYear(), loadClassHistory()])
+      .then(([year, history]) => {
+        if (cancelled) return;
+        setLocalYear(year);
+        setClassHistory(history);
+      })
+      .catch((err) => console.error("Could not read the academic year:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Once fee-structure.json names the same year, this counter follows it again
+  useEffect(() => {
+    if (!localYear || localYear !== sharedYear) return;
+    setLocalYear(null);
+    saveActiveYear(null).catch((err) => console.error("Could not save the academic year:", err));
+  }, [localYear, sharedYear]);
+
+  const activeYear = localYear ?? sharedYear ?? yearOf(Date.now());
+
+  const setActiveYear = useCallback(
+    async (year, { actor = null } = {}) => {
+      const next = year === sharedYear ? null : year;
+      await saveActiveYear(next);
+      setLocalYear(next);
+      logAudit("year", actor, { summary: `Active year set to ${year} (was ${activeYear})`, from: activeYear, to: year });
+    },
+    [activeYear, sharedYear]
+  );
+
+  // entries: [{ admissionNo, year, class }]
+  const recordClassHistory = useCallback(
+    async (entries) => {
+      const next = addClassHistory(classHistory, entries);
+      await saveClassHistory(next);
+      setClassHistory(next);
+    },
+    [classHistory]
+  );
+
+  return {
+    activeYear,
+    sharedYear,
+    // The active year differs from what the other counters take
+    isLocalYear: localYear !== null && localYear !== sharedYear,
+    setActiveYear,
+    classHistory,
+    recordClassHistory,
+  };
+};
+
+export default useAcademicYear;
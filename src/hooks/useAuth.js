@@ -0,0 +1,80 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import config from "../config";
+import { loadSession, saveSession, clearSession, isExpired } from "../utils/auth";
+import { getAuthBackend } from "../utils/authBackends";
+
+const ACTIVITY_EVENTS = ["pointerdown", "keydown", "wheel", "touchstart"];
+// Writing every keystroke to localStorage is wasteful; once in a while is enough
+const ACTIVITY_SAVE_INTERVAL_MS = 15000;
+const EXPIRY_CHECK_INTERVAL_MS = 15000;
+
+const restoreSession = () => {
+  const session = loadSession();
+  // Sessions saved before logins returned a token cannot record payments
+  const isMissingToken = session && !session.token && config.authBackend !== "mock";
+  if (isExpired(session, config.sessionTimeoutMs) || isMissingToken) {
+    clearSession();
+    return null;
+  }
+  return session;
+};
+
+// 👤 Signed-in user with an inactivity timeout. The session survives a reload
+// but not a long walk away from the counter, nor its token running out.
+const useAuth = (backend = getAuthBackend()) => {
+  const [session, setSession] = useState(restoreSession);
+  const [expiredAt, setExpiredAt] = useState(null);
+  const lastActivityRef = useRef(session?.lastActivityAt ?? 0);
+  const backendRef = useRef(backend);
+
+  const login = useCallback(async (username, password) => {
+    const { user, token } = await backendRef.current.login(username, password);
+    const next = { user, token, lastActivityAt: Date.now() };
+    lastActivityRef.current = next.lastActivityAt;
+    saveSession(next);
+    setSession(next);
+    setExpiredAt(null);
+    return user;
+  }, []);
+
+  const logout = useCallback(() => {
+    clearSession();
+    setSession(null);
+  }, []);
+
+  const user = session?.user ?? null;
+  const token = session?.token ?? null;
+
+  // Note activity while signed in and log out once it has been idle too long
+  useEffect(() => {
+    if (!user) return;
+
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastActivityRef.current < ACTIVITY_SAVE_INTERVAL_MS) return;
+      lastActivityRef.current = now;
+      saveSession({ user, token, lastActivityAt: now });
+    };
+
+    const checkExpiry = () => {
+      const now = Date.now();
+      if (isExpired({ token, lastActivityAt: lastActivityRef.current }, config.sessionTimeoutMs, now)) {
+        clearSession();
+        setSession(null);
+        setExpiredAt(now);
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, handleActivity, { passive: true }));
+    const interval = setInterval(checkExpiry, EXPIRY_CHECK_INTERVAL_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, handleActivity));
+      clearInterval(interval);
+    };
+  }, [user, token]);
+
+  return { user, token, login, logout, expiredAt, backendName: backendRef.current.name };
+};
+
+export default useAuth;
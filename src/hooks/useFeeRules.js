@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  EMPTY_RULES,
+  fetchFeeRules,
+  loadCachedFeeRules,
+  loadLocalFeeRules,
+  sameRules,
+  saveLocalFeeRules,
+} from "../utils/feeRules";
+import { logAudit } from "../utils/audit";
+
+// 🏷️ Concession and late-fee rules: the published ones every counter reads,
+// unless this counter has changed them and they are not published yet
+const useFeeRules = () => {
+  const [sharedRules, setSharedRules] = useState(EMPTY_RULES);
+  const [localRules, setLocalRules] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadLocalFeeRules()
+      .then((saved) => {
+        if (!cancelled) setLocalRules(saved);
+      })
+      .catch((err) => console.error("Could not read the fee rules:", err));
+
+    loadCachedFeeRules()
+      .then((cached) => {
+        if (!cancelled && cached) setSharedRules(cached);
+      })
+      .catch((err) => console.error("Could not read the cached fee rules:", err))
+      .then(fetchFeeRules)
+      .then((fresh) => {
+        if (!cancelled) setSharedRules(fresh);
+      })
+      .catch((err) => console.error("Fee rules sync failed:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Once the published rules say the same, this counter follows them again
+  useEffect(() => {
+    if (!localRules || !sameRules(localRules, sharedRules)) return;
+    setLocalRules(null);
+    saveLocalFeeRules(null).catch((err) => console.error("Could not save the fee rules:", err));
+  }, [localRules, sharedRules]);
+
+  // `summary` says what changed, for the audit log
+  const saveRules = useCallback(async (next, { actor = null, summary = "" } = {}) => {
+    await saveLocalFeeRules(next);
+    setLocalRules(next);
+    logAudit("rules", actor, { summary });
+  }, []);
+
+  // Go back to the published rules
+  const discardLocalRules = useCallback(async ({ actor = null } = {}) => {
+    await saveLocalFeeRules(null);
+    setLocalRules(null);
+    logAudit("rules", actor, { summary: "Discarded the rules changed on this counter" });
+  }, []);
+
+  return {
+    rules: localRules ?? sharedRules,
+    isLocal: localRules !== null,
+    saveRules,
+    discardLocalRules,
+  };
+};
+
+export default useFeeRules;
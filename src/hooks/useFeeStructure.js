@@ -0,0 +1,31 @@
+import { useState, useEffect } from "react";
+import { EMPTY_STRUCTURE, loadCachedFeeStructure, fetchFeeStructure } from "../utils/fees";
+
+// 💰 Fee structure: the cached copy straight away, then a fresh fetch.
+// Offline the cached copy is kept; with neither, no dues are shown.
+const useFeeStructure = () => {
+  const [structure, setStructure] = useState(EMPTY_STRUCTURE);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCachedFeeStructure()
+      .then((cached) => {
+        if (!cancelled && cached) setStructure(cached);
+      })
+      .catch((err) => console.error("Could not read the cached fee structure:", err))
+      .then(fetchFeeStructure)
+      .then((fresh) => {
+        if (!cancelled) setStructure(fresh);
+      })
+      .catch((err) => console.error("Fee structure sync failed:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return structure;
+};
+
+export default useFeeStructure;
@@ -0,0 +1,173 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import config from "../config";
+import usePersistentQueue from "./usePersistentQueue";
+import { afterFailure, resetForRetry } from "../utils/retry";
+import { getNotifier } from "../utils/notifiers";
+import { logAudit } from "../utils/audit";
+import {
+  DEFAULT_NOTIFY_SETTINGS,
+  buildNotification,
+  getRecipient,
+  loadNotifySettings,
+  needsNotification,
+  saveNotifySettings,
+} from "../utils/notifications";
+
+// 📣 Guardian messages for recorded payments. Watches the payment queue, adds a
+// message for every payment the sheet has accepted, and sends them one at a
+// time from their own persisted queue with the same backoff as payments.
+// Nothing here writes to the payment queue, so a failing gateway only ever
+// delays messages. They go out on the signed-in user's `session` token; while
+// nobody is signed in they wait, as they do offline, without using up retries.
+const useNotifications = ({
+  requestQueue,
+  isRequestQueueReady,
+  students,
+  isRosterLoaded,
+  isOnline,
+  isSignedIn,
+  session,
+}) => {
+  const [settings, setSettings] = useState(DEFAULT_NOTIFY_SETTINGS);
+  const [queue, setQueue, isHydrated] = usePersistentQueue("notifications");
+  const [notifier] = useState(getNotifier);
+  const [isSending, setIsSending] = useState(false);
+  const [wakeTick, setWakeTick] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadNotifySettings()
+      .then((saved) => {
+        if (!cancelled) setSettings(saved);
+      })
+      .catch((err) => console.error("Could not read the notification settings:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const studentsByAdmission = useMemo(
+    () => new Map(students.map((s) => [String(s.admissionNo), s])),
+    [students]
+  );
+
+  // Queue a message for each newly recorded payment. Waits for the roster so
+  // a guardian is not marked "no contact" just because it has not loaded yet.
+  useEffect(() => {
+    if (!isHydrated || !isRequestQueueReady || !isRosterLoaded || !settings.enabled) return;
+
+    const queued = new Set(queue.map((n) => n.txnId));
+    const fresh = requestQueue.filter((req) => needsNotification(req, settings) && !queued.has(req.txnId));
+    if (fresh.length === 0) return;
+
+    setQueue((prev) => {
+      const known = new Set(prev.map((n) => n.txnId));
+      const added = fresh
+        .filter((req) => !known.has(req.txnId))
+        .map((req) => buildNotification(req, studentsByAdmission.get(String(req.admissionNo)), settings));
+      return [...prev, ...added];
+    });
+  }, [requestQueue, queue, settings, studentsByAdmission, isHydrated, isRequestQueueReady, isRosterLoaded, setQueue]);
+
+  const updateItem = useCallback(
+    (id, update) => setQueue((prev) => prev.map((n) => (n.id === id ? update(n) : n))),
+    [setQueue]
+  );
+
+  const send = useCallback(
+    async (item) => {
+      setIsSending(true);
+      updateItem(item.id, (n) => ({ ...n, status: "loading", attempts: (n.attempts ?? 0) + 1 }));
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), config.requestTimeoutMs);
+      let outcome;
+      try {
+        const { id, admissionNo, channel, to, subject, text } = item;
+        const data = await notifier.send(
+          { id, admissionNo, channel, to, subject, message: text },
+          { signal: controller.signal, session }
+        );
+        outcome =
+          data.status === "success"
+            ? (n) => ({ ...n, status: "success", message: data.message, sentAt: Date.now(), nextAttemptAt: null })
+            : (n) => afterFailure(n, data.message || "The gateway did not accept the message.");
+      } catch (err) {
+        console.error(err);
+        const timedOut = controller.signal.aborted;
+        outcome = (n) =>
+          afterFailure(
+            n,
+            timedOut ? `No reply within ${config.requestTimeoutMs / 1000} seconds.` : "Could not reach the message service."
+          );
+      } finally {
+        clearTimeout(timer);
+      }
+
+      updateItem(item.id, outcome);
+      setIsSending(false);
+    },
+    [notifier, updateItem, session]
+  );
+
+  // Send the next due message, or wake up when the next backoff runs out
+  useEffect(() => {
+    if (!isHydrated || !isOnline || !isSignedIn || isSending) return;
+
+    const now = Date.now();
+    const waiting = queue.filter((n) => n.status === "pending");
+    const due = waiting.find((n) => !n.nextAttemptAt || n.nextAttemptAt <= now);
+    if (due) {
+      send(due);
+      return;
+    }
+
+    const wakeAt = waiting.map((n) => n.nextAttemptAt).filter(Boolean);
+    if (wakeAt.length > 0) {
+      const timer = setTimeout(() => setWakeTick((tick) => tick + 1), Math.max(0, Math.min(...wakeAt) - now));
+      return () => clearTimeout(timer);
+    }
+  }, [queue, isHydrated, isOnline, isSignedIn, isSending, wakeTick, send]);
+
+  // A skipped message picks up a contact added to the roster since
+  const retryItem = useCallback(
+    (n) => {
+      const to = n.to || getRecipient(studentsByAdmission.get(String(n.admissionNo)), n.channel);
+      return to ? { ...resetForRetry(n), to } : n;
+    },
+    [studentsByAdmission]
+  );
+
+  const retry = useCallback((id) => updateItem(id, retryItem), [updateItem, retryItem]);
+
+  const retryAllFailed = useCallback(
+    () => setQueue((prev) => prev.map((n) => (n.status === "error" ? retryItem(n) : n))),
+    [setQueue, retryItem]
+  );
+
+  // Turning messages on starts from now: earlier payments are not messaged.
+  // `summary` says what changed, for the audit log.
+  const saveSettings = useCallback(
+    async (next, { actor = null, summary = "" } = {}) => {
+      const saved = next.enabled && !settings.enabled ? { ...next, enabledAt: Date.now() } : next;
+      await saveNotifySettings(saved);
+      setSettings(saved);
+      logAudit("notifications", actor, { summary });
+    },
+    [settings.enabled]
+  );
+
+  const counts = useMemo(() => {
+    const count = (status) => queue.filter((n) => n.status === status).length;
+    return {
+      pending: count("pending") + count("loading"),
+      sent: count("success"),
+      failed: count("error"),
+      skipped: count("skipped"),
+    };
+  }, [queue]);
+
+  return { settings, saveSettings, queue, counts, retry, retryAllFailed, notifierName: notifier.name };
+};
+
+export default useNotifications;
@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import config from "../config";
+
+// `navigator.onLine` only says a network interface is up. School Wi-Fi often
+// stays "connected" with no internet behind it, so we confirm with a probe.
+const probe = async () => {
+  if (!navigator.onLine) return false;
+  if (!config.probeUrl) return true;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.probeTimeoutMs);
+  try {
+    const url = `${config.probeUrl}${config.probeUrl.includes("?") ? "&" : "?"}probe=${Date.now()}`;
+    // An opaque no-cors response is enough: it proves the request got out and back
+    await fetch(url, { method: "GET", mode: "no-cors", cache: "no-store", signal: controller.signal });
+    return true;
+  } catch {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// 📶 Track whether the portal can actually reach the sheet
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const checkingRef = useRef(null);
+
+  // Run a probe now; concurrent callers share the same in-flight check
+  const checkConnection = useCallback(() => {
+    if (!checkingRef.current) {
+      checkingRef.current = probe()
+        .then((reachable) => {
+          setIsOnline(reachable);
+          return reachable;
+        })
+        .finally(() => {
+          checkingRef.current = null;
+        });
+    }
+    return checkingRef.current;
+  }, []);
+
+  useEffect(() => {
+    const handleOnline = () => checkConnection();
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    checkConnection();
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [checkConnection]);
+
+  // While offline keep probing, since the "online" event is not always fired
+  useEffect(() => {
+    if (isOnline) return;
+    const interval = setInterval(checkConnection, config.probeIntervalMs);
+    return () => clearInterval(interval);
+  }, [isOnline, checkConnection]);
+
+  return { isOnline, checkConnection };
+};
+
+export default useOnlineStatus;
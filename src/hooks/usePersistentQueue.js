@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from "react";
+import { getAll, putMany, deleteMany } from "../utils/db";
+
+// An item that was mid-flight when the page died may or may not have reached
+// the sheet, so it goes back to "pending" and is sent again on startup; its
+// txnId lets the sheet answer "duplicate" if the first send did land.
+// Items saved before txnIds existed reuse their numeric id as one.
+const rehydrate = (request) => {
+  const restored = request.txnId ? request : { ...request, txnId: String(request.id) };
+  return restored.status === "loading"
+    ? { ...restored, status: "pending", message: "Interrupted by a reload, resending." }
+    : restored;
+};
+
+// 💾 Request queue state that survives reloads and crashes (IndexedDB backed).
+// `store` is the object store it lives in; guardian messages use their own.
+const usePersistentQueue = (store = "requests") => {
+  const [requestQueue, setRequestQueue] = useState([]);
+  const [isHydrated, setIsHydrated] = useState(false);
+  const savedRef = useRef(new Map());
+
+  // Load whatever was left in the browser the last time the portal ran
+  useEffect(() => {
+    let cancelled = false;
+
+    getAll(store)
+      .then((stored) => {
+        if (cancelled) return;
+        const restored = stored
+          .sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0))
+          .map(rehydrate);
+        setRequestQueue((prev) => {
+          const restoredIds = new Set(restored.map((req) => req.id));
+          return [...restored, ...prev.filter((req) => !restoredIds.has(req.id))];
+        });
+      })
+      .catch((err) => {
+        console.error("Could not restore the request queue:", err);
+      })
+      .finally(() => {
+        if (!cancelled) setIsHydrated(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [store]);
+
+  // Write back only the items that changed since the last save
+  useEffect(() => {
+    if (!isHydrated) return;
+
+    const saved = savedRef.current;
+    const changed = requestQueue.filter((req) => saved.get(req.id) !== req);
+    const currentIds = new Set(requestQueue.map((req) => req.id));
+    const removed = [...saved.keys()].filter((id) => !currentIds.has(id));
+
+    savedRef.current = new Map(requestQueue.map((req) => [req.id, req]));
+
+    if (changed.length > 0) {
+      putMany(store, changed).catch((err) => console.error("Could not save the request queue:", err));
+    }
+    if (removed.length > 0) {
+      deleteMany(store, removed).catch((err) => console.error("Could not save the request queue:", err));
+    }
+  }, [requestQueue, isHydrated, store]);
+
+  return [requestQueue, setRequestQueue, isHydrated];
+};
+
+export default usePersistentQueue;
@@ -0,0 +1,138 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import config from "../config";
+import { afterFailure } from "../utils/retry";
+import { withAmount } from "../utils/fees";
+
+const PAUSED_KEY = "queuePaused";
+const RATE_WINDOW_MS = 60000;
+
+// ⚙️ Sends the payment queue: up to `queueConcurrency` requests at a time, no
+// more than `queueRatePerMinute` started in any minute, each abandoned after
+// `requestTimeoutMs`. A timed-out payment may still have reached the sheet,
+// which is fine: the retry carries the same txnId and comes back "duplicate",
+// with the amount the sheet holds. If the amount was edited in between, the
+// item takes the sheet's amount and says so, so the receipt matches the sheet.
+// While offline or paused nothing new is started; requests already in flight
+// are left to finish.
+const useQueueEngine = ({ requestQueue, setRequestQueue, isReady, isOnline, checkConnection, submit }) => {
+  const [isPaused, setIsPaused] = useState(() => localStorage.getItem(PAUSED_KEY) === "true");
+  const [wakeTick, setWakeTick] = useState(0);
+  const inFlightRef = useRef(new Map()); // request id → AbortController
+  const startedAtRef = useRef([]); // start times within the rate window
+
+  // Stay paused across reloads, so a counter paused for a reason stays that way
+  useEffect(() => {
+    localStorage.setItem(PAUSED_KEY, String(isPaused));
+  }, [isPaused]);
+
+  // Abandon whatever is in flight if the app goes away
+  useEffect(() => {
+    const inFlight = inFlightRef.current;
+    return () => inFlight.forEach((controller) => controller.abort());
+  }, []);
+
+  const updateRequest = useCallback(
+    (requestId, update) => setRequestQueue((prev) => prev.map((req) => (req.id === requestId ? update(req) : req))),
+    [setRequestQueue]
+  );
+
+  // 🔄 Send one request. It is the copy from the queue as it was when the
+  // request was started, never a value captured by an older render.
+  const send = useCallback(
+    async (request) => {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), config.requestTimeoutMs);
+      inFlightRef.current.set(request.id, controller);
+      startedAtRef.current.push(Date.now());
+
+      updateRequest(request.id, (req) => ({
+        ...req,
+        status: "loading",
+        attempts: (req.attempts ?? 0) + 1,
+      }));
+
+      let outcome;
+      try {
+        const data = await submit(request, { signal: controller.signal });
+        // "duplicate" means an earlier attempt already wrote this txnId to the sheet
+        outcome =
+          data.status === "success" || data.status === "duplicate"
+            ? (req) => {
+                const recordedAmount =
+                  data.status === "duplicate" && data.amount != null && Number(data.amount) !== Number(req.amount)
+                    ? String(data.amount)
+                    : null;
+                return {
+                  ...(recordedAmount ? withAmount(req, recordedAmount) : req),
+                  status: "success",
+                  message: recordedAmount
+                    ? `Already recorded in the sheet at ₹${recordedAmount}, not ₹${req.amount}; the receipt shows ₹${recordedAmount}.`
+                    : data.status === "duplicate"
+                      ? data.message || "Already recorded in the sheet."
+                      : data.message,
+                  // The sheet hands out receipt numbers so they stay sequential across counters
+                  receiptNo: data.receiptNo ?? req.receiptNo,
+                  completedAt: Date.now(),
+                  nextAttemptAt: null,
+                };
+              }
+            : (req) => afterFailure(req, data.message || "The sheet rejected the payment.");
+      } catch (err) {
+        console.error(err);
+        const timedOut = controller.signal.aborted;
+        // Lost the connection mid-request: hold the item without using up a retry
+        const reachable = await checkConnection();
+        outcome = reachable
+          ? (req) =>
+              afterFailure(
+                req,
+                timedOut ? `No reply within ${config.requestTimeoutMs / 1000} seconds.` : "Failed to submit payment."
+              )
+          : (req) => ({ ...req, status: "pending", message: "Waiting for the connection to return." });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      inFlightRef.current.delete(request.id);
+      updateRequest(request.id, outcome);
+    },
+    [submit, checkConnection, updateRequest]
+  );
+
+  // Start as many due items as the concurrency and rate limits allow, then
+  // wake up again when the next backoff or rate-limit slot comes round
+  useEffect(() => {
+    if (!isReady || isPaused || !isOnline) return;
+
+    const now = Date.now();
+    const inFlight = inFlightRef.current;
+    startedAtRef.current = startedAtRef.current.filter((at) => now - at < RATE_WINDOW_MS);
+    const startedAt = startedAtRef.current;
+
+    const waiting = requestQueue.filter((req) => req.status === "pending" && !inFlight.has(req.id));
+    const due = waiting.filter((req) => !req.nextAttemptAt || req.nextAttemptAt <= now);
+    const freeSlots = Math.min(config.queueConcurrency - inFlight.size, config.queueRatePerMinute - startedAt.length);
+    due.slice(0, Math.max(0, freeSlots)).forEach(send);
+
+    const wakeAt = waiting.filter((req) => req.nextAttemptAt > now).map((req) => req.nextAttemptAt);
+    if (due.length > freeSlots && startedAt.length >= config.queueRatePerMinute) {
+      wakeAt.push(startedAt[0] + RATE_WINDOW_MS);
+    }
+    if (wakeAt.length > 0) {
+      const timer = setTimeout(() => setWakeTick((tick) => tick + 1), Math.max(0, Math.min(...wakeAt) - now));
+      return () => clearTimeout(timer);
+    }
+  }, [requestQueue, isReady, isPaused, isOnline, wakeTick, send]);
+
+  const counts = useMemo(() => {
+    const count = (status) => requestQueue.filter((req) => req.status === status).length;
+    return { pending: count("pending"), inFlight: count("loading"), succeeded: count("success"), failed: count("error") };
+  }, [requestQueue]);
+
+  const pause = useCallback(() => setIsPaused(true), []);
+  const resume = useCallback(() => setIsPaused(false), []);
+
+  return { isPaused, pause, resume, counts };
+};
+
+export default useQueueEngine;
@@ -0,0 +1,233 @@
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { loadCachedRoster, saveCachedRoster, fetchRoster, addRosterVersion, rosterNeedsSession } from "../utils/roster";
+import {
+  loadRosterEdits,
+  saveRosterEdits,
+  applyRosterEdits,
+  pruneRosterEdits,
+  toRosterEdit,
+  toRosterEdits,
+  STUDENT_STATUSES,
+} from "../utils/rosterEdits";
+import { logAudit } from "../utils/audit";
+
+const SAVE_LABELS = {
+  import: "Imported",
+  restore: "Restored",
+};
+
+const EMPTY = [];
+const NO_EDITS = {};
+
+// Replace the edit for each student with `update(admissionNo)` (null drops it)
+const withEdits = (current, admissionNos, update) => {
+  const next = { ...current };
+  admissionNos.forEach((admissionNo) => {
+    const edit = update(admissionNo);
+    if (edit) next[admissionNo] = edit;
+    else delete next[admissionNo];
+  });
+  return next;
+};
+
+// 📋 Student roster loaded at runtime: cached copy first, then a sync.
+// When the sync fails (offline, sheet down) the cached roster stays in use.
+// Students added, edited or imported on this counter are laid over whatever
+// was synced; none of it reaches the sheet or the other counters. The proxy
+// and the sheet only send the roster to a signed-in `session`, so it syncs
+// once someone signs in, and the cached copy serves until then.
+const useRoster = ({ session = null } = {}) => {
+  const [roster, setRoster] = useState(null);
+  const [edits, setEdits] = useState(NO_EDITS);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [syncError, setSyncError] = useState(null);
+
+  const refresh = useCallback(async (cached) => {
+    setIsSyncing(true);
+    try {
+      const fresh = await fetchRoster(cached, { session });
+      await saveCachedRoster(fresh);
+      if (fresh.students !== cached?.students) {
+        await addRosterVersion({ source: "sync", note: fresh.source, students: fresh.students });
+        logAudit("roster", null, {
+          summary: `Synced ${fresh.students.length} students${fresh.source ? ` from ${fresh.source}` : ""}`,
+          source: "sync",
+        });
+      }
+      setRoster(fresh);
+      setSyncError(null);
+    } catch (err) {
+      console.error("Roster sync failed:", err);
+      setSyncError(err.message || "Could not refresh the roster.");
+    } finally {
+      setIsSyncing(false);
+    }
+  }, [session]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadRosterEdits()
+      .then((saved) => {
+        if (!cancelled) setEdits(saved);
+      })
+      .catch((err) => console.error("Could not read the roster edits:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Show the cached roster, then sync; again whenever the session changes
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCachedRoster()
+      .catch((err) => {
+        console.error("Could not read the cached roster:", err);
+        return null;
+      })
+      .then((cached) => {
+        if (cancelled) return;
+        if (cached) setRoster(cached);
+        if (session || !rosterNeedsSession()) refresh(cached);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refresh, session]);
+
+  // Drop what the sheet has caught up with, whenever either side changes
+  useEffect(() => {
+    if (!roster) return;
+    const pruned = pruneRosterEdits(roster.students, edits);
+    if (pruned === edits) return;
+    setEdits(pruned);
+    saveRosterEdits(pruned).catch((err) => console.error("Could not save the roster edits:", err));
+  }, [roster, edits]);
+
+  const students = useMemo(
+    () => (roster ? applyRosterEdits(roster.students, edits) : EMPTY),
+    [roster, edits]
+  );
+
+  const findSynced = useCallback(
+    (admissionNo) => roster?.students.find((s) => s.admissionNo === admissionNo) ?? null,
+    [roster]
+  );
+
+
+  // Make a locally built roster (import merge, restore) the one in use. It is
+  // kept as edits over the synced roster, so a later sync only brings in the
+  // students it does not touch. The new roster was built from the one shown,
+  // edits included, so the edits are worked out afresh. `actor` is the
+  // signed-in user, for the audit log.
+  const saveRoster = useCallback(
+    async (students, { source = "import", note = "", summary = null, actor = null } = {}) => {
+      const nextEdits = toRosterEdits(roster?.students ?? EMPTY, students);
+      const inUse = applyRosterEdits(roster?.students ?? EMPTY, nextEdits);
+      await saveRosterEdits(nextEdits);
+      await addRosterVersion({ source, note, summary, students: inUse });
+      setEdits(nextEdits);
+
+      const changes = summary ? ` (+${summary.added} −${summary.removed} ~${summary.changed})` : "";
+      logAudit("roster", actor, {
+        summary: `${SAVE_LABELS[source] ?? source} ${inUse.length} students${changes}${note ? ` · ${note}` : ""}`,
+        source,
+        changes: summary,
+      });
+    },
+    [roster]
+  );
+
+  // ✏️ Add a student or change one from the Students screen. Takes effect in
+  // the billing search at once and survives later syncs.
+  const saveStudent = useCallback(
+    async (student, { actor = null } = {}) => {
+      const before = students.find((s) => s.admissionNo === student.admissionNo);
+      const nextEdits = withEdits(edits, [student.admissionNo], () =>
+        toRosterEdit(findSynced(student.admissionNo), student)
+      );
+      await saveRosterEdits(nextEdits);
+      setEdits(nextEdits);
+
+      const who = `${student.name} (${student.admissionNo})`;
+      const summary = !before
+        ? `Added ${who} to class ${student.class}`
+        : (before.status ?? "active") !== (student.status ?? "active")
+          ? `Marked ${who} as ${STUDENT_STATUSES[student.status ?? "active"]}`
+          : `Edited ${who}`;
+      await addRosterVersion({
+        source: "edit",
+        note: summary,
+        students: applyRosterEdits(roster?.students ?? EMPTY, nextEdits),
+      });
+      logAudit("roster", actor, { summary, source: "edit", admissionNo: student.admissionNo, before: before ?? null });
+    },
+    [roster, edits, students, findSynced]
+  );
+
+  // 🎓 Many students changed in one go (year-end promotion), saved as one
+  // roster version and one audit entry described by `summary`
+  const saveStudents = useCallback(
+    async (changed, { actor = null, source = "edit", summary = "" } = {}) => {
+      const now = Date.now();
+      const byNo = new Map(changed.map((student) => [student.admissionNo, student]));
+      const nextEdits = withEdits(edits, [...byNo.keys()], (admissionNo) =>
+        toRosterEdit(findSynced(admissionNo), byNo.get(admissionNo), now)
+      );
+      await saveRosterEdits(nextEdits);
+      setEdits(nextEdits);
+
+      await addRosterVersion({
+        source,
+        note: summary,
+        students: applyRosterEdits(roster?.students ?? EMPTY, nextEdits),
+      });
+      logAudit("roster", actor, { summary, source, admissionNos: changed.map((s) => s.admissionNo) });
+    },
+    [roster, edits, findSynced]
+  );
+
+  // ↩️ Throw away this counter's changes to the given students (all of them
+  // when none are given), so they show exactly as the sheet has them
+  const discardEdits = useCallback(
+    async (admissionNos = Object.keys(edits), { actor = null } = {}) => {
+      const nextEdits = withEdits(edits, admissionNos, () => null);
+      await saveRosterEdits(nextEdits);
+      setEdits(nextEdits);
+
+      const summary =
+        admissionNos.length === 1
+          ? `Discarded local changes to ${admissionNos[0]}`
+          : `Discarded local changes to ${admissionNos.length} students`;
+      await addRosterVersion({
+        source: "edit",
+        note: summary,
+        students: applyRosterEdits(roster?.students ?? EMPTY, nextEdits),
+      });
+      logAudit("roster", actor, { summary, source: "edit", admissionNos });
+    },
+    [roster, edits]
+  );
+
+  const editedNos = useMemo(() => new Set(Object.keys(edits)), [edits]);
+
+  return {
+    students,
+    syncedAt: roster?.syncedAt ?? null,
+    version: roster?.version ?? null,
+    isLoaded: roster !== null,
+    isSyncing,
+    syncError,
+    refresh: () => refresh(roster),
+    saveRoster,
+    saveStudent,
+    saveStudents,
+    editedNos,
+    discardEdits,
+  };
+};
+
+export default useRoster;
@@ -0,0 +1,351 @@
+import React, { useState, useMemo } from "react";
+import {
+  EMPTY_ANALYTICS_FILTERS,
+  findDefaulters,
+  getClassTotals,
+  getCollected,
+  getDailyTrend,
+  getMonthlyTrend,
+  getTeamTotals,
+  toDefaulterRows,
+  toGroupRows,
+  withSheetPayments,
+} from "../utils/analytics";
+import { filterRoster } from "../utils/exports";
+import { getCurrentTerm } from "../utils/fees";
+import { inYear } from "../utils/academicYears";
+import { listClasses } from "../utils/studentSearch";
+import { downloadWorkbook } from "../utils/spreadsheet";
+import { toDateKey } from "../utils/dayClose";
+import { formatRupees } from "../utils/amountInWords";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const input = "px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100";
+const smallButton = "px-2 py-1 rounded text-xs font-medium transition-colors";
+
+// Bars on screen; the download always has every row
+const MAX_DAYS_SHOWN = 31;
+const MAX_DEFAULTERS_SHOWN = 200;
+
+const formatMonth = (key) =>
+  new Date(`${key}-01T00:00:00`).toLocaleDateString("en-IN", { month: "short", year: "numeric" });
+
+const DownloadButton = ({ onClick }) => (
+  <button onClick={onClick} className={`${smallButton} bg-green-700 text-white hover:bg-green-600`}>
+    Download XLSX
+  </button>
+);
+
+// One row per group, with a bar scaled to the largest total in the table
+const BarTable = ({ groups, keyLabel, formatKey = (key) => key }) => {
+  const max = Math.max(1, ...groups.map((group) => group.total));
+  return (
+    <table className="w-full text-sm">
+      <thead className="text-gray-400">
+        <tr>
+          <th className="text-left font-normal py-1 w-32">{keyLabel}</th>
+          <th className="text-right font-normal w-20">Payments</th>
+          <th className="text-right font-normal w-32">Total</th>
+          <th className="pl-4" />
+        </tr>
+      </thead>
+      <tbody>
+        {groups.map((group) => (
+          <tr key={group.key} className="border-t border-gray-700">
+            <td className="py-1 whitespace-nowrap">{formatKey(group.key)}</td>
+            <td className="text-right">{group.count}</td>
+            <td className="text-right whitespace-nowrap">{formatRupees(group.total)}</td>
+            <td className="pl-4">
+              <div className="h-2 rounded bg-blue-500" style={{ width: `${(Math.max(0, group.total) / max) * 100}%` }} />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// 📊 Collections dashboard: trends, class and team totals, and who still owes
+// Defaulters count this counter's payments until checked against the sheet,
+// which fetches each listed student's payments the way the statement does.
+const Analytics = ({ students, requestQueue, activeYear, feeStructure, feeRules, paymentSink, session }) => {
+  const [filters, setFilters] = useState(EMPTY_ANALYTICS_FILTERS);
+  const [termId, setTermId] = useState("");
+  const [sheetPayments, setSheetPayments] = useState(() => new Map());
+  const [checking, setChecking] = useState(null); // { done, total } while checking
+  const [checkError, setCheckError] = useState(null);
+
+  const setFilter = (field) => (e) => setFilters((prev) => ({ ...prev, [field]: e.target.value }));
+  const classes = useMemo(() => listClasses([...students, ...requestQueue]), [students, requestQueue]);
+  const currentTerm = useMemo(() => getCurrentTerm(feeStructure), [feeStructure]);
+  const term = feeStructure.terms.find((t) => t.id === termId) ?? currentTerm;
+
+  const collected = useMemo(() => getCollected(requestQueue, filters), [requestQueue, filters]);
+  const daily = useMemo(() => getDailyTrend(collected, filters), [collected, filters]);
+  const monthly = useMemo(() => getMonthlyTrend(collected), [collected]);
+  const byClass = useMemo(() => getClassTotals(collected), [collected]);
+  const byTeam = useMemo(() => getTeamTotals(collected, students), [collected, students]);
+  const defaulters = useMemo(
+    () =>
+      term
+        ? findDefaulters(
+            feeStructure,
+            feeRules,
+            filterRoster(students, filters),
+            inYear(withSheetPayments(requestQueue, sheetPayments), activeYear),
+            term.id
+          )
+        : [],
+    [feeStructure, feeRules, students, requestQueue, sheetPayments, activeYear, filters, term]
+  );
+  const unchecked = defaulters.filter((row) => !sheetPayments.has(String(row.student.admissionNo))).length;
+
+  // One student at a time, to go easy on the sheet
+  const checkWithSheet = async () => {
+    const admissionNos = defaulters
+      .map((row) => String(row.student.admissionNo))
+      .filter((admissionNo) => !sheetPayments.has(admissionNo));
+    const fetched = new Map(sheetPayments);
+    setCheckError(null);
+    setChecking({ done: 0, total: admissionNos.length });
+    for (const admissionNo of admissionNos) {
+      try {
+        fetched.set(admissionNo, await paymentSink.fetchPayments(admissionNo, { session }));
+      } catch (err) {
+        console.error("Could not load payments from the sheet:", err);
+        setCheckError(err.message || "Could not reach the sheet.");
+        break;
+      }
+      setChecking((prev) => ({ ...prev, done: prev.done + 1 }));
+    }
+    setSheetPayments(fetched);
+    setChecking(null);
+  };
+
+  const total = collected.reduce((sum, req) => sum + (Number(req.amount) || 0), 0);
+  const studentsPaid = new Set(collected.filter((req) => Number(req.amount) > 0).map((req) => String(req.admissionNo))).size;
+  const outstanding = defaulters.reduce((sum, row) => sum + row.outstanding, 0);
+
+  const stamp = toDateKey(Date.now());
+  const sheets = {
+    daily: { name: "Daily", rows: toGroupRows(daily, "Date") },
+    monthly: { name: "Monthly", rows: toGroupRows(monthly, "Month") },
+    byClass: { name: "By class", rows: toGroupRows(byClass, "Class") },
+    byTeam: { name: "By team", rows: toGroupRows(byTeam, "Team") },
+    defaulters: { name: `Defaulters ${term?.label ?? ""}`.trim(), rows: toDefaulterRows(defaulters) },
+  };
+  const download = (key) => downloadWorkbook(`collections-${key}-${stamp}.xlsx`, [sheets[key]]);
+  const downloadAll = () =>
+    downloadWorkbook(`collections-${stamp}.xlsx`, [
+      {
+        name: "Filters",
+        rows: [
+          ["Exported at", new Date().toLocaleString("en-IN")],
+          ["From", filters.from || "—"],
+          ["To", filters.to || "—"],
+          ["Class", filters.className || "All"],
+          ["Defaulters for", `${activeYear} ${term?.label ?? ""}`.trim()],
+          ["Defaulters checked with the sheet", unchecked === 0 ? "Yes" : `No, ${unchecked} counted from this counter only`],
+          ["Collected", total],
+          ["Outstanding", outstanding],
+        ],
+      },
+      ...Object.values(sheets),
+    ]);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h1 className="text-2xl font-semibold">Collections</h1>
+            <p className="text-sm text-gray-400">
+              From the payments on this counter that the sheet has recorded, net of voids and refunds.
+            </p>
+          </div>
+          <button
+            onClick={downloadAll}
+            className="px-4 py-2 rounded-md text-sm font-medium transition-colors bg-green-700 text-white hover:bg-green-600"
+          >
+            Download all (XLSX)
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-4 text-sm text-gray-300">
+          <label className="flex flex-col gap-1">
+            From
+            <input type="date" value={filters.from} onChange={setFilter("from")} className={input} />
+          </label>
+          <label className="flex flex-col gap-1">
+            To
+            <input type="date" value={filters.to} onChange={setFilter("to")} className={input} />
+          </label>
+          <label className="flex flex-col gap-1">
+            Class
+            <select value={filters.className} onChange={setFilter("className")} className={input}>
+              <option value="">All classes</option>
+              {classes.map((c) => (
+                <option key={c} value={c}>Class {c}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {[
+          ["Collected", formatRupees(total), "text-green-300"],
+          ["Payments", collected.length, "text-gray-100"],
+          ["Students paid", studentsPaid, "text-gray-100"],
+          [`Outstanding · ${term?.label ?? "—"}`, formatRupees(outstanding), "text-red-300"],
+        ].map(([label, value, color]) => (
+          <div key={label} className={card}>
+            <p className="text-sm text-gray-400">{label}</p>
+            <p className={`text-2xl font-semibold ${color}`}>{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className={card}>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold">Daily</h3>
+          <DownloadButton onClick={() => download("daily")} />
+        </div>
+        {daily.length === 0 ? (
+          <p className="text-sm text-gray-400">No payments in this range.</p>
+        ) : (
+          <>
+            <BarTable groups={daily.slice(-MAX_DAYS_SHOWN)} keyLabel="Date" />
+            {daily.length > MAX_DAYS_SHOWN && (
+              <p className="text-xs text-gray-500 mt-3">
+                Showing the last {MAX_DAYS_SHOWN} of {daily.length} days; the download has them all.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className={card}>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold">Monthly</h3>
+          <DownloadButton onClick={() => download("monthly")} />
+        </div>
+        {monthly.length === 0 ? (
+          <p className="text-sm text-gray-400">No payments in this range.</p>
+        ) : (
+          <BarTable groups={monthly} keyLabel="Month" formatKey={formatMonth} />
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className={card}>
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-lg font-semibold">By class</h3>
+            <DownloadButton onClick={() => download("byClass")} />
+          </div>
+          <BarTable groups={byClass} keyLabel="Class" />
+        </div>
+        <div className={card}>
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-lg font-semibold">By team</h3>
+            <DownloadButton onClick={() => download("byTeam")} />
+          </div>
+          <BarTable groups={byTeam} keyLabel="Team" />
+        </div>
+      </div>
+
+      <div className={card}>
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-3">
+          <div>
+            <h3 className="text-lg font-semibold">Defaulters · {activeYear}</h3>
+            <p className="text-xs text-gray-500">
+              Active students with no payment or a balance for the fees due up to the chosen term, late fees included,
+              counting only payments for {activeYear}. The class filter applies; the dates do not.
+            </p>
+            {unchecked > 0 ? (
+              <p className="text-xs text-yellow-300 mt-1">
+                Counted from this counter's payments only: {unchecked} of these may have paid at another counter. Check
+                with the sheet before following anyone up.
+              </p>
+            ) : (
+              defaulters.length > 0 && <p className="text-xs text-green-300 mt-1">Checked with the sheet.</p>
+            )}
+            {checkError && <p className="text-xs text-red-300 mt-1">{checkError}</p>}
+          </div>
+          <div className="flex items-center gap-3">
+            {unchecked > 0 && (
+              <button
+                onClick={checkWithSheet}
+                disabled={checking !== null}
+                className={`${smallButton} bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50`}
+              >
+                {checking ? `Checking ${checking.done} of ${checking.total}…` : "Check with the sheet"}
+              </button>
+            )}
+            <select
+              value={term?.id ?? ""}
+              onChange={(e) => setTermId(e.target.value)}
+              className={`${input} text-sm`}
+            >
+              {feeStructure.terms.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.label}
+                  {t.id === currentTerm?.id ? " (current)" : ""}
+                </option>
+              ))}
+            </select>
+            <DownloadButton onClick={() => download("defaulters")} />
+          </div>
+        </div>
+        {defaulters.length === 0 ? (
+          <p className="text-sm text-gray-400">
+            {term ? "Nobody owes anything up to this term." : "The fee structure has no terms."}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="text-left font-normal py-1">Adm. No</th>
+                  <th className="text-left font-normal">Student</th>
+                  <th className="text-left font-normal">Team</th>
+                  <th className="text-left font-normal">Guardian phone</th>
+                  <th className="text-right font-normal">Due so far</th>
+                  <th className="text-right font-normal">Paid</th>
+                  <th className="text-right font-normal">Outstanding</th>
+                  <th className="text-left font-normal pl-4">Last paid</th>
+                </tr>
+              </thead>
+              <tbody>
+                {defaulters.slice(0, MAX_DEFAULTERS_SHOWN).map((row) => (
+                  <tr key={row.student.admissionNo} className="border-t border-gray-700">
+                    <td className="py-1">{row.student.admissionNo}</td>
+                    <td>
+                      {row.student.name} <span className="text-gray-400">· Class {row.student.class}</span>
+                    </td>
+                    <td>{row.student.team || "—"}</td>
+                    <td>{row.student.guardianPhone || "—"}</td>
+                    <td className="text-right">{formatRupees(row.dueSoFar)}</td>
+                    <td className="text-right">{formatRupees(row.paid)}</td>
+                    <td className="text-right text-red-300">{formatRupees(row.outstanding)}</td>
+                    <td className="pl-4">
+                      {row.noPayment && <span className="text-yellow-300">No payment yet</span>}
+                      {!row.noPayment && row.lastPaidAt && new Date(row.lastPaidAt).toLocaleDateString("en-IN")}
+                      {row.inQueue > 0 && <span className="text-gray-400"> · {formatRupees(row.inQueue)} in queue</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {defaulters.length > MAX_DEFAULTERS_SHOWN && (
+              <p className="text-xs text-gray-500 mt-3">
+                Showing {MAX_DEFAULTERS_SHOWN} of {defaulters.length}; the download has them all.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Analytics;
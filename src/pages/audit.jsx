@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from "react";
+import { AUDIT_ACTIONS, listAudit } from "../utils/audit";
+import { getRoleLabel } from "../utils/auth";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const input = "px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100";
+
+// 📝 Read-only view of the audit trail, newest first
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [action, setAction] = useState("");
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    listAudit()
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch((err) => console.error("Could not load the audit log:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const shown = action ? entries.filter((entry) => entry.action === action) : entries;
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={`${card} flex flex-wrap items-end justify-between gap-4`}>
+        <div>
+          <h1 className="text-2xl font-semibold">Audit log</h1>
+          <p className="text-sm text-gray-400">Every payment, correction and roster change made on this counter.</p>
+        </div>
+        <div className="flex gap-3">
+          <select value={action} onChange={(e) => setAction(e.target.value)} className={`${input} text-sm`}>
+            <option value="">All actions</option>
+            {Object.entries(AUDIT_ACTIONS).map(([id, label]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setRefreshKey((k) => k + 1)}
+            className="px-4 py-2 rounded-md text-sm font-medium bg-gray-700 text-gray-200 hover:bg-gray-600"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className={`${card} overflow-x-auto`}>
+        {shown.length === 0 ? (
+          <p className="text-sm text-gray-400">Nothing has been logged yet.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="text-left font-normal py-1">When</th>
+                <th className="text-left font-normal">Who</th>
+                <th className="text-left font-normal">Action</th>
+                <th className="text-left font-normal">Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((entry) => (
+                <tr key={entry.id} className="border-t border-gray-700 align-top">
+                  <td className="py-2 pr-4 whitespace-nowrap">{new Date(entry.at).toLocaleString("en-IN")}</td>
+                  <td className="pr-4 whitespace-nowrap">
+                    {entry.actor ? (
+                      <>
+                        {entry.actor.name}
+                        <span className="text-gray-400"> · {entry.actor.id} · {getRoleLabel(entry.actor.role)}</span>
+                      </>
+                    ) : (
+                      <span className="text-gray-400">System</span>
+                    )}
+                  </td>
+                  <td className="pr-4 whitespace-nowrap">{AUDIT_ACTIONS[entry.action] ?? entry.action}</td>
+                  <td className="text-gray-300">{entry.summary}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -1,269 +1,167 @@
-import React, { useState, useEffect } from "react";
-import students from "../public/students.json";
-
-const Billing = () => {
-  const [admissionNo, setAdmissionNo] = useState("");
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { Link } from "react-router-dom";
+import RequestQueue from "../components/RequestQueue";
+import StudentSearch from "../components/StudentSearch";
+import StudentDetails from "../components/StudentDetails";
+import PaymentForm from "../components/PaymentForm";
+import { buildLedger } from "../utils/feeRules";
+import { isActive } from "../utils/rosterEdits";
+import { inYear } from "../utils/academicYears";
+import config from "../config";
+
+// 💳 The billing counter: find a student, take a payment, watch the queue.
+// The queue itself lives in App so it keeps sending while other pages are open.
+const Billing = ({
+  roster,
+  feeStructure,
+  feeRules,
+  requestQueue,
+  activeYear,
+  user,
+  onAddToQueue,
+  queueActions,
+  receiptPaper,
+  onReceiptPaperChange,
+}) => {
   const [student, setStudent] = useState(null);
-  const [amount, setAmount] = useState("");
-  const [requestQueue, setRequestQueue] = useState([]);
-  const [isProcessing, setIsProcessing] = useState(false);
 
+  // Refs for the input fields
+  const admissionNoInputRef = useRef(null);
+  const amountInputRef = useRef(null);
+
+  // Focus the admission number input when the page opens
   useEffect(() => {
-    // Initialize sheet URL from environment
-    const sheetUrl = import.meta.env.VITE_SHEETURL;
-    if (!sheetUrl) {
-      console.error("VITE_SHEETURL environment variable is not set");
-    }
+    admissionNoInputRef.current?.focus();
   }, []);
 
-  // 🔵 Add request to queue
-  const addToQueue = (payload) => {
-    const newRequest = {
-      id: Date.now(),
-      ...payload,
-      status: "pending", // pending, loading, success, error
-      timestamp: new Date().toLocaleTimeString()
-    };
-    setRequestQueue(prev => [...prev, newRequest]);
-  };
-
-  // 🔍 Handle Search by Admission Number
-  const handleSearch = () => {
-    const found = students.find((s) => String(s.admissionNo) === admissionNo.trim());
+  // 🔍 Student picked from the search box
+  const handleSelectStudent = (found) => {
+    setStudent(found);
+    // Focus the amount input field once it renders for the chosen student
     if (found) {
-      setStudent(found);
-    } else {
-      setStudent(null);
-      alert("Student not found!");
+      setTimeout(() => amountInputRef.current?.focus(), 0);
     }
   };
 
   // 🟢 Handle Submit Payment (adds to queue)
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!student || !amount) {
+  const handleSubmit = ({ amount, allocations, ...paymentFields }) => {
+    if (!student) {
       alert("Missing student or amount.");
+      admissionNoInputRef.current?.focus();
       return;
     }
 
-    addToQueue({
-      admissionNo,
+    onAddToQueue({
+      admissionNo: student.admissionNo,
       name: student.name,
       class: student.class,
-      amount
+      amount,
+      allocations,
+      ...paymentFields,
+      // Concessions and fines behind what was due, as they stood at the counter
+      ...(ledger.appliedRules.length > 0 && { appliedRules: ledger.appliedRules }),
+      // Who took the money, as recorded in the sheet and printed on the receipt
+      cashier: user.name,
+      cashierId: user.id
     });
 
     // Reset form
-    setAdmissionNo("");
     setStudent(null);
-    setAmount("");
-  };
-
-  // 🔄 Process queue items one by one
-  useEffect(() => {
-    if (requestQueue.length > 0 && !isProcessing) {
-      const nextRequest = requestQueue.find(req => req.status === "pending");
-      if (nextRequest) {
-        processRequest(nextRequest.id);
-      }
-    }
-  }, [requestQueue, isProcessing]);
-
-  // 🔄 Process individual request
-  const processRequest = async (requestId) => {
-    setIsProcessing(true);
-    
-    setRequestQueue(prev => 
-      prev.map(req => 
-        req.id === requestId ? { ...req, status: "loading" } : req
-      )
-    );
-
-    try {
-      const request = requestQueue.find(req => req.id === requestId);
-      const sheetUrl = import.meta.env.VITE_SHEETURL;
-      
-      const res = await fetch(sheetUrl, {
-        method: "POST",
-        body: JSON.stringify(request),
-      });
-
-      const data = await res.json();
-      setRequestQueue(prev => 
-        prev.map(req => 
-          req.id === requestId 
-            ? { ...req, status: data.status === "success" ? "success" : "error", message: data.message } 
-            : req
-        )
-      );
-    } catch (err) {
-      console.error(err);
-      setRequestQueue(prev => 
-        prev.map(req => 
-          req.id === requestId 
-            ? { ...req, status: "error", message: "Failed to submit payment." } 
-            : req
-        )
-      );
-    } finally {
-      setIsProcessing(false);
-    }
+    // Refocus the admission number input after successful submission
+    admissionNoInputRef.current?.focus();
   };
 
-  // 🟡 Get status color
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "success": return "bg-green-50 text-green-700 border-green-200";
-      case "error": return "bg-red-50 text-red-700 border-red-200";
-      case "loading": return "bg-blue-50 text-blue-700 border-blue-200";
-      default: return "bg-gray-50 text-gray-700 border-gray-200";
-    }
-  };
+  // Students who have left stay on the roster for their history, not in the search
+  const activeStudents = useMemo(() => roster.students.filter(isActive), [roster.students]);
 
-  // 🟡 Get status icon
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case "success": 
-        return (
-          <svg className="w-4 h-4 text-green-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
-          </svg>
-        );
-      case "error":
-        return (
-          <svg className="w-4 h-4 text-red-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
-          </svg>
-        );
-      case "loading":
-        return (
-          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600"></div>
-        );
-      default:
-        return (
-          <div className="w-4 h-4 rounded-full bg-gray-400"></div>
-        );
-    }
-  };
+  // Dues are for the active year, so only its payments count
+  const ledger = useMemo(
+    () => (student ? buildLedger(feeStructure, feeRules, student, inYear(requestQueue, activeYear)) : null),
+    [feeStructure, feeRules, student, requestQueue, activeYear]
+  );
 
   return (
-    <div className="min-h-screen bg-gray-50 flex flex-col md:flex-row">
+    <div className="flex flex-col md:flex-row print:hidden">
       {/* Main Form Section */}
       <div className="md:w-2/3 p-6">
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-          <h1 className="text-2xl font-semibold text-gray-800 mb-6">Fee Submission Portal</h1>
+        <div className="bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6">
+          <div className="flex flex-wrap justify-between items-center gap-3 mb-6">
+            <h1 className="text-2xl font-semibold text-gray-100">Fee Submission Portal</h1>
+            <span className="text-sm text-gray-400">
+              Year <span className="text-gray-200">{activeYear}</span> · Cashier:{" "}
+              <span className="text-gray-200">{user.name}</span> ({user.id})
+            </span>
+          </div>
 
-          {/* Admission No Search */}
-          <div className="flex gap-3 mb-6">
-            <input
-              type="number"
-              placeholder="Enter Admission No"
-              value={admissionNo}
-              onChange={(e) => setAdmissionNo(e.target.value)}
-              className="flex-1 px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 border-gray-300 bg-white text-gray-800"
-            />
+          {/* Roster sync status */}
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4 text-xs text-gray-400">
+            <span>
+              {roster.isLoaded
+                ? `Roster: ${activeStudents.length} students · last synced ${
+                    roster.syncedAt ? new Date(roster.syncedAt).toLocaleString() : "never"
+                  }`
+                : "Loading roster…"}
+              {roster.syncError && roster.isLoaded && (
+                <span className="text-yellow-400"> · using cached copy ({roster.syncError})</span>
+              )}
+              {roster.syncError && !roster.isLoaded && (
+                <span className="text-red-400"> · {roster.syncError}</span>
+              )}
+            </span>
             <button
-              onClick={handleSearch}
-              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+              onClick={roster.refresh}
+              disabled={roster.isSyncing}
+              className="px-2 py-1 rounded bg-gray-700 text-gray-200 hover:bg-gray-600 disabled:opacity-50"
             >
-              Search
+              {roster.isSyncing ? "Syncing…" : "Refresh roster"}
             </button>
           </div>
 
+          {/* Student Search */}
+          <StudentSearch
+            students={activeStudents}
+            onSelect={handleSelectStudent}
+            inputRef={admissionNoInputRef}
+          />
+
           {/* Show Student Details */}
+          {student && <StudentDetails student={student} ledger={ledger} />}
           {student && (
-            <div className="bg-gray-50 rounded-md p-4 mb-6 text-gray-700 space-y-2 border border-gray-200">
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <p className="text-sm text-gray-500">Name</p>
-                  <p className="font-medium">{student.name}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-500">Class</p>
-                  <p className="font-medium">{student.class}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-500">Team</p>
-                  <p className="font-medium">{student.team || "—"}</p>
-                </div>
-              </div>
-            </div>
+            <Link
+              to={`/statement/${encodeURIComponent(student.admissionNo)}`}
+              className="inline-block -mt-3 mb-6 text-sm text-blue-300 hover:underline"
+            >
+              View statement and past payments
+            </Link>
           )}
 
           {/* Amount + Submit */}
           {student && (
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label className="block text-gray-700 font-medium mb-1">
-                  Amount (₹)
-                </label>
-                <input
-                  type="number"
-                  placeholder="Enter Amount"
-                  value={amount}
-                  onChange={(e) => setAmount(e.target.value)}
-                  className="w-full px-4 py-2 border rounded-md focus:ring-2 focus:ring-blue-500 border-gray-300 bg-white text-gray-800"
-                />
-              </div>
-
-              <button
-                type="submit"
-                className="w-full py-2.5 bg-blue-600 text-white rounded-md font-medium transition-colors hover:bg-blue-700"
-              >
-                Add to Queue
-              </button>
-            </form>
+            <PaymentForm
+              key={student.admissionNo}
+              ledger={ledger}
+              onSubmit={handleSubmit}
+              amountInputRef={amountInputRef}
+            />
           )}
 
-          <p className="text-center text-gray-500 mt-6 text-sm">
-            Requests will be processed sequentially in the queue
+          <p className="text-center text-gray-400 mt-6 text-sm">
+            Payments go to the sheet from the queue, up to {config.queueConcurrency} at a time
           </p>
         </div>
       </div>
 
       {/* Queue Status Section */}
       <div className="md:w-1/3 p-6">
-        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 h-full">
-          <h2 className="text-lg font-semibold text-gray-800 mb-4">Request Queue</h2>
-          
-          {requestQueue.length === 0 ? (
-            <div className="text-center py-8 text-gray-500">
-              <p>No requests in queue</p>
-              <p className="text-sm mt-1">Submit a payment to see it here</p>
-            </div>
-          ) : (
-            <div className="space-y-3 max-h-[calc(100vh-200px)] overflow-y-auto">
-              {[...requestQueue].reverse().map((request) => (
-                <div 
-                  key={request.id} 
-                  className={`p-3 rounded-md border ${getStatusColor(request.status)} text-sm`}
-                >
-                  <div className="flex justify-between items-start">
-                    <div className="flex items-center space-x-2">
-                      {getStatusIcon(request.status)}
-                      <span className="font-medium capitalize">{request.status}</span>
-                    </div>
-                    <span className="text-xs text-gray-500">{request.timestamp}</span>
-                  </div>
-                  
-                  <div className="mt-2 space-y-1">
-                    <p className="font-medium truncate">{request.name}</p>
-                    <div className="flex justify-between text-xs">
-                      <span>Adm: {request.admissionNo}</span>
-                      <span className="font-semibold">₹{request.amount}</span>
-                    </div>
-                    {request.message && (
-                      <p className="text-xs mt-1 text-gray-600 truncate">{request.message}</p>
-                    )}
-                  </div>
-                </div>
-              ))}
-            </div>
-          )}
-        </div>
+        <RequestQueue
+          requestQueue={requestQueue}
+          {...queueActions}
+          receiptPaper={receiptPaper}
+          onReceiptPaperChange={onReceiptPaperChange}
+        />
       </div>
     </div>
   );
 };
 
-export default Billing;
\ No newline at end of file
+export default Billing;
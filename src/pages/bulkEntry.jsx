@@ -0,0 +1,188 @@
+import React, { useState, useMemo } from "react";
+import { checkBulkRows, readPastedText, readSpreadsheet } from "../utils/bulkEntry";
+import { formatRupees } from "../utils/amountInWords";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors";
+
+// 📋 Fees a class teacher collected for the whole class, entered from their
+// list in one go. Every row is checked against the roster; only the good ones
+// are queued, together, under one batch ID. Bulk lists are taken as cash.
+const BulkEntry = ({ students, feeStructure, feeRules, requestQueue, user, onAddBatch }) => {
+  const [text, setText] = useState("");
+  const [fileRows, setFileRows] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [error, setError] = useState(null);
+  const [queuedMessage, setQueuedMessage] = useState(null);
+
+  const rows = useMemo(() => fileRows ?? readPastedText(text), [fileRows, text]);
+  const entries = useMemo(
+    () => checkBulkRows(rows, { students, feeStructure, feeRules, requests: requestQueue }),
+    [rows, students, feeStructure, feeRules, requestQueue]
+  );
+  const valid = entries.filter((entry) => entry.errors.length === 0);
+  const invalidCount = entries.length - valid.length;
+  const total = valid.reduce((sum, entry) => sum + entry.amount, 0);
+
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        setFileRows(readSpreadsheet(event.target.result));
+        setFileName(file.name);
+        setText("");
+        setError(null);
+      } catch (err) {
+        setFileRows(null);
+        setError("Failed to read the file. Please upload an .xlsx, .xls or .csv spreadsheet.");
+        console.error("Error parsing file:", err);
+      }
+    };
+    reader.readAsArrayBuffer(file);
+    setQueuedMessage(null);
+  };
+
+  const clearList = () => {
+    setText("");
+    setFileRows(null);
+    setFileName("");
+    setError(null);
+  };
+
+  const handleQueue = () => {
+    if (valid.length === 0) return;
+    const skipped = invalidCount > 0 ? `\n${invalidCount} ${invalidCount === 1 ? "row" : "rows"} with problems will be left out.` : "";
+    if (!window.confirm(`Queue ${valid.length} payments totalling ${formatRupees(total)}?${skipped}`)) return;
+
+    const batchId = onAddBatch(
+      valid.map((entry) => ({
+        admissionNo: entry.student.admissionNo,
+        name: entry.student.name,
+        class: entry.student.class,
+        amount: String(entry.amount),
+        allocations: entry.allocations,
+        ...(entry.appliedRules.length > 0 && { appliedRules: entry.appliedRules }),
+        mode: "cash",
+        cashier: user.name,
+        cashierId: user.id,
+      }))
+    );
+    setQueuedMessage(`Batch ${batchId}: ${valid.length} payments, ${formatRupees(total)}, added to the queue.`);
+    clearList();
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <h1 className="text-2xl font-semibold mb-1">Bulk entry</h1>
+        <p className="text-sm text-gray-400 mb-4">
+          Paste admission numbers and amounts, one student per line, or upload the teacher's spreadsheet. A header row
+          naming the Admission No and Amount columns is optional; without one the first two columns are used.
+        </p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <textarea
+            value={text}
+            onChange={(e) => {
+              setText(e.target.value);
+              setFileRows(null);
+              setFileName("");
+              setQueuedMessage(null);
+            }}
+            rows={8}
+            placeholder={"Adm No\tAmount\n777\t1500\n788\t1500"}
+            className="w-full px-4 py-2 border rounded-md font-mono text-sm border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-500"
+          />
+          <div className="space-y-3 text-sm text-gray-300">
+            <label className="block">
+              <span className="block mb-1">Or upload a spreadsheet</span>
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={handleFileUpload}
+                className="block w-full text-gray-300 file:mr-3 file:px-4 file:py-2 file:rounded-md file:border-0 file:bg-gray-700 file:text-gray-200"
+              />
+            </label>
+            {fileName && <p className="text-gray-400">Reading {fileName}</p>}
+            {error && <p className="text-red-300">{error}</p>}
+            {queuedMessage && <p className="text-green-300">{queuedMessage}</p>}
+            {rows.length > 0 && (
+              <button onClick={clearList} className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}>
+                Clear list
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {entries.length > 0 && (
+        <div className={card}>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <p className="text-gray-300">
+              {valid.length} of {entries.length} rows ready · total {formatRupees(total)}
+              {invalidCount > 0 && <span className="text-red-300"> · {invalidCount} with problems</span>}
+            </p>
+            <button
+              onClick={handleQueue}
+              disabled={valid.length === 0}
+              className={`${button} bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50`}
+            >
+              Queue {valid.length} {valid.length === 1 ? "payment" : "payments"}
+            </button>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="text-left font-normal py-1">Row</th>
+                  <th className="text-left font-normal">Adm. No</th>
+                  <th className="text-left font-normal">Student</th>
+                  <th className="text-right font-normal">Amount</th>
+                  <th className="text-left font-normal pl-4">Fee heads</th>
+                  <th className="text-left font-normal">Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => {
+                  const hasErrors = entry.errors.length > 0;
+                  const badAdmission = hasErrors && !entry.student;
+                  const badAmount = hasErrors && entry.amount === null;
+                  return (
+                    <tr
+                      key={entry.rowNumber}
+                      className={`border-t border-gray-700 ${hasErrors ? "bg-red-900/30" : ""}`}
+                    >
+                      <td className="py-1 text-gray-400">{entry.rowNumber}</td>
+                      <td className={badAdmission ? "text-red-300 font-semibold" : ""}>{entry.admissionNo || "—"}</td>
+                      <td>{entry.student ? `${entry.student.name} · Class ${entry.student.class}` : "—"}</td>
+                      <td className={`text-right ${badAmount ? "text-red-300 font-semibold" : ""}`}>
+                        {entry.amount === null ? entry.amountText || "—" : formatRupees(entry.amount)}
+                      </td>
+                      <td className="pl-4 text-gray-300">
+                        {entry.allocations.map((a) => `${a.label} ${formatRupees(Number(a.amount))}`).join(", ")}
+                      </td>
+                      <td>
+                        {entry.errors.map((message) => (
+                          <p key={message} className="text-red-300">{message}</p>
+                        ))}
+                        {entry.warnings.map((message) => (
+                          <p key={message} className="text-yellow-300">{message}</p>
+                        ))}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkEntry;
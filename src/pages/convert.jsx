@@ -1,10 +1,53 @@
 // ExcelToJsonConverter.jsx
-import React, { useState } from 'react';
+import React, { useState, useMemo } from 'react';
 import * as XLSX from 'xlsx';
+import {
+  ROSTER_FIELDS,
+  detectHeaderRow,
+  autoMapColumns,
+  extractStudents,
+  validateStudents,
+  toRosterRecords,
+} from '../utils/rosterImport';
+import RosterMerge from '../components/RosterMerge';
+import RosterHistory from '../components/RosterHistory';
+import { downloadJson } from '../utils/download';
 
-const ExcelToJsonConverter = () => {
-  const [jsonData, setJsonData] = useState(null);
+const card = 'bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6';
+const select = 'px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100';
+const PREVIEW_ROWS = 8;
+
+// Column letter for a 0-based index: 0 → A, 27 → AB
+const columnLetter = (index) => XLSX.utils.encode_col(index);
+
+const ExcelToJsonConverter = ({ roster, user }) => {
+  const [workbook, setWorkbook] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [sheetName, setSheetName] = useState('');
+  const [headerIndex, setHeaderIndex] = useState(-1);
+  const [mapping, setMapping] = useState({});
+  const [onlyValid, setOnlyValid] = useState(false);
   const [error, setError] = useState(null);
+  const [historyKey, setHistoryKey] = useState(0);
+  const [savedMessage, setSavedMessage] = useState(null);
+
+  // Every sheet is read as rows of display text (so 0777 stays 0777)
+  const rows = useMemo(() => {
+    if (!workbook || !sheetName) return [];
+    return XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false });
+  }, [workbook, sheetName]);
+
+  const headerRow = headerIndex >= 0 ? rows[headerIndex] ?? [] : [];
+  const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+  // Detect the header row and the mapping afresh for a newly chosen sheet
+  const selectSheet = (wb, name) => {
+    const sheetRows = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: '', raw: false });
+    const detected = detectHeaderRow(sheetRows);
+    setSheetName(name);
+    setHeaderIndex(detected);
+    setMapping(detected >= 0 ? autoMapColumns(sheetRows[detected]) : {});
+  };
 
   const handleFileUpload = (e) => {
     const file = e.target.files[0];
@@ -13,110 +56,254 @@ const ExcelToJsonConverter = () => {
     const reader = new FileReader();
     reader.onload = (event) => {
       try {
-        const binaryStr = event.target.result;
-        const workbook = XLSX.read(binaryStr, { type: 'binary' });
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-
-        // Convert to JSON with headers as keys
-        const excelJson = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-
-        // Find the index of the header row (if it exists in the data)
-        const headerRowIndex = excelJson.findIndex(row => 
-          row[0] === 'Ad.No.' && row[1] === 'Name' && row[3] === 'Class'
-        );
-
-        // Start processing from the row after the header
-        const dataRows = excelJson.slice(headerRowIndex + 1);
-
-        // Filter out empty rows and map to the required JSON structure
-        const result = dataRows
-          .filter(row => row.length >= 4 && row[0] != null && row[0] !== '') // Ensure Ad.No. is present
-          .map(row => ({
-            admissionNo: String(row[0]).trim(), // Convert to string
-            name: String(row[1]).trim(),        // Convert to string
-            class: String(row[3]).toString().trim() // Convert to string
-          }));
-
-        setJsonData(result);
+        const wb = XLSX.read(event.target.result, { type: 'array' });
+        setWorkbook(wb);
+        setFileName(file.name);
+        selectSheet(wb, wb.SheetNames[0]);
         setError(null);
       } catch (err) {
-        setError('Failed to parse Excel file. Please ensure it matches the expected format.');
+        setWorkbook(null);
+        setError('Failed to read the file. Please upload an .xlsx, .xls or .csv spreadsheet.');
         console.error('Error parsing file:', err);
       }
     };
 
-    reader.readAsBinaryString(file);
+    reader.readAsArrayBuffer(file);
+  };
+
+  const handleHeaderRowChange = (value) => {
+    const index = Number(value) - 1;
+    setHeaderIndex(index);
+    setMapping(index >= 0 && rows[index] ? autoMapColumns(rows[index]) : {});
+  };
+
+  const missingFields = ROSTER_FIELDS.filter((f) => f.required && mapping[f.id] === undefined);
+  const isReady = workbook && headerIndex >= 0 && missingFields.length === 0;
+
+  const students = useMemo(
+    () => (isReady ? extractStudents(rows, headerIndex, mapping) : []),
+    [isReady, rows, headerIndex, mapping]
+  );
+  const issues = useMemo(() => validateStudents(students), [students]);
+  const badRows = useMemo(() => new Set(issues.map((issue) => issue.rowNumber)), [issues]);
+  const exportable = useMemo(
+    () => (onlyValid ? students.filter((s) => !badRows.has(s.rowNumber)) : students),
+    [onlyValid, students, badRows]
+  );
+  const records = useMemo(() => toRosterRecords(exportable), [exportable]);
+  const canExport = isReady && exportable.length > 0 && (onlyValid || issues.length === 0);
+
+  const handleDownload = () => {
+    if (!canExport) return;
+    downloadJson(records, 'converted_data.json');
+  };
+
+  // Save the merged roster as the one in use and as a new history entry
+  const handleSaveMerged = async (merged, summary) => {
+    try {
+      await roster.saveRoster(merged, { source: 'import', note: fileName, summary, actor: user });
+      setHistoryKey((k) => k + 1);
+      setSavedMessage(
+        `Saved ${merged.length} students on this counter only. Download the latest version below and publish it as students.json or paste it into the Students sheet, so the other counters get it too.`
+      );
+    } catch (err) {
+      console.error(err);
+      alert('Could not save the merged roster.');
+    }
+  };
+
+  const handleRestore = async (version) => {
+    const when = new Date(version.savedAt).toLocaleString();
+    if (!window.confirm(`Make the roster from ${when} (${version.students.length} students) the one in use?`)) return;
+    try {
+      await roster.saveRoster(version.students, { source: 'restore', note: `version from ${when}`, actor: user });
+      setHistoryKey((k) => k + 1);
+    } catch (err) {
+      console.error(err);
+      alert('Could not restore that roster.');
+    }
   };
 
-  const downloadJson = () => {
-    if (!jsonData || jsonData.length === 0) return;
-    const jsonString = JSON.stringify(jsonData, null, 2);
-    const blob = new Blob([jsonString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'converted_data.json';
-    a.click();
-    URL.revokeObjectURL(url);
+  const columnLabel = (index) => {
+    const header = String(headerRow[index] ?? '').trim();
+    return header ? `${columnLetter(index)} · ${header}` : `Column ${columnLetter(index)}`;
   };
 
   return (
-    <div style={{ padding: '20px', fontFamily: 'Arial, sans-serif' }}>
-      <h2>Excel to JSON Converter</h2>
-      <p>Upload your Excel file (e.g., <code>Book1.xlsx</code>) to convert it to JSON.</p>
-
-      <input
-        type="file"
-        accept=".xlsx, .xls"
-        onChange={handleFileUpload}
-        style={{ marginBottom: '20px', padding: '8px' }}
-      />
-
-      {error && <div style={{ color: 'red', marginBottom: '20px' }}>{error}</div>}
-
-      {jsonData && jsonData.length > 0 && (
-        <div>
-          <h3>Conversion Successful! ({jsonData.length} records)</h3>
-          <pre
-            style={{
-              background: '#f4f4f4',
-              padding: '15px',
-              border: '1px solid #ddd',
-              borderRadius: '4px',
-              overflow: 'auto',
-              maxHeight: '400px',
-              whiteSpace: 'pre-wrap',
-              wordWrap: 'break-word',
-            }}
-          >
-            {JSON.stringify(jsonData, null, 2)}
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <h2 className="text-2xl font-semibold mb-2">Excel to JSON Converter</h2>
+        <p className="text-sm text-gray-400 mb-4">
+          Upload your Excel file (e.g., <code>Book1.xlsx</code>), check the columns and download the roster as JSON.
+        </p>
+        <input
+          type="file"
+          accept=".xlsx, .xls, .csv"
+          onChange={handleFileUpload}
+          className="text-sm text-gray-300 file:mr-4 file:px-4 file:py-2 file:rounded-md file:border-0 file:bg-blue-600 file:text-white"
+        />
+        {error && <div className="mt-4 text-red-300">{error}</div>}
+      </div>
+
+      {workbook && (
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-4">1. Sheet and header row</h3>
+          <div className="flex flex-wrap gap-6 mb-4">
+            <label className="text-sm text-gray-300">
+              Sheet
+              <select value={sheetName} onChange={(e) => selectSheet(workbook, e.target.value)} className={`${select} ml-2`}>
+                {workbook.SheetNames.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-300">
+              Header is row
+              <input
+                type="number"
+                min="1"
+                max={rows.length}
+                value={headerIndex >= 0 ? headerIndex + 1 : ''}
+                onChange={(e) => handleHeaderRowChange(e.target.value)}
+                className={`${select} ml-2 w-24`}
+              />
+            </label>
+            <span className="text-sm text-gray-400 self-center">{fileName} · {rows.length} rows</span>
+          </div>
+
+          {headerIndex < 0 && (
+            <p className="text-yellow-300 text-sm mb-4">
+              No header row was recognised. Enter the row number that holds the column names.
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="text-xs w-full">
+              <tbody>
+                {rows.slice(0, Math.max(PREVIEW_ROWS, headerIndex + 3)).map((row, i) => (
+                  <tr
+                    key={i}
+                    onClick={() => handleHeaderRowChange(i + 1)}
+                    className={`cursor-pointer border-t border-gray-700 ${i === headerIndex ? 'bg-blue-900 font-semibold' : 'hover:bg-gray-700'}`}
+                  >
+                    <td className="pr-3 text-gray-500">{i + 1}</td>
+                    {Array.from({ length: columnCount }, (_, c) => (
+                      <td key={c} className="pr-3 py-1 whitespace-nowrap">{row[c]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">Click a row to use it as the header.</p>
+        </div>
+      )}
+
+      {workbook && headerIndex >= 0 && (
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-4">2. Map columns to fields</h3>
+          <div className="grid sm:grid-cols-2 gap-4">
+            {ROSTER_FIELDS.map((field) => (
+              <label key={field.id} className="flex items-center justify-between gap-3 text-sm text-gray-300">
+                <span>
+                  {field.label}
+                  {field.required && <span className="text-red-400"> *</span>}
+                </span>
+                <select
+                  value={mapping[field.id] ?? ''}
+                  onChange={(e) =>
+                    setMapping((prev) => {
+                      const next = { ...prev };
+                      if (e.target.value === '') delete next[field.id];
+                      else next[field.id] = Number(e.target.value);
+                      return next;
+                    })
+                  }
+                  className={`${select} w-56`}
+                >
+                  <option value="">— not in file —</option>
+                  {Array.from({ length: columnCount }, (_, c) => (
+                    <option key={c} value={c}>{columnLabel(c)}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          {missingFields.length > 0 && (
+            <p className="text-yellow-300 text-sm mt-4">
+              Map the required fields: {missingFields.map((f) => f.label).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {isReady && (
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-4">3. Validation report</h3>
+          <p className="text-sm text-gray-300 mb-3">
+            {students.length} records · {issues.length === 0 ? 'no problems found' : `${issues.length} problems in ${badRows.size} rows`}
+          </p>
+
+          {issues.length > 0 && (
+            <ul className="text-sm text-red-300 space-y-1 max-h-64 overflow-y-auto mb-4">
+              {issues.map((issue, i) => (
+                <li key={i}>Row {issue.rowNumber}: {issue.message}</li>
+              ))}
+            </ul>
+          )}
+
+          {issues.length > 0 && (
+            <label className="flex items-center gap-2 text-sm text-gray-300 mb-4">
+              <input type="checkbox" checked={onlyValid} onChange={(e) => setOnlyValid(e.target.checked)} />
+              Leave out the {badRows.size} rows with problems ({students.length - badRows.size} records remain)
+            </label>
+          )}
+
+          <pre className="bg-gray-900 border border-gray-700 rounded p-4 text-xs overflow-auto max-h-96 whitespace-pre-wrap">
+            {JSON.stringify(records.slice(0, 50), null, 2)}
+            {exportable.length > 50 && `\n… ${exportable.length - 50} more`}
           </pre>
-          <br />
+
           <button
-            onClick={downloadJson}
-            style={{
-              padding: '10px 20px',
-              fontSize: '16px',
-              backgroundColor: '#4CAF50',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              cursor: 'pointer',
-            }}
+            onClick={handleDownload}
+            disabled={!canExport}
+            className="mt-4 px-5 py-2.5 bg-green-700 text-white rounded-md font-medium hover:bg-green-600 disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            Download JSON File
+            Download JSON File ({exportable.length} records)
           </button>
         </div>
       )}
 
-      {jsonData && jsonData.length === 0 && (
-        <div style={{ color: 'orange' }}>
+      {isReady && students.length === 0 && (
+        <div className="text-yellow-300">
           The file was processed, but no data rows were found.
         </div>
       )}
+
+      {isReady && canExport && roster.isLoaded && (
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-1">4. Compare and merge with the current roster</h3>
+          <p className="text-sm text-yellow-300 mb-4">
+            A merged roster is kept in this browser only, laid over the roster synced from the sheet. Other counters
+            keep billing from the sheet until it is updated there too. Students the file leaves out are marked inactive.
+          </p>
+          <RosterMerge
+            key={`${sheetName}:${headerIndex}:${JSON.stringify(mapping)}:${onlyValid}`}
+            current={roster.students}
+            incoming={records}
+            fileName={fileName}
+            onSave={handleSaveMerged}
+          />
+          {savedMessage && <p className="text-sm text-green-300 mt-3">{savedMessage}</p>}
+        </div>
+      )}
+
+      <div className={card}>
+        <h3 className="text-lg font-semibold mb-4">Roster history</h3>
+        <RosterHistory refreshKey={historyKey} onRestore={handleRestore} />
+      </div>
     </div>
   );
 };
 
-export default ExcelToJsonConverter;
\ No newline at end of file
+export default ExcelToJsonConverter;
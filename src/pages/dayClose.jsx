@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { summarizeDay, toDateKey, DENOMINATIONS, countCash, loadClosing, saveClosing } from "../utils/dayClose";
+import { formatRupees } from "../utils/amountInWords";
+import { describePayment } from "../utils/paymentModes";
+import { downloadWorkbook } from "../utils/spreadsheet";
+import config from "../config";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6 print:bg-white print:border-gray-300 print:shadow-none";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors";
+
+const GroupTable = ({ title, keyLabel, groups }) => (
+  <div className={card}>
+    <h3 className="text-md font-semibold mb-3">{title}</h3>
+    <table className="w-full text-sm">
+      <thead className="text-gray-400 print:text-gray-600">
+        <tr>
+          <th className="text-left font-normal py-1">{keyLabel}</th>
+          <th className="text-right font-normal">Count</th>
+          <th className="text-right font-normal">Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        {groups.length === 0 && (
+          <tr><td colSpan={3} className="py-2 text-gray-500">Nothing collected</td></tr>
+        )}
+        {groups.map((g) => (
+          <tr key={g.key} className="border-t border-gray-700 print:border-gray-300">
+            <td className="py-1">{keyLabel === "Class" ? `Class ${g.key}` : g.key}</td>
+            <td className="text-right">{g.count}</td>
+            <td className="text-right">{formatRupees(g.total)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// 🧾 End-of-day closing: collection summary, cash count and variance
+const DayClose = ({ requestQueue }) => {
+  const [dateKey, setDateKey] = useState(() => toDateKey(Date.now()));
+  const [counts, setCounts] = useState({});
+  const [closedAt, setClosedAt] = useState(null);
+
+  const summary = useMemo(() => summarizeDay(requestQueue, dateKey), [requestQueue, dateKey]);
+  const counted = countCash(counts);
+  const variance = counted - summary.expectedCash;
+
+  // Bring back a cash count already entered for this date
+  useEffect(() => {
+    let cancelled = false;
+    loadClosing(dateKey)
+      .then((closing) => {
+        if (cancelled) return;
+        setCounts(closing?.counts ?? {});
+        setClosedAt(closing?.closedAt ?? null);
+      })
+      .catch((err) => console.error("Could not load the day close:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [dateKey]);
+
+  const handleClose = async () => {
+    if (summary.unfinished.length > 0 || summary.failed.length > 0) {
+      const ok = window.confirm(
+        `${summary.unfinished.length} pending and ${summary.failed.length} failed payments are not in the total. Close the day anyway?`
+      );
+      if (!ok) return;
+    }
+    const now = Date.now();
+    try {
+      await saveClosing(dateKey, { counts, counted, expectedCash: summary.expectedCash, variance, closedAt: now });
+      setClosedAt(now);
+    } catch (err) {
+      console.error(err);
+      alert("Could not save the day close.");
+    }
+  };
+
+  const handleExport = () => {
+    const totals = [
+      ["School", config.schoolName],
+      ["Date", dateKey],
+      ["Transactions", summary.succeeded.length],
+      ["Total collected", summary.totalCollected],
+      ["Expected cash", summary.expectedCash],
+      ["Cash counted", counted],
+      ["Variance", variance],
+      ["Failed payments", summary.failed.length],
+      ["Failed amount", summary.failedTotal],
+      ["Pending payments", summary.unfinished.length],
+      ["Pending amount", summary.unfinishedTotal],
+    ];
+    const groupRows = (groups, keyLabel) => groups.map((g) => ({ [keyLabel]: g.key, Count: g.count, Total: g.total }));
+    const transactions = [...summary.succeeded, ...summary.failed, ...summary.unfinished].map((req) => ({
+      Time: new Date(req.createdAt).toLocaleTimeString(),
+      "Recorded at": req.completedAt ? new Date(req.completedAt).toLocaleString() : "",
+      "Receipt No": req.receiptNo ?? "",
+      "Admission No": req.admissionNo,
+      Name: req.name,
+      Class: req.class,
+      Amount: Number(req.amount),
+      Payment: describePayment(req),
+      Cashier: req.cashier ?? "",
+      Status: req.status,
+      "Transaction ID": req.txnId,
+    }));
+
+    downloadWorkbook(`day-close-${dateKey}.xlsx`, [
+      { name: "Summary", rows: totals },
+      { name: "By mode", rows: groupRows(summary.byMode, "Mode") },
+      { name: "By class", rows: groupRows(summary.byClass, "Class") },
+      { name: "By cashier", rows: groupRows(summary.byCashier, "Cashier") },
+      { name: "Transactions", rows: transactions },
+    ]);
+  };
+
+  return (
+    <div className="p-6 space-y-6 print:p-0 print:text-black">
+      <div className={`${card} flex flex-wrap items-center justify-between gap-4`}>
+        <div>
+          <h1 className="text-2xl font-semibold">Day Close</h1>
+          <p className="text-sm text-gray-400 print:text-gray-600">
+            {config.schoolName} · {dateKey}
+            {closedAt && ` · closed at ${new Date(closedAt).toLocaleTimeString()}`}
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-3 print:hidden">
+          <input
+            type="date"
+            value={dateKey}
+            onChange={(e) => e.target.value && setDateKey(e.target.value)}
+            className="px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100"
+          />
+          <button onClick={handleExport} className={`${button} bg-green-700 text-white hover:bg-green-600`}>
+            Export XLSX
+          </button>
+          <button onClick={() => window.print()} className={`${button} bg-gray-600 text-gray-100 hover:bg-gray-500`}>
+            Print
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className={card}>
+          <p className="text-sm text-gray-400 print:text-gray-600">Collected</p>
+          <p className="text-xl font-semibold">{formatRupees(summary.totalCollected)}</p>
+          <p className="text-xs text-gray-400 print:text-gray-600">{summary.succeeded.length} transactions</p>
+        </div>
+        <div className={card}>
+          <p className="text-sm text-gray-400 print:text-gray-600">Expected cash</p>
+          <p className="text-xl font-semibold">{formatRupees(summary.expectedCash)}</p>
+        </div>
+        <div className={card}>
+          <p className="text-sm text-gray-400 print:text-gray-600">Failed</p>
+          <p className="text-xl font-semibold text-red-300 print:text-black">{summary.failed.length}</p>
+          <p className="text-xs text-gray-400 print:text-gray-600">{formatRupees(summary.failedTotal)}</p>
+        </div>
+        <div className={card}>
+          <p className="text-sm text-gray-400 print:text-gray-600">Pending</p>
+          <p className="text-xl font-semibold text-yellow-300 print:text-black">{summary.unfinished.length}</p>
+          <p className="text-xs text-gray-400 print:text-gray-600">{formatRupees(summary.unfinishedTotal)}</p>
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-6">
+        <GroupTable title="By payment mode" keyLabel="Mode" groups={summary.byMode} />
+        <GroupTable title="By class" keyLabel="Class" groups={summary.byClass} />
+        <GroupTable title="By cashier" keyLabel="Cashier" groups={summary.byCashier} />
+      </div>
+
+      {/* Cash drawer count */}
+      <div className={card}>
+        <h3 className="text-md font-semibold mb-3">Cash count</h3>
+        <div className="grid grid-cols-3 md:grid-cols-9 gap-3">
+          {DENOMINATIONS.map((value) => (
+            <label key={value} className="text-sm text-gray-400 print:text-gray-600">
+              ₹{value} ×
+              <input
+                type="number"
+                min="0"
+                value={counts[value] ?? ""}
+                onChange={(e) => setCounts((prev) => ({ ...prev, [value]: e.target.value }))}
+                className="mt-1 w-full px-2 py-1 border rounded border-gray-600 bg-gray-700 text-gray-100 print:bg-white print:text-black"
+              />
+            </label>
+          ))}
+        </div>
+        <div className="mt-4 grid grid-cols-3 gap-4 text-sm">
+          <p>Counted: <span className="font-semibold">{formatRupees(counted)}</span></p>
+          <p>Expected: <span className="font-semibold">{formatRupees(summary.expectedCash)}</span></p>
+          <p>
+            Variance:{" "}
+            <span className={`font-semibold ${variance === 0 ? "text-green-300" : "text-red-300"} print:text-black`}>
+              {variance > 0 ? "+" : ""}{formatRupees(variance)}
+            </span>
+          </p>
+        </div>
+        <button
+          onClick={handleClose}
+          className={`${button} mt-4 bg-blue-600 text-white hover:bg-blue-700 print:hidden`}
+        >
+          {closedAt ? "Update day close" : "Close the day"}
+        </button>
+      </div>
+
+      {(summary.failed.length > 0 || summary.unfinished.length > 0) && (
+        <div className={card}>
+          <h3 className="text-md font-semibold mb-3">Not yet in the sheet</h3>
+          <ul className="text-sm space-y-1">
+            {[...summary.failed, ...summary.unfinished].map((req) => (
+              <li key={req.id} className="flex justify-between gap-3">
+                <span>{req.name} (Adm {req.admissionNo}) · {describePayment(req)}</span>
+                <span className="capitalize">{req.status} · {formatRupees(req.amount)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DayClose;
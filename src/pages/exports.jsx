@@ -0,0 +1,115 @@
+import React, { useState, useMemo } from "react";
+import { filterPayments, filterRoster, toPaymentRows, toRosterRows, EMPTY_FILTERS } from "../utils/exports";
+import PaymentFilters from "../components/PaymentFilters";
+import { listClasses } from "../utils/studentSearch";
+import { downloadWorkbook, rowsToCsv } from "../utils/spreadsheet";
+import { downloadText, downloadJson } from "../utils/download";
+import { toDateKey } from "../utils/dayClose";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed";
+
+// 📤 Export centre: roster and payment history as CSV, XLSX or JSON
+const Exports = ({ students, requestQueue }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [datasets, setDatasets] = useState({ payments: true, roster: true });
+
+  const classes = useMemo(() => listClasses([...students, ...requestQueue]), [students, requestQueue]);
+  const payments = useMemo(
+    () => filterPayments(requestQueue, filters).sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0)),
+    [requestQueue, filters]
+  );
+  const roster = useMemo(() => filterRoster(students, filters), [students, filters]);
+
+  const stamp = toDateKey(Date.now());
+  const nothingChosen = !datasets.payments && !datasets.roster;
+
+  const exportCsv = () => {
+    // CSV holds one table, so each dataset is its own file
+    if (datasets.payments) downloadText(rowsToCsv(toPaymentRows(payments)), `payments-${stamp}.csv`, "text/csv");
+    if (datasets.roster) downloadText(rowsToCsv(toRosterRows(roster)), `roster-${stamp}.csv`, "text/csv");
+  };
+
+  const exportXlsx = () => {
+    const filterSummary = [
+      ["Exported at", new Date().toLocaleString("en-IN")],
+      ["From", filters.from || "—"],
+      ["To", filters.to || "—"],
+      ["Class", filters.className || "All"],
+      ["Status", filters.status || "All"],
+      ["Search", filters.query || "—"],
+      ["Payments", datasets.payments ? payments.length : "not exported"],
+      ["Students", datasets.roster ? roster.length : "not exported"],
+    ];
+    downloadWorkbook(`hisan-store-export-${stamp}.xlsx`, [
+      { name: "Export", rows: filterSummary },
+      ...(datasets.payments ? [{ name: "Payments", rows: toPaymentRows(payments) }] : []),
+      ...(datasets.roster ? [{ name: "Roster", rows: toRosterRows(roster) }] : []),
+    ]);
+  };
+
+  const exportJson = () => {
+    downloadJson(
+      {
+        exportedAt: new Date().toISOString(),
+        filters,
+        ...(datasets.payments ? { payments } : {}),
+        ...(datasets.roster ? { roster } : {}),
+      },
+      `hisan-store-export-${stamp}.json`
+    );
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <h1 className="text-2xl font-semibold mb-2">Export</h1>
+        <p className="text-sm text-gray-400">
+          Download the roster and the payment history kept on this counter to work with them offline.
+        </p>
+      </div>
+
+      <div className={card}>
+        <h3 className="text-lg font-semibold mb-4">Filters</h3>
+        <PaymentFilters filters={filters} onChange={setFilters} classes={classes} />
+        <p className="text-xs text-gray-500 mt-3">Search, dates and status apply to payments; class applies to both.</p>
+      </div>
+
+      <div className={card}>
+        <h3 className="text-lg font-semibold mb-4">Include</h3>
+        <div className="flex flex-wrap gap-6 text-sm text-gray-300 mb-6">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={datasets.payments}
+              onChange={(e) => setDatasets((prev) => ({ ...prev, payments: e.target.checked }))}
+            />
+            Payment history ({payments.length})
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={datasets.roster}
+              onChange={(e) => setDatasets((prev) => ({ ...prev, roster: e.target.checked }))}
+            />
+            Roster ({roster.length})
+          </label>
+        </div>
+
+        <div className="flex flex-wrap gap-3">
+          <button onClick={exportCsv} disabled={nothingChosen} className={`${button} bg-gray-600 text-white hover:bg-gray-500`}>
+            Download CSV
+          </button>
+          <button onClick={exportXlsx} disabled={nothingChosen} className={`${button} bg-green-700 text-white hover:bg-green-600`}>
+            Download XLSX
+          </button>
+          <button onClick={exportJson} disabled={nothingChosen} className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+            Download JSON
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Exports;
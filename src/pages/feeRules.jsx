@@ -0,0 +1,225 @@
+import React, { useState, useMemo } from "react";
+import ConcessionRuleForm from "../components/ConcessionRuleForm";
+import LateFeeRuleForm from "../components/LateFeeRuleForm";
+import { CONCESSION_KINDS, LATE_FEE_KINDS, EMPTY_RULES, describeRule, matchesConcession } from "../utils/feeRules";
+import { downloadJson } from "../utils/download";
+import { formatRupees } from "../utils/amountInWords";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors";
+const smallButton = "px-2 py-1 rounded text-xs font-medium transition-colors";
+
+// 🏷️ Admin page for concessions, scholarships and late fines. The billing
+// counter works out what each student owes from these; every change is logged.
+// Changes apply on this counter until they are published as fee-rules.json.
+const FeeRules = ({ feeRules, feeStructure, students, user }) => {
+  const { rules, saveRules, isLocal, discardLocalRules } = feeRules;
+  const [adding, setAdding] = useState(null); // "concession" | "lateFee" | null
+
+  const categories = useMemo(
+    () => [...new Set(students.map((s) => String(s.category ?? "").trim()).filter(Boolean))].sort(),
+    [students]
+  );
+  const termLabel = (termId) => feeStructure.terms.find((t) => t.id === termId)?.label ?? termId;
+  const headLabels = (ids) =>
+    ids?.length ? ids.map((id) => feeStructure.heads.find((h) => h.id === id)?.label ?? id).join(", ") : "All heads";
+
+  const save = async (next, summary) => {
+    try {
+      await saveRules(next, { actor: user, summary });
+      setAdding(null);
+    } catch (err) {
+      console.error(err);
+      alert("Could not save the fee rules.");
+    }
+  };
+
+  const addConcession = (rule) =>
+    save({ ...rules, concessions: [...rules.concessions, rule] }, `Added concession "${rule.label}" (${describeRule(rule)})`);
+  const addLateFee = (rule) =>
+    save({ ...rules, lateFees: [...rules.lateFees, rule] }, `Added late-fee rule "${rule.label}" (${describeRule(rule)})`);
+
+  const removeRule = (list, rule) => {
+    if (!window.confirm(`Remove "${rule.label}"? Payments already taken keep the amounts they were charged.`)) return;
+    save({ ...rules, [list]: rules[list].filter((r) => r.id !== rule.id) }, `Removed "${rule.label}"`);
+  };
+
+  const handleDiscard = () => {
+    if (!window.confirm("Discard the rules changed on this counter and go back to the published ones?")) return;
+    discardLocalRules({ actor: user }).catch((err) => {
+      console.error(err);
+      alert("Could not discard the fee rules.");
+    });
+  };
+
+  // Copy the rules to another counter
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const imported = JSON.parse(text);
+        if (!Array.isArray(imported.concessions) || !Array.isArray(imported.lateFees)) {
+          throw new Error("Not a fee rules file.");
+        }
+        const next = { ...EMPTY_RULES, concessions: imported.concessions, lateFees: imported.lateFees };
+        if (!window.confirm(`Replace the rules on this counter with the ${next.concessions.length} concessions and ${next.lateFees.length} late-fee rules in ${file.name}?`)) return;
+        return save(next, `Imported fee rules from ${file.name}`);
+      })
+      .catch((err) => {
+        console.error(err);
+        alert("Could not read that file as fee rules.");
+      });
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={`${card} flex flex-wrap items-start justify-between gap-4`}>
+        <div>
+          <h1 className="text-2xl font-semibold">Fee rules</h1>
+          <p className="text-sm text-gray-400 max-w-2xl">
+            Concessions come off what a student owes for the year; late fees are added while a term stays unpaid past
+            its due date and grace period. The billing counter shows the breakdown and records it with each payment.
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={() => downloadJson(rules, "fee-rules.json")}
+            className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}
+          >
+            Download rules
+          </button>
+          <label className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600 cursor-pointer`}>
+            Import rules
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          </label>
+        </div>
+        {isLocal ? (
+          <p className="w-full px-3 py-2 rounded-md border border-yellow-700 bg-yellow-900 text-yellow-200 text-sm">
+            These rules apply on this device only. The other counters use the published fee-rules.json, so they work
+            out different dues and receipts for the students these rules touch. Download the rules and publish them as
+            fee-rules.json next to fee-structure.json to apply them everywhere, or{" "}
+            <button onClick={handleDiscard} className="underline">
+              discard them
+            </button>
+            .
+          </p>
+        ) : (
+          <p className="w-full text-xs text-gray-500">
+            Every counter uses the published fee-rules.json. A change made here applies on this device only until the
+            downloaded rules are published in its place.
+          </p>
+        )}
+      </div>
+
+      <div className={card}>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold">Concessions and scholarships</h3>
+          {adding !== "concession" && (
+            <button onClick={() => setAdding("concession")} className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+              Add concession
+            </button>
+          )}
+        </div>
+        {adding === "concession" && (
+          <ConcessionRuleForm
+            heads={feeStructure.heads}
+            categories={categories}
+            onSave={addConcession}
+            onClose={() => setAdding(null)}
+          />
+        )}
+        <table className="w-full text-sm">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="text-left font-normal py-1">Name</th>
+              <th className="text-left font-normal">Amount</th>
+              <th className="text-left font-normal">Applies to</th>
+              <th className="text-left font-normal">Heads</th>
+              <th className="text-right font-normal">Students</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rules.concessions.map((rule) => (
+              <tr key={rule.id} className="border-t border-gray-700">
+                <td className="py-1">{rule.label}</td>
+                <td>
+                  {describeRule(rule)} <span className="text-gray-500">({CONCESSION_KINDS[rule.kind]})</span>
+                </td>
+                <td>
+                  {[rule.category && `Category "${rule.category}"`, rule.admissionNos?.length && `Adm. ${rule.admissionNos.join(", ")}`]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </td>
+                <td>{headLabels(rule.heads)}</td>
+                <td className="text-right">{students.filter((s) => matchesConcession(rule, s)).length}</td>
+                <td className="text-right">
+                  <button
+                    onClick={() => removeRule("concessions", rule)}
+                    className={`${smallButton} bg-gray-700 text-red-300 hover:bg-gray-600`}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rules.concessions.length === 0 && <p className="text-sm text-gray-400 mt-3">No concessions yet.</p>}
+      </div>
+
+      <div className={card}>
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-semibold">Late fees</h3>
+          {adding !== "lateFee" && (
+            <button onClick={() => setAdding("lateFee")} className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+              Add late-fee rule
+            </button>
+          )}
+        </div>
+        {adding === "lateFee" && (
+          <LateFeeRuleForm terms={feeStructure.terms} onSave={addLateFee} onClose={() => setAdding(null)} />
+        )}
+        <table className="w-full text-sm">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="text-left font-normal py-1">Name</th>
+              <th className="text-left font-normal">Term</th>
+              <th className="text-left font-normal">Fine</th>
+              <th className="text-left font-normal">Grace</th>
+              <th className="text-left font-normal">Cap</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {rules.lateFees.map((rule) => (
+              <tr key={rule.id} className="border-t border-gray-700">
+                <td className="py-1">{rule.label}</td>
+                <td>{rule.termId ? termLabel(rule.termId) : "Every term"}</td>
+                <td>
+                  {describeRule(rule)} <span className="text-gray-500">({LATE_FEE_KINDS[rule.kind]})</span>
+                </td>
+                <td>{rule.graceDays} days</td>
+                <td>{rule.maxAmount ? formatRupees(rule.maxAmount) : "—"}</td>
+                <td className="text-right">
+                  <button
+                    onClick={() => removeRule("lateFees", rule)}
+                    className={`${smallButton} bg-gray-700 text-red-300 hover:bg-gray-600`}
+                  >
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rules.lateFees.length === 0 && <p className="text-sm text-gray-400 mt-3">No late-fee rules yet.</p>}
+      </div>
+    </div>
+  );
+};
+
+export default FeeRules;
@@ -0,0 +1,144 @@
+import React, { useState, useMemo, Fragment } from "react";
+import { Link } from "react-router-dom";
+import PaymentFilters from "../components/PaymentFilters";
+import AdjustmentForm from "../components/AdjustmentForm";
+import { filterPayments, EMPTY_FILTERS } from "../utils/exports";
+import { listClasses } from "../utils/studentSearch";
+import { formatRupees } from "../utils/amountInWords";
+import { describePayment } from "../utils/paymentModes";
+import { ADJUSTMENT_KINDS, isAdjustment, getAdjustments, describeAdjustment } from "../utils/adjustments";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+
+const STATUS_COLORS = {
+  success: "text-green-300",
+  pending: "text-yellow-300",
+  loading: "text-blue-300",
+  error: "text-red-300",
+  cancelled: "text-gray-400",
+};
+
+// 📜 Every payment taken on this counter, newest first; a student's name opens
+// their statement. Admins can void or refund a recorded payment from here
+// (`onAdjust` is only passed to them).
+const History = ({ requestQueue, onPrintReceipt, onAdjust }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [adjustingId, setAdjustingId] = useState(null);
+
+  const adjustments = useMemo(() => getAdjustments(requestQueue), [requestQueue]);
+
+  const classes = useMemo(() => listClasses(requestQueue), [requestQueue]);
+  const payments = useMemo(
+    () => filterPayments(requestQueue, filters).sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0)),
+    [requestQueue, filters]
+  );
+  const collected = payments
+    .filter((req) => req.status === "success")
+    .reduce((sum, req) => sum + (Number(req.amount) || 0), 0);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <h1 className="text-2xl font-semibold mb-4">Payment history</h1>
+        <PaymentFilters filters={filters} onChange={setFilters} classes={classes} />
+        <p className="text-sm text-gray-400 mt-4">
+          {payments.length} {payments.length === 1 ? "payment" : "payments"} · {formatRupees(collected)} recorded, net of voids and refunds
+        </p>
+      </div>
+
+      <div className={`${card} overflow-x-auto`}>
+        {payments.length === 0 ? (
+          <p className="text-sm text-gray-400">No payments match these filters.</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="text-left font-normal py-1">Date</th>
+                <th className="text-left font-normal">Receipt</th>
+                <th className="text-left font-normal">Student</th>
+                <th className="text-left font-normal">Class</th>
+                <th className="text-left font-normal">Mode</th>
+                <th className="text-right font-normal">Amount</th>
+                <th className="text-left font-normal pl-4">Status</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map((req) => {
+                const adjustment = adjustments.get(req.txnId);
+                const adjustmentState = describeAdjustment(req, adjustment);
+                const canAdjust =
+                  onAdjust && req.status === "success" && !isAdjustment(req) && !adjustment?.voidEntry;
+
+                return (
+                  <Fragment key={req.id}>
+                    <tr className="border-t border-gray-700">
+                      <td className="py-2 whitespace-nowrap">
+                        {req.createdAt ? new Date(req.createdAt).toLocaleString("en-IN") : req.timestamp}
+                      </td>
+                      <td>{req.receiptNo ?? "—"}</td>
+                      <td>
+                        <Link to={`/statement/${encodeURIComponent(req.admissionNo)}`} className="hover:underline">
+                          {req.name}
+                          <span className="text-gray-400"> · {req.admissionNo}</span>
+                        </Link>
+                        {isAdjustment(req) && (
+                          <p className="text-xs text-gray-400">
+                            {ADJUSTMENT_KINDS[req.kind]} of receipt {req.originalReceiptNo ?? "—"}: {req.reason}
+                          </p>
+                        )}
+                      </td>
+                      <td>{req.class}</td>
+                      <td className="text-gray-300">{describePayment(req)}</td>
+                      <td className="text-right">{formatRupees(Number(req.amount) || 0)}</td>
+                      <td className={`pl-4 capitalize ${STATUS_COLORS[req.status] ?? ""}`}>
+                        {req.status}
+                        {adjustmentState && <p className="text-xs normal-case text-red-300">{adjustmentState}</p>}
+                      </td>
+                      <td className="text-right whitespace-nowrap space-x-2">
+                        {req.status === "success" && (
+                          <button
+                            onClick={() => onPrintReceipt(req)}
+                            disabled={!req.receiptNo}
+                            className="px-2 py-1 rounded text-xs bg-gray-700 text-gray-200 hover:bg-gray-600 disabled:opacity-50"
+                          >
+                            Print receipt
+                          </button>
+                        )}
+                        {canAdjust && (
+                          <button
+                            onClick={() => setAdjustingId(adjustingId === req.id ? null : req.id)}
+                            className="px-2 py-1 rounded text-xs bg-gray-700 text-red-300 hover:bg-gray-600"
+                          >
+                            Void / refund
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                    {adjustingId === req.id && canAdjust && (
+                      <tr>
+                        <td colSpan={8}>
+                          <AdjustmentForm
+                            payment={req}
+                            adjustment={adjustment}
+                            onSubmit={(payment, details) => {
+                              onAdjust(payment, details);
+                              setAdjustingId(null);
+                            }}
+                            onClose={() => setAdjustingId(null)}
+                          />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default History;
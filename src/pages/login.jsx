@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import config from "../config";
+
+const input = "w-full px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-400";
+
+// 🔑 Sign-in screen shown until a cashier or admin logs in
+const Login = ({ onLogin, expiredAt, backendName }) => {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) {
+      setError("Enter your user ID and password.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onLogin(username, password);
+    } catch (err) {
+      setError(err.message);
+      setPassword("");
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-gray-100 flex items-center justify-center p-6">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6 space-y-4"
+      >
+        <div>
+          <h1 className="text-2xl font-semibold">{config.schoolName}</h1>
+          <p className="text-sm text-gray-400">Sign in to collect fees</p>
+        </div>
+
+        {expiredAt && (
+          <p className="text-sm text-yellow-300">
+            You were signed out at {new Date(expiredAt).toLocaleTimeString()} after a period of inactivity.
+          </p>
+        )}
+
+        <label className="block text-sm text-gray-300 space-y-1">
+          <span>User ID</span>
+          <input
+            type="text"
+            autoFocus
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className={input}
+          />
+        </label>
+        <label className="block text-sm text-gray-300 space-y-1">
+          <span>Password</span>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={input}
+          />
+        </label>
+
+        {error && <p className="text-sm text-red-300">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 rounded-md font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {isSubmitting ? "Signing in…" : "Sign in"}
+        </button>
+
+        {backendName === "mock" && (
+          <p className="text-xs text-gray-500">
+            Demo login is on: use cashier/cashier or admin/admin. Set VITE_AUTH_BACKEND for real accounts.
+          </p>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default Login;
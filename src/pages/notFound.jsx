@@ -0,0 +1,22 @@
+import React from "react";
+import { Link, useLocation } from "react-router-dom";
+
+const NotFound = () => {
+  const { pathname } = useLocation();
+
+  return (
+    <div className="p-6">
+      <div className="bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6 max-w-lg">
+        <h1 className="text-2xl font-semibold mb-2">Page not found</h1>
+        <p className="text-sm text-gray-400 mb-4">
+          There is nothing at <code>{pathname}</code>.
+        </p>
+        <Link to="/billing" className="px-4 py-2 rounded-md text-sm font-medium bg-blue-600 text-white hover:bg-blue-700">
+          Back to billing
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default NotFound;
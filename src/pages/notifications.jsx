@@ -0,0 +1,288 @@
+import React, { useState, useRef } from "react";
+import config from "../config";
+import {
+  NOTIFY_CHANNELS,
+  TEMPLATE_VARIABLES,
+  findUnknownVariables,
+  getTemplateValues,
+  renderTemplate,
+} from "../utils/notifications";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors";
+const smallButton = "px-2 py-1 rounded text-xs font-medium transition-colors";
+const input = "px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-400";
+
+const MAX_ROWS = 200;
+
+const NOTIFIER_LABELS = {
+  proxy: "Gateways set up on the payment proxy",
+  console: "Browser console only (mock; nothing is sent)",
+};
+
+const STATUS_LABELS = {
+  pending: "Waiting",
+  loading: "Sending",
+  success: "Sent",
+  error: "Failed",
+  skipped: "No contact",
+};
+
+const STATUS_COLORS = {
+  pending: "text-gray-200",
+  loading: "text-blue-300",
+  success: "text-green-300",
+  error: "text-red-300",
+  skipped: "text-yellow-300",
+};
+
+// Shown in the preview before any real payment is at hand
+const SAMPLE_PAYMENT = { name: "Asha Nair", admissionNo: "777", class: "5", amount: "1500", receiptNo: 1024 };
+
+// 📣 Admin page for the messages guardians get when a payment is recorded:
+// on/off, channel, the template, and the message queue with retries
+const Notifications = ({ notifications, user }) => {
+  const { settings, saveSettings, queue, counts, retry, retryAllFailed, notifierName } = notifications;
+  const [draft, setDraft] = useState(null); // unsaved edits, null when none
+  const [statusFilter, setStatusFilter] = useState("");
+  const templateRef = useRef(null);
+
+  const values = draft ?? settings;
+  const setField = (field, value) => setDraft((prev) => ({ ...(prev ?? settings), [field]: value }));
+  const unknown = [...new Set([...findUnknownVariables(values.template), ...findUnknownVariables(values.subject)])];
+  const sample = getTemplateValues(SAMPLE_PAYMENT);
+
+  // Put {variable} where the cursor is in the template
+  const insertVariable = (key) => {
+    const el = templateRef.current;
+    const text = values.template;
+    const start = el?.selectionStart ?? text.length;
+    const end = el?.selectionEnd ?? text.length;
+    setField("template", `${text.slice(0, start)}{${key}}${text.slice(end)}`);
+    el?.focus();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft) return;
+    if (!draft.template.trim()) {
+      alert("The message cannot be empty.");
+      return;
+    }
+    if (unknown.length > 0 && !window.confirm(`{${unknown.join("}, {")}} will be sent as written. Save anyway?`)) return;
+
+    const changes = [
+      draft.enabled !== settings.enabled &&
+        (draft.enabled ? `Turned on ${NOTIFY_CHANNELS[draft.channel]} messages` : "Turned off guardian messages"),
+      draft.channel !== settings.channel && `Channel set to ${NOTIFY_CHANNELS[draft.channel]}`,
+      draft.template !== settings.template && "Message template changed",
+      draft.subject !== settings.subject && "Email subject changed",
+    ].filter(Boolean);
+    try {
+      await saveSettings(draft, { actor: user, summary: changes.join("; ") || "Saved without changes" });
+      setDraft(null);
+    } catch (err) {
+      console.error(err);
+      alert("Could not save the message settings.");
+    }
+  };
+
+  const shown = [...queue]
+    .reverse()
+    .filter((n) => !statusFilter || n.status === statusFilter)
+    .slice(0, MAX_ROWS);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <h1 className="text-2xl font-semibold">Guardian messages</h1>
+        <p className="text-sm text-gray-400 max-w-2xl">
+          When the sheet records a payment, the guardian gets a message at the phone or email on the student's roster
+          record. Messages go out from their own queue; a message that cannot be sent is retried on its own and never
+          holds up a payment. Through the proxy, a message is only sent to a contact that is on the Students sheet, so a
+          phone or email changed on this device alone is refused until the roster is published.
+        </p>
+        <p className="text-sm text-gray-300 mt-3">
+          Delivery: {NOTIFIER_LABELS[notifierName] ?? notifierName}
+          {notifierName === "proxy" && <span className="text-gray-500"> ({config.proxyUrl}/api/notify)</span>}
+        </p>
+      </div>
+
+      <form onSubmit={handleSave} className={`${card} space-y-4 text-sm text-gray-300`}>
+        <div className="flex flex-wrap items-center gap-6">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={values.enabled} onChange={(e) => setField("enabled", e.target.checked)} />
+            Send a message for every recorded payment
+          </label>
+          <label className="flex items-center gap-2">
+            Send by
+            <select value={values.channel} onChange={(e) => setField("channel", e.target.value)} className={input}>
+              {Object.entries(NOTIFY_CHANNELS).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {values.enabled && !settings.enabled && (
+          <p className="text-xs text-gray-400">Only payments recorded after you save are messaged.</p>
+        )}
+
+        {values.channel === "email" && (
+          <label className="flex flex-col gap-1">
+            Email subject
+            <input type="text" value={values.subject} onChange={(e) => setField("subject", e.target.value)} className={input} />
+          </label>
+        )}
+
+        <label className="flex flex-col gap-1">
+          Message
+          <textarea
+            ref={templateRef}
+            value={values.template}
+            onChange={(e) => setField("template", e.target.value)}
+            rows={4}
+            className={`${input} font-mono`}
+          />
+        </label>
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-gray-400">Insert:</span>
+          {Object.entries(TEMPLATE_VARIABLES).map(([key, label]) => (
+            <button
+              key={key}
+              type="button"
+              title={label}
+              onClick={() => insertVariable(key)}
+              className={`${smallButton} bg-gray-700 text-gray-200 hover:bg-gray-600 font-mono`}
+            >
+              {`{${key}}`}
+            </button>
+          ))}
+        </div>
+        {unknown.length > 0 && (
+          <p className="text-xs text-yellow-300">Not a known variable: {unknown.map((key) => `{${key}}`).join(", ")}</p>
+        )}
+
+        <div className="rounded-md bg-gray-900 p-3">
+          <p className="text-xs text-gray-400 mb-1">Preview</p>
+          {values.channel === "email" && <p className="font-medium">{renderTemplate(values.subject, sample)}</p>}
+          <p className="whitespace-pre-wrap">{renderTemplate(values.template, sample)}</p>
+          {values.channel === "sms" && (
+            <p className="text-xs text-gray-500 mt-2">
+              {renderTemplate(values.template, sample).length} characters; one SMS holds 160.
+            </p>
+          )}
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            type="submit"
+            disabled={!draft}
+            className={`${button} bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50`}
+          >
+            Save
+          </button>
+          {draft && (
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}
+            >
+              Discard changes
+            </button>
+          )}
+        </div>
+      </form>
+
+      <div className={card}>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-semibold">Message queue</h3>
+          <div className="flex gap-3">
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={`${input} text-sm`}>
+              <option value="">All messages</option>
+              {Object.entries(STATUS_LABELS).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            {counts.failed > 0 && (
+              <button onClick={retryAllFailed} className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+                Retry {counts.failed} failed
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-4 gap-2 mb-4 text-center text-xs">
+          {[
+            ["Waiting", counts.pending, STATUS_COLORS.pending],
+            ["Sent", counts.sent, STATUS_COLORS.success],
+            ["Failed", counts.failed, STATUS_COLORS.error],
+            ["No contact", counts.skipped, STATUS_COLORS.skipped],
+          ].map(([label, value, color]) => (
+            <div key={label} className="rounded-md bg-gray-900 py-1">
+              <p className={`text-base font-semibold ${color}`}>{value}</p>
+              <p className="text-gray-400">{label}</p>
+            </div>
+          ))}
+        </div>
+
+        {shown.length === 0 ? (
+          <p className="text-sm text-gray-400">No messages yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="text-left font-normal py-1">Queued</th>
+                  <th className="text-left font-normal">Student</th>
+                  <th className="text-left font-normal">Receipt</th>
+                  <th className="text-left font-normal">To</th>
+                  <th className="text-left font-normal">Status</th>
+                  <th className="text-left font-normal">Message</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((n) => (
+                  <tr key={n.id} className="border-t border-gray-700 align-top">
+                    <td className="py-1 pr-3 whitespace-nowrap">{new Date(n.createdAt).toLocaleString("en-IN")}</td>
+                    <td className="pr-3">
+                      {n.name} <span className="text-gray-400">({n.admissionNo})</span>
+                    </td>
+                    <td className="pr-3">{n.receiptNo ?? "—"}</td>
+                    <td className="pr-3 whitespace-nowrap">
+                      {n.to || "—"} <span className="text-gray-500">{NOTIFY_CHANNELS[n.channel]}</span>
+                    </td>
+                    <td className={`pr-3 ${STATUS_COLORS[n.status] ?? ""}`}>
+                      {n.status === "pending" && n.nextAttemptAt > Date.now() ? "Retrying" : STATUS_LABELS[n.status]}
+                      {n.attempts > 1 && <span className="text-gray-500"> · {n.attempts} tries</span>}
+                      {n.message && <p className="text-xs text-gray-400">{n.message}</p>}
+                    </td>
+                    <td className="pr-3 max-w-md">
+                      <p className="truncate text-gray-300" title={n.text}>{n.text}</p>
+                    </td>
+                    <td className="text-right">
+                      {(n.status === "error" || n.status === "skipped") && (
+                        <button
+                          onClick={() => retry(n.id)}
+                          title={n.status === "skipped" ? "Send if the roster now has a contact" : undefined}
+                          className={`${smallButton} bg-blue-600 text-white hover:bg-blue-700`}
+                        >
+                          Retry
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {queue.length > MAX_ROWS && !statusFilter && (
+          <p className="text-xs text-gray-500 mt-3">Showing the latest {MAX_ROWS} of {queue.length} messages.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,295 @@
+import React, { useState, useMemo } from "react";
+import { Link } from "react-router-dom";
+import {
+  GRADUATE,
+  PROMOTION_ACTIONS,
+  applyPromotion,
+  buildDefaultClassMap,
+  planPromotion,
+  summarizePromotion,
+} from "../utils/promotion";
+import { shiftYear } from "../utils/academicYears";
+import { isActive } from "../utils/rosterEdits";
+import { listClasses } from "../utils/studentSearch";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors";
+const input = "px-2 py-1 border rounded border-gray-600 bg-gray-700 text-gray-100 text-sm";
+
+const STEPS = [
+  { id: "classes", label: "1. Classes" },
+  { id: "students", label: "2. Exceptions" },
+  { id: "review", label: "3. Review" },
+];
+
+const describeTarget = (to) => (to === GRADUATE ? "Graduate" : `Class ${to}`);
+
+// 🎓 Year-end wizard: map each class to the next, hold back or graduate single
+// students, then move the whole roster on and start the next academic year.
+// The class each student leaves behind goes into their class history.
+const Promotion = ({ roster, academicYear, feeStructure, user }) => {
+  const { activeYear, isLocalYear, classHistory, recordClassHistory, setActiveYear } = academicYear;
+  const toYear = shiftYear(activeYear, 1);
+  const [step, setStep] = useState("classes");
+  const [mapOverrides, setMapOverrides] = useState({});
+  const [exceptions, setExceptions] = useState({});
+  const [exceptionClass, setExceptionClass] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [done, setDone] = useState(null);
+
+  const activeStudents = useMemo(() => roster.students.filter(isActive), [roster.students]);
+  const classes = useMemo(
+    () => listClasses([...Object.keys(feeStructure.classes).map((c) => ({ class: c })), ...activeStudents]),
+    [feeStructure, activeStudents]
+  );
+  const classMap = useMemo(() => ({ ...buildDefaultClassMap(classes), ...mapOverrides }), [classes, mapOverrides]);
+  const plan = useMemo(() => planPromotion(roster.students, classMap, exceptions), [roster.students, classMap, exceptions]);
+  const counts = summarizePromotion(plan);
+  const alreadyPromoted = Object.values(classHistory).some((entries) => entries.some((e) => e.year === activeYear));
+
+  const studentsIn = (className) => activeStudents.filter((s) => String(s.class ?? "").trim() === className);
+  const setException = (admissionNo, action, defaultAction) =>
+    setExceptions((prev) => {
+      const next = { ...prev };
+      if (action === defaultAction) delete next[admissionNo];
+      else next[admissionNo] = action;
+      return next;
+    });
+
+  const handlePromote = async () => {
+    if (
+      !window.confirm(
+        `Promote ${counts.promoted}, hold back ${counts.held} and graduate ${counts.graduated} students, and start ${toYear}?`
+      )
+    ) {
+      return;
+    }
+    setIsSaving(true);
+    try {
+      await recordClassHistory(
+        plan.map(({ student, from }) => ({ admissionNo: student.admissionNo, year: activeYear, class: from }))
+      );
+      await roster.saveStudents(applyPromotion(plan), {
+        actor: user,
+        source: "promotion",
+        summary: `Promoted ${activeYear} → ${toYear}: ${counts.promoted} moved up, ${counts.held} held back, ${counts.graduated} graduated`,
+      });
+      await setActiveYear(toYear, { actor: user });
+      setDone({ ...counts, year: toYear });
+    } catch (err) {
+      console.error(err);
+      alert("The promotion did not finish. Check the Students screen before trying again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (done) {
+    return (
+      <div className="p-6">
+        <div className={card}>
+          <h1 className="text-2xl font-semibold mb-2">Promotion done</h1>
+          <p className="text-gray-300 mb-4">
+            {done.promoted} promoted, {done.held} held back, {done.graduated} graduated. Payments are now taken for{" "}
+            {done.year}.
+          </p>
+          {isLocalYear && (
+            <p className="text-sm text-yellow-300 mb-4">
+              Only on this device so far: set "academicYear": "{done.year}" in fee-structure.json so the other counters
+              take payments for {done.year} too, and publish the roster as the Students screen explains.
+            </p>
+          )}
+          <Link to="/students" className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+            Back to students
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-semibold">Promote students</h1>
+            <p className="text-sm text-gray-400 max-w-2xl">
+              Moves every active student from {activeYear} into {toYear}. Their {activeYear} class is kept in their class
+              history for statements, and {toYear} becomes the year payments are taken for.
+            </p>
+            <p className="text-sm text-yellow-300 max-w-2xl mt-2">
+              The new classes are saved on this device only; publish the roster afterwards so the other counters bill
+              the right class.
+            </p>
+          </div>
+          <Link to="/students" className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}>
+            Back to students
+          </Link>
+        </div>
+        <nav className="flex gap-2 mt-4">
+          {STEPS.map((s) => (
+            <button
+              key={s.id}
+              onClick={() => setStep(s.id)}
+              className={`px-3 py-1.5 rounded-md text-sm transition-colors ${
+                step === s.id ? "bg-gray-700 text-white" : "text-gray-400 hover:text-gray-200"
+              }`}
+            >
+              {s.label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {step === "classes" && (
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-3">Where each class goes</h3>
+          <table className="w-full max-w-xl text-sm">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="text-left font-normal py-1">{activeYear}</th>
+                <th className="text-right font-normal pr-6">Students</th>
+                <th className="text-left font-normal">{toYear}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {classes.map((c) => (
+                <tr key={c} className="border-t border-gray-700">
+                  <td className="py-1">Class {c}</td>
+                  <td className="text-right pr-6">{studentsIn(c).length}</td>
+                  <td>
+                    <select
+                      value={classMap[c]}
+                      onChange={(e) => setMapOverrides((prev) => ({ ...prev, [c]: e.target.value }))}
+                      className={input}
+                    >
+                      {classes.map((target) => (
+                        <option key={target} value={target}>Class {target}</option>
+                      ))}
+                      <option value={GRADUATE}>Graduate</option>
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => setStep("students")} className={`${button} mt-4 bg-blue-600 text-white hover:bg-blue-700`}>
+            Next: exceptions
+          </button>
+        </div>
+      )}
+
+      {step === "students" && (
+        <div className={card}>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-3">
+            <h3 className="text-lg font-semibold">Hold back or graduate single students</h3>
+            <select value={exceptionClass} onChange={(e) => setExceptionClass(e.target.value)} className={input}>
+              <option value="">Choose a class</option>
+              {classes.map((c) => (
+                <option key={c} value={c}>Class {c} ({studentsIn(c).length})</option>
+              ))}
+            </select>
+          </div>
+          {!exceptionClass ? (
+            <p className="text-sm text-gray-400">
+              Pick a class to see its students. {Object.keys(exceptions).length} exceptions so far.
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="text-gray-400">
+                <tr>
+                  <th className="text-left font-normal py-1">Adm. No</th>
+                  <th className="text-left font-normal">Name</th>
+                  <th className="text-left font-normal">{toYear}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {studentsIn(exceptionClass).map((student) => {
+                  const defaultAction = classMap[exceptionClass] === GRADUATE ? "graduate" : "promote";
+                  const action = exceptions[student.admissionNo] ?? defaultAction;
+                  return (
+                    <tr
+                      key={student.admissionNo}
+                      className={`border-t border-gray-700 ${action !== defaultAction ? "bg-yellow-900/30" : ""}`}
+                    >
+                      <td className="py-1">{student.admissionNo}</td>
+                      <td>{student.name}</td>
+                      <td>
+                        <select
+                          value={action}
+                          onChange={(e) => setException(student.admissionNo, e.target.value, defaultAction)}
+                          className={input}
+                        >
+                          {Object.entries(PROMOTION_ACTIONS)
+                            .filter(([id]) => id !== "promote" || classMap[exceptionClass] !== GRADUATE)
+                            .map(([id, label]) => (
+                              <option key={id} value={id}>
+                                {id === "promote" ? `${label} to Class ${classMap[exceptionClass]}` : label}
+                              </option>
+                            ))}
+                        </select>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+          <button onClick={() => setStep("review")} className={`${button} mt-4 bg-blue-600 text-white hover:bg-blue-700`}>
+            Next: review
+          </button>
+        </div>
+      )}
+
+      {step === "review" && (
+        <div className={card}>
+          <h3 className="text-lg font-semibold mb-3">Review</h3>
+          {alreadyPromoted && (
+            <p className="mb-3 px-3 py-2 rounded-md border border-yellow-700 bg-yellow-900 text-yellow-200 text-sm">
+              Students have already been promoted out of {activeYear} once. Check the active year in Settings before
+              promoting again.
+            </p>
+          )}
+          <table className="w-full max-w-2xl text-sm mb-4">
+            <thead className="text-gray-400">
+              <tr>
+                <th className="text-left font-normal py-1">{activeYear}</th>
+                <th className="text-left font-normal">{toYear}</th>
+                <th className="text-right font-normal">Moved</th>
+                <th className="text-right font-normal">Held back</th>
+                <th className="text-right font-normal">Graduated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {classes
+                .map((c) => ({ c, items: plan.filter((item) => item.from === c) }))
+                .filter(({ items }) => items.length > 0)
+                .map(({ c, items }) => (
+                  <tr key={c} className="border-t border-gray-700">
+                    <td className="py-1">Class {c}</td>
+                    <td>{describeTarget(classMap[c])}</td>
+                    <td className="text-right">{items.filter((item) => item.action === "promote").length}</td>
+                    <td className="text-right">{items.filter((item) => item.action === "hold").length}</td>
+                    <td className="text-right">{items.filter((item) => item.action === "graduate").length}</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+          <p className="text-sm text-gray-300 mb-4">
+            {counts.promoted} promoted · {counts.held} held back · {counts.graduated} graduated. Graduates are marked
+            "Graduated" and leave the billing search; their payments and statements stay.
+          </p>
+          <button
+            onClick={handlePromote}
+            disabled={isSaving || plan.length === 0}
+            className={`${button} bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50`}
+          >
+            {isSaving ? "Promoting…" : `Promote and start ${toYear}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Promotion;
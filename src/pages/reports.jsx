@@ -0,0 +1,32 @@
+import React from "react";
+import { NavLink, Outlet } from "react-router-dom";
+
+const REPORT_TABS = [
+  { to: "day-close", label: "Day close" },
+  { to: "analytics", label: "Collections" },
+  { to: "export", label: "Export" },
+];
+
+// 📈 Reports section: each report is a child route shown below the tabs
+const Reports = () => (
+  <div>
+    <nav className="flex gap-2 px-6 pt-6 print:hidden">
+      {REPORT_TABS.map((tab) => (
+        <NavLink
+          key={tab.to}
+          to={tab.to}
+          className={({ isActive }) =>
+            `px-3 py-1.5 rounded-md text-sm transition-colors ${
+              isActive ? "bg-gray-700 text-white" : "text-gray-400 hover:text-gray-200"
+            }`
+          }
+        >
+          {tab.label}
+        </NavLink>
+      ))}
+    </nav>
+    <Outlet />
+  </div>
+);
+
+export default Reports;
@@ -0,0 +1,104 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import config from "../config";
+import { listYears } from "../utils/academicYears";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const input = "px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100 placeholder-gray-400";
+
+const SINK_LABELS = {
+  proxy: "Payment proxy (server/proxy.js)",
+  "apps-script": "Apps Script, directly",
+  mock: "In-memory mock (demo only)",
+};
+
+const Setting = ({ label, value }) => (
+  <div className="flex flex-wrap justify-between gap-2 py-2 border-t border-gray-700">
+    <span className="text-gray-400">{label}</span>
+    <span className="font-mono text-xs break-all">{value || "not set"}</span>
+  </div>
+);
+
+// ⚙️ Per-counter preferences; connection settings come from the build's .env
+const Settings = ({ receiptPaper, onReceiptPaperChange, academicYear, requestQueue, user }) => {
+  const { activeYear, sharedYear, isLocalYear, setActiveYear } = academicYear;
+
+  const handleYearChange = (e) => {
+    const year = e.target.value;
+    if (!window.confirm(`Take payments for ${year} from now on? Dues will count only payments made for ${year}.`)) return;
+    setActiveYear(year, { actor: user }).catch((err) => {
+      console.error(err);
+      alert("Could not change the academic year.");
+    });
+  };
+
+  return (
+    <div className="p-6 space-y-6 max-w-3xl">
+      <div className={card}>
+        <h1 className="text-2xl font-semibold mb-4">Settings</h1>
+        <div className="space-y-4 text-sm text-gray-300">
+          <label className="flex items-center justify-between gap-3">
+            Receipt paper
+            <select value={receiptPaper} onChange={(e) => onReceiptPaperChange(e.target.value)} className={`${input} w-56`}>
+              <option value="a5">A5 sheet</option>
+              <option value="thermal">80mm thermal roll</option>
+            </select>
+          </label>
+          <label className="flex items-center justify-between gap-3">
+            <span>
+              Academic year
+              <span className="block text-xs text-gray-500">Stamped on every payment; dues count only its payments.</span>
+            </span>
+            <select value={activeYear} onChange={handleYearChange} className={`${input} w-56`}>
+              {listYears(activeYear, requestQueue).map((year) => (
+                <option key={year} value={year}>{year}</option>
+              ))}
+            </select>
+          </label>
+          {isLocalYear && (
+            <p className="px-3 py-2 rounded-md border border-yellow-700 bg-yellow-900 text-yellow-200 text-sm">
+              {sharedYear
+                ? `Only this device takes payments for ${activeYear}; the other counters take them for ${sharedYear}, the year fee-structure.json names.`
+                : `fee-structure.json names no academic year, so each counter keeps the one chosen on it.`}{" "}
+              Set "academicYear": "{activeYear}" in fee-structure.json to move every counter.
+            </p>
+          )}
+          <p className="text-xs text-gray-500">
+            At the end of the year, use{" "}
+            <Link to="/students/promote" className="text-blue-300 hover:underline">Promote students</Link> to move
+            every class up and start the next year in one go.
+          </p>
+        </div>
+      </div>
+
+      <div className={card}>
+        <h3 className="text-lg font-semibold mb-2">Connections</h3>
+        <p className="text-xs text-gray-500 mb-3">Set through the VITE_ variables in .env; see .env.example.</p>
+        <div className="text-sm">
+          <Setting label="School name" value={config.schoolName} />
+          <Setting label="Payments go to" value={SINK_LABELS[config.paymentSink] ?? config.paymentSink} />
+          {config.paymentSink === "proxy" && <Setting label="Proxy" value={config.proxyUrl} />}
+          {config.paymentSink === "apps-script" && <Setting label="Apps Script" value={config.sheetUrl} />}
+          <Setting
+            label="Guardian messages"
+            value={config.notifier === "proxy" ? `${config.proxyUrl}/api/notify` : "browser console (mock)"}
+          />
+          <Setting label="Roster" value={config.rosterUrl} />
+          <Setting label="Fee structure" value={config.feeStructureUrl} />
+          <Setting label="Fee rules" value={config.feeRulesUrl} />
+          <Setting label="Logins" value={config.authBackend === "mock" ? "demo users (mock)" : config.authUrl} />
+          <Setting label="Session timeout" value={`${config.sessionTimeoutMs / 60000} minutes`} />
+          <Setting label="Automatic retries" value={String(config.maxRetries)} />
+          <Setting
+            label="Queue sending"
+            value={`${config.queueConcurrency} at a time, at most ${config.queueRatePerMinute} a minute, ${
+              config.requestTimeoutMs / 1000
+            } s timeout`}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Link, useParams } from "react-router-dom";
+import config from "../config";
+import { buildStatement, mergePaymentHistory } from "../utils/statement";
+import { ADJUSTMENT_KINDS, isAdjustment } from "../utils/adjustments";
+import { formatRupees } from "../utils/amountInWords";
+import { describePayment } from "../utils/paymentModes";
+import { getClassInYear, getPaymentYear, inYear } from "../utils/academicYears";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6 print:bg-white print:border-gray-300 print:shadow-none";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors";
+const input = "px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100";
+
+const Summary = ({ label, value }) => (
+  <div>
+    <p className="text-sm text-gray-400 print:text-gray-600">{label}</p>
+    <p className="text-xl font-semibold">{value}</p>
+  </div>
+);
+
+// 📄 Printable statement for one student: this counter's records merged with
+// whatever the sheet holds from other counters, one academic year at a time
+const Statement = ({ students, requestQueue, feeStructure, feeRules, activeYear, classHistory, paymentSink, session }) => {
+  const { admissionNo } = useParams();
+  const [chosenYear, setChosenYear] = useState(null);
+  const [remote, setRemote] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    paymentSink
+      .fetchPayments(admissionNo, { session })
+      .then((payments) => {
+        if (cancelled) return;
+        setRemote(payments);
+        setLoadError(null);
+      })
+      .catch((err) => {
+        console.error("Could not load payments from the sheet:", err);
+        if (!cancelled) setLoadError(err.message || "Could not reach the sheet.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [paymentSink, admissionNo, session, reloadKey]);
+
+  const payments = useMemo(
+    () => mergePaymentHistory(requestQueue.filter((p) => String(p.admissionNo) === admissionNo), remote ?? []),
+    [requestQueue, remote, admissionNo]
+  );
+
+  // Fall back to the payment records for a student no longer on the roster
+  const student = useMemo(() => {
+    const onRoster = students.find((s) => String(s.admissionNo) === admissionNo);
+    if (onRoster) return onRoster;
+    const latest = payments[payments.length - 1];
+    return latest ? { admissionNo, name: latest.name, class: latest.class } : null;
+  }, [students, payments, admissionNo]);
+
+  const year = chosenYear ?? activeYear;
+  const years = useMemo(
+    () => [...new Set([activeYear, ...payments.map(getPaymentYear)])].sort().reverse(),
+    [activeYear, payments]
+  );
+  const history = classHistory[admissionNo] ?? [];
+
+  // Past years are worked out with the class the student was in then
+  const statement = useMemo(
+    () =>
+      student
+        ? buildStatement(
+            feeStructure,
+            feeRules,
+            { ...student, class: getClassInYear(student, classHistory, year, activeYear) },
+            inYear(payments, year)
+          )
+        : null,
+    [feeStructure, feeRules, student, classHistory, payments, year, activeYear]
+  );
+
+  if (!student) {
+    return (
+      <div className="p-6">
+        <div className={card}>
+          <p className="text-gray-300 mb-4">
+            {isLoading ? "Loading…" : `No student or payments found for admission number ${admissionNo}.`}
+          </p>
+          <Link to="/billing" className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}>
+            Back to billing
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 space-y-6 print:p-0 print:text-black">
+      <div className={`${card} flex flex-wrap items-start justify-between gap-4`}>
+        <div>
+          <h1 className="text-2xl font-semibold">Fee statement</h1>
+          <p className="text-gray-300 print:text-black">
+            {student.name} · Adm. {student.admissionNo} · Class{" "}
+            {getClassInYear(student, classHistory, year, activeYear)} · {year}
+          </p>
+          {history.length > 0 && (
+            <p className="text-sm text-gray-400 print:text-gray-600">
+              Class history:{" "}
+              {[...history.map((entry) => `${entry.year} Class ${entry.class}`), `${activeYear} Class ${student.class}`].join(
+                " · "
+              )}
+            </p>
+          )}
+          <p className="text-sm text-gray-400 print:text-gray-600">
+            {config.schoolName} · as of {new Date().toLocaleString("en-IN")}
+          </p>
+          <p className="text-xs mt-1 print:hidden">
+            {isLoading && <span className="text-gray-400">Checking the sheet for payments from other counters…</span>}
+            {!isLoading && loadError && (
+              <span className="text-yellow-300">Showing this counter's records only ({loadError}).</span>
+            )}
+            {!isLoading && !loadError && <span className="text-green-300">Includes payments from every counter.</span>}
+          </p>
+        </div>
+        <div className="flex gap-3 print:hidden">
+          <select value={year} onChange={(e) => setChosenYear(e.target.value)} className={input}>
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y}
+                {y === activeYear ? " (current)" : ""}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setReloadKey((k) => k + 1)}
+            disabled={isLoading}
+            className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600 disabled:opacity-50`}
+          >
+            Reload
+          </button>
+          <button onClick={() => window.print()} className={`${button} bg-blue-600 text-white hover:bg-blue-700`}>
+            Print
+          </button>
+        </div>
+      </div>
+
+      <div className={`${card} grid grid-cols-3 gap-4`}>
+        <Summary label={`Due for ${year}`} value={formatRupees(statement.totalDue)} />
+        <Summary label="Paid" value={formatRupees(statement.totalPaid)} />
+        <Summary label="Balance" value={formatRupees(statement.balance)} />
+      </div>
+
+      <div className={`${card} overflow-x-auto`}>
+        <table className="w-full text-sm">
+          <thead className="text-gray-400 print:text-gray-600">
+            <tr>
+              <th className="text-left font-normal py-1">Date</th>
+              <th className="text-left font-normal">Receipt</th>
+              <th className="text-left font-normal">Details</th>
+              <th className="text-right font-normal">Amount</th>
+              <th className="text-right font-normal">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr className="border-t border-gray-700 print:border-gray-300">
+              <td className="py-1" colSpan={4}>
+                Fees due for {year}
+                {year !== activeYear && (
+                  <span className="text-xs text-gray-400 print:text-gray-600"> (at this year's fee structure)</span>
+                )}
+              </td>
+              <td className="text-right">{formatRupees(statement.totalDue)}</td>
+            </tr>
+            {statement.appliedRules.map((rule) => (
+              <tr key={`${rule.ruleId}:${rule.label}`} className="text-gray-400 print:text-gray-600">
+                <td />
+                <td />
+                <td className="text-xs">
+                  {rule.type === "concession" ? "Includes concession" : "Includes"} {rule.label} ({rule.detail})
+                </td>
+                <td className="text-right text-xs">
+                  {rule.amount < 0 ? "−" : "+"}
+                  {formatRupees(Math.abs(rule.amount))}
+                </td>
+                <td />
+              </tr>
+            ))}
+            {statement.lines.map((line) => (
+              <tr key={line.txnId} className="border-t border-gray-700 print:border-gray-300">
+                <td className="py-1 whitespace-nowrap">
+                  {line.createdAt ? new Date(line.createdAt).toLocaleDateString("en-IN") : "—"}
+                </td>
+                <td>{line.receiptNo || "—"}</td>
+                <td>
+                  {isAdjustment(line)
+                    ? `${ADJUSTMENT_KINDS[line.kind]} of receipt ${line.originalReceiptNo || "—"}: ${line.reason}`
+                    : describePayment(line)}
+                  {line.voided && <span className="ml-2 text-red-300 print:text-black font-semibold">VOIDED</span>}
+                </td>
+                <td className="text-right">{formatRupees(Number(line.amount) || 0)}</td>
+                <td className="text-right">{formatRupees(line.balance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {statement.lines.length === 0 && <p className="text-sm text-gray-400 mt-3">No payments recorded yet.</p>}
+      </div>
+
+      {statement.unrecorded.length > 0 && (
+        <div className={`${card} print:hidden`}>
+          <h3 className="text-md font-semibold mb-2">Not yet recorded in the sheet</h3>
+          <ul className="text-sm text-gray-300 space-y-1">
+            {statement.unrecorded.map((p) => (
+              <li key={p.txnId}>
+                {new Date(p.createdAt).toLocaleString("en-IN")} · {formatRupees(Number(p.amount) || 0)} ·{" "}
+                <span className="capitalize">{p.status}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Statement;
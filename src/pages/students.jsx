@@ -0,0 +1,238 @@
+import React, { useState, useMemo, Fragment } from "react";
+import { Link } from "react-router-dom";
+import StudentForm from "../components/StudentForm";
+import { STUDENT_STATUSES, isActive } from "../utils/rosterEdits";
+import { listClasses, normalize } from "../utils/studentSearch";
+
+const card = "bg-gray-800 rounded-lg shadow-lg border border-gray-700 p-6";
+const input = "px-3 py-2 border rounded-md border-gray-600 bg-gray-700 text-gray-100";
+const button = "px-4 py-2 rounded-md text-sm font-medium transition-colors";
+const MAX_ROWS = 200;
+
+// 🧑‍🎓 Admin roster screen: add a mid-year admission, correct a name or class,
+// or mark a student as left. Changes reach this counter's billing search
+// straight away, and no other counter until they are published.
+const Students = ({ roster, feeStructure, user }) => {
+  const [query, setQuery] = useState("");
+  const [className, setClassName] = useState("");
+  const [status, setStatus] = useState("");
+  const [isAdding, setIsAdding] = useState(false);
+  const [editingNo, setEditingNo] = useState(null);
+
+  const classes = useMemo(() => listClasses(roster.students), [roster.students]);
+  const optionalHeads = useMemo(() => feeStructure.heads.filter((head) => head.optional), [feeStructure]);
+  const counts = useMemo(
+    () => ({
+      active: roster.students.filter(isActive).length,
+      other: roster.students.filter((s) => !isActive(s)).length,
+    }),
+    [roster.students]
+  );
+
+  const filtered = useMemo(() => {
+    const text = normalize(query);
+    return roster.students.filter(
+      (s) =>
+        (!text || String(s.admissionNo).includes(text) || normalize(s.name).includes(text)) &&
+        (!className || s.class === className) &&
+        (!status || (s.status ?? "active") === status)
+    );
+  }, [roster.students, query, className, status]);
+
+  const saveStudent = (student) => roster.saveStudent(student, { actor: user });
+
+  const discard = async (admissionNos, question) => {
+    if (!window.confirm(question)) return;
+    try {
+      await roster.discardEdits(admissionNos, { actor: user });
+    } catch (err) {
+      console.error(err);
+      alert("Could not discard the local changes.");
+    }
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className={card}>
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+          <div>
+            <h1 className="text-2xl font-semibold">Students</h1>
+            <p className="text-sm text-gray-400">
+              {counts.active} active · {counts.other} left, graduated or inactive.
+            </p>
+          </div>
+          <div className="flex gap-3">
+            <Link to="/students/promote" className={`${button} bg-gray-700 text-gray-200 hover:bg-gray-600`}>
+              Promote to next year
+            </Link>
+            {!isAdding && (
+              <button
+                onClick={() => {
+                  setIsAdding(true);
+                  setEditingNo(null);
+                }}
+                className={`${button} bg-blue-600 text-white hover:bg-blue-700`}
+              >
+                Add student
+              </button>
+            )}
+          </div>
+        </div>
+
+        <p className="mb-4 px-3 py-2 rounded-md border border-yellow-700 bg-yellow-900 text-yellow-200 text-sm">
+          Changes here are kept on this device only. Other counters bill from the Students sheet, so a student marked as
+          left here can still be billed there until the sheet is updated. Download the latest roster from{" "}
+          <Link to="/roster" className="underline">Roster import</Link> and publish it to share the changes. Once the
+          sheet says the same, a local change is dropped on its own.
+          {roster.editedNos.size > 0 && (
+            <>
+              {" "}
+              {roster.editedNos.size} students have local changes.{" "}
+              <button
+                onClick={() =>
+                  discard(
+                    [...roster.editedNos],
+                    `Discard the local changes to ${roster.editedNos.size} students and show them as the sheet has them?`
+                  )
+                }
+                className="underline"
+              >
+                Discard them all
+              </button>
+            </>
+          )}
+        </p>
+
+        {isAdding && (
+          <div className="border-t border-gray-700 mb-4">
+            <StudentForm
+              students={roster.students}
+              classes={classes}
+              optionalHeads={optionalHeads}
+              onSave={saveStudent}
+              onClose={() => setIsAdding(false)}
+            />
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-4 text-sm text-gray-300">
+          <label className="flex flex-col gap-1 flex-1 min-w-56">
+            Search
+            <input
+              type="search"
+              placeholder="Admission no or name"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className={`${input} placeholder-gray-400`}
+            />
+          </label>
+          <label className="flex flex-col gap-1">
+            Class
+            <select value={className} onChange={(e) => setClassName(e.target.value)} className={input}>
+              <option value="">All classes</option>
+              {classes.map((c) => (
+                <option key={c} value={c}>Class {c}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            Status
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className={input}>
+              <option value="">Any status</option>
+              {Object.entries(STUDENT_STATUSES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      <div className={`${card} overflow-x-auto`}>
+        <table className="w-full text-sm">
+          <thead className="text-gray-400">
+            <tr>
+              <th className="text-left font-normal py-1">Adm. No</th>
+              <th className="text-left font-normal">Name</th>
+              <th className="text-left font-normal">Class</th>
+              <th className="text-left font-normal">Team</th>
+              <th className="text-left font-normal">Guardian phone</th>
+              <th className="text-left font-normal">Status</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.slice(0, MAX_ROWS).map((student) => (
+              <Fragment key={student.admissionNo}>
+                <tr className={`border-t border-gray-700 ${isActive(student) ? "" : "text-gray-500"}`}>
+                  <td className="py-1">{student.admissionNo}</td>
+                  <td>
+                    <Link to={`/statement/${encodeURIComponent(student.admissionNo)}`} className="hover:underline">
+                      {student.name}
+                    </Link>
+                  </td>
+                  <td>{student.class}</td>
+                  <td>{student.team || "—"}</td>
+                  <td>{student.guardianPhone || "—"}</td>
+                  <td>
+                    {STUDENT_STATUSES[student.status ?? "active"] ?? student.status}
+                    {roster.editedNos.has(student.admissionNo) && (
+                      <span className="ml-2 text-xs text-yellow-300">changed here</span>
+                    )}
+                  </td>
+                  <td className="text-right whitespace-nowrap">
+                    {roster.editedNos.has(student.admissionNo) && (
+                      <button
+                        onClick={() =>
+                          discard(
+                            [student.admissionNo],
+                            `Discard the local changes to ${student.name} and show them as the sheet has them?`
+                          )
+                        }
+                        className="px-2 py-1 mr-2 rounded text-xs font-medium bg-gray-700 text-yellow-200 hover:bg-gray-600"
+                      >
+                        Discard local changes
+                      </button>
+                    )}
+                    {editingNo !== student.admissionNo && (
+                      <button
+                        onClick={() => {
+                          setEditingNo(student.admissionNo);
+                          setIsAdding(false);
+                        }}
+                        className="px-2 py-1 rounded text-xs font-medium bg-gray-700 text-gray-200 hover:bg-gray-600"
+                      >
+                        Edit
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {editingNo === student.admissionNo && (
+                  <tr>
+                    <td colSpan={7}>
+                      <StudentForm
+                        student={student}
+                        students={roster.students}
+                        classes={classes}
+                        optionalHeads={optionalHeads}
+                        onSave={saveStudent}
+                        onClose={() => setEditingNo(null)}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+        {filtered.length === 0 && <p className="text-sm text-gray-400 mt-3">No students match.</p>}
+        {filtered.length > MAX_ROWS && (
+          <p className="text-sm text-gray-400 mt-3">
+            Showing the first {MAX_ROWS} of {filtered.length}; narrow the search to see the rest.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Students;
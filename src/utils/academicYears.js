@@ -0,0 +1,66 @@
+import config from "../config";
+import { getMeta, setMeta } from "./db";
+
+// 🎓 Academic years, written "2026-27" and starting in config.yearStartMonth.
+// The active year is stamped on every payment as `academicYear`, so dues only
+// ever count that year's payments. Every counter takes the year named in
+// fee-structure.json; a year chosen in Settings applies on this counter alone
+// until that file names it too. Payments queued before years existed are
+// placed by the date they were taken.
+//
+// Class history keeps the class each student was in for every year they were
+// promoted out of: { [admissionNo]: [{ year, class }] }, oldest first. It is
+// kept apart from the roster so a sync from the sheet cannot wipe it.
+
+const ACTIVE_YEAR_KEY = "academicYear";
+const CLASS_HISTORY_KEY = "classHistory";
+
+export const formatYear = (startYear) => `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+
+const startOf = (yearId) => Number(String(yearId).slice(0, 4));
+
+export const shiftYear = (yearId, by) => formatYear(startOf(yearId) + by);
+
+// The academic year a date falls in
+export const yearOf = (timestamp) => {
+  const d = new Date(timestamp);
+  return formatYear(d.getMonth() + 1 >= config.yearStartMonth ? d.getFullYear() : d.getFullYear() - 1);
+};
+
+export const getPaymentYear = (request) => request.academicYear || yearOf(request.createdAt ?? Date.now());
+
+export const inYear = (requests, yearId) => requests.filter((req) => getPaymentYear(req) === yearId);
+
+// The active year with its neighbours, plus any year payments were taken in; newest first
+export const listYears = (activeYear, requests = []) =>
+  [...new Set([shiftYear(activeYear, 1), activeYear, shiftYear(activeYear, -1), ...requests.map(getPaymentYear)])].sort(
+    (a, b) => startOf(b) - startOf(a)
+  );
+
+// The year chosen on this counter, or null to follow fee-structure.json
+export const loadActiveYear = async () => (await getMeta(ACTIVE_YEAR_KEY)) ?? null;
+
+export const saveActiveYear = (yearId) => setMeta(ACTIVE_YEAR_KEY, yearId);
+
+export const loadClassHistory = async () => (await getMeta(CLASS_HISTORY_KEY)) ?? {};
+
+export const saveClassHistory = (history) => setMeta(CLASS_HISTORY_KEY, history);
+
+// Add { year, class } for each student, replacing any entry for the same year
+export const addClassHistory = (history, entries) => {
+  const next = { ...history };
+  entries.forEach(({ admissionNo, year, class: className }) => {
+    const key = String(admissionNo);
+    next[key] = [...(next[key] ?? []).filter((entry) => entry.year !== year), { year, class: className }].sort(
+      (a, b) => startOf(a.year) - startOf(b.year)
+    );
+  });
+  return next;
+};
+
+// The class a student was in that year: from the history for past years,
+// the roster for the active one
+export const getClassInYear = (student, history, yearId, activeYear) =>
+  yearId === activeYear
+    ? student.class
+    : ((history[String(student.admissionNo)] ?? []).find((entry) => entry.year === yearId)?.class ?? student.class);
@@ -0,0 +1,108 @@
+import { getPaymentYear } from "./academicYears";
+
+// ↩️ Voids and refunds. A recorded payment is never edited or deleted: the
+// correction is a new queue item (a compensating entry) with a negative amount
+// that points back at the original through `originalTxnId`. Totals, ledgers
+// and the day close therefore net out on their own.
+
+export const ADJUSTMENT_KINDS = {
+  void: "Void",
+  refund: "Refund",
+};
+
+export const isAdjustment = (request) => Boolean(ADJUSTMENT_KINDS[request.kind]);
+
+const toAmount = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+// Map of original txnId → { voidEntry, refunded, entries }. Cancelled
+// compensating entries never reached the sheet, so they do not count.
+export const getAdjustments = (requests) => {
+  const byOriginal = new Map();
+  requests
+    .filter((req) => isAdjustment(req) && req.status !== "cancelled")
+    .forEach((req) => {
+      if (!byOriginal.has(req.originalTxnId)) {
+        byOriginal.set(req.originalTxnId, { voidEntry: null, refunded: 0, entries: [] });
+      }
+      const entry = byOriginal.get(req.originalTxnId);
+      entry.entries.push(req);
+      if (req.kind === "void") entry.voidEntry = req;
+      else entry.refunded += Math.abs(toAmount(req.amount));
+    });
+  return byOriginal;
+};
+
+// What can still be given back on a payment
+export const getRefundable = (original, adjustment) =>
+  adjustment?.voidEntry ? 0 : Math.max(0, toAmount(original.amount) - (adjustment?.refunded ?? 0));
+
+// Short state for the history list: "voided", "void pending", "refunded", …
+export const describeAdjustment = (original, adjustment) => {
+  if (!adjustment) return null;
+  if (adjustment.voidEntry) {
+    return adjustment.voidEntry.status === "success" ? "Voided" : "Void pending";
+  }
+  return getRefundable(original, adjustment) === 0 ? "Refunded" : "Partly refunded";
+};
+
+// Take `amount` back out of the original allocations, last head first
+const reverseAllocations = (allocations, amount) => {
+  let left = amount;
+  return [...(allocations ?? [])]
+    .reverse()
+    .map((allocation) => {
+      const taken = Math.min(left, toAmount(allocation.amount));
+      left -= taken;
+      return { ...allocation, amount: String(-taken) };
+    })
+    .filter((allocation) => Number(allocation.amount) !== 0)
+    .reverse();
+};
+
+// Queue payload for a void (whole amount) or a refund (part or all of it).
+// It carries the original's payment mode, since the money goes back the same way.
+export const buildCompensatingEntry = (original, { kind, amount, reason }, user) => {
+  const value = kind === "void" ? toAmount(original.amount) : toAmount(amount);
+  return {
+    kind,
+    originalTxnId: original.txnId,
+    originalReceiptNo: original.receiptNo ?? null,
+    reason: reason.trim(),
+    admissionNo: original.admissionNo,
+    name: original.name,
+    class: original.class,
+    amount: String(-value),
+    allocations: reverseAllocations(original.allocations, value),
+    mode: original.mode,
+    reference: original.reference,
+    chequeNo: original.chequeNo,
+    bank: original.bank,
+    chequeDate: original.chequeDate,
+    cashier: user.name,
+    cashierId: user.id,
+    // Stays with the fees of the year the original was paid for
+    academicYear: getPaymentYear(original),
+    ...(original.term && { term: original.term }),
+  };
+};
+
+// Problems with a void/refund request, or null when it can go ahead
+export const validateAdjustment = (original, adjustment, { kind, amount, reason }) => {
+  if (original.status !== "success") return "Only recorded payments can be voided or refunded.";
+  if (isAdjustment(original)) return "A void or refund cannot itself be reversed.";
+  if (!reason.trim()) return "Give a reason.";
+  if (adjustment?.voidEntry) return "This payment has already been voided.";
+  if (kind === "void") {
+    if (adjustment?.refunded > 0) return "Part of this payment was refunded; refund the rest instead.";
+    return null;
+  }
+  const value = toAmount(amount);
+  if (value <= 0) return "Enter the amount to refund.";
+  if (value > getRefundable(original, adjustment)) {
+    return `At most ₹${getRefundable(original, adjustment)} can be refunded on this payment.`;
+  }
+  return null;
+};
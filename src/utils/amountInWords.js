@@ -0,0 +1,55 @@
+// 🔤 Amount in words using the Indian numbering system (thousand, lakh, crore),
+// as printed on receipts: 120500 → "Rupees One Lakh Twenty Thousand Five Hundred Only".
+
+const ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine",
+  "Ten", "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen",
+  "Seventeen", "Eighteen", "Nineteen",
+];
+const TENS = ["", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety"];
+
+const belowHundred = (n) =>
+  n < 20 ? ONES[n] : [TENS[Math.floor(n / 10)], ONES[n % 10]].filter(Boolean).join(" ");
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : "", rest ? belowHundred(rest) : ""]
+    .filter(Boolean)
+    .join(" ");
+};
+
+// Whole number → words; crores above 99 repeat the scheme ("One Hundred Crore")
+const integerToWords = (n) => {
+  if (n === 0) return "Zero";
+
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+
+  return [
+    crore ? `${integerToWords(crore)} Crore` : "",
+    lakh ? `${belowHundred(lakh)} Lakh` : "",
+    thousand ? `${belowHundred(thousand)} Thousand` : "",
+    rest ? belowThousand(rest) : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+};
+
+export const amountInWords = (amount) => {
+  const value = Math.abs(Number(amount));
+  if (!Number.isFinite(value)) return "";
+
+  const totalPaise = Math.round(value * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  const words = `Rupees ${integerToWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ""} Only`;
+  return Number(amount) < 0 ? `Minus ${words}` : words;
+};
+
+// ₹1,20,500.00 style grouping
+export const formatRupees = (amount) =>
+  `₹${Number(amount).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
@@ -0,0 +1,140 @@
+import { addTo, sortedGroups, toDateKey } from "./dayClose";
+import { filterPayments } from "./exports";
+import { getTermDue, LATE_FEE_HEAD } from "./fees";
+import { buildLedger } from "./feeRules";
+import { isActive } from "./rosterEdits";
+import { mergePaymentHistory } from "./statement";
+
+// 📊 Collection analytics from the payments kept on this counter. Voids and
+// refunds are negative entries, so every total here is net of them.
+//
+// filters: { from, to } as "YYYY-MM-DD" (inclusive) and className, as on the
+// export page. Dates are when the payment was taken at the counter.
+
+export const EMPTY_ANALYTICS_FILTERS = { from: "", to: "", className: "" };
+
+const NO_TEAM = "No team";
+
+const amountOf = (req) => Number(req.amount) || 0;
+
+// Payments the sheet has recorded, within the filters
+export const getCollected = (requests, filters) => filterPayments(requests, { ...filters, status: "success" });
+
+const groupBy = (payments, keyOf) => {
+  const groups = new Map();
+  payments.forEach((req) => addTo(groups, keyOf(req), amountOf(req)));
+  return groups;
+};
+
+const nextDay = (dateKey) => {
+  const d = new Date(`${dateKey}T00:00:00`);
+  d.setDate(d.getDate() + 1);
+  return toDateKey(d);
+};
+
+// 📅 [{ key: "YYYY-MM-DD", count, total }] for every day from the first
+// collection to the last (or across the filter range), quiet days as zero
+export const getDailyTrend = (payments, { from = "", to = "" } = {}) => {
+  const groups = groupBy(payments, (req) => toDateKey(req.createdAt ?? 0));
+  const keys = [...groups.keys()].sort();
+  const first = from || keys[0];
+  const last = to || keys[keys.length - 1];
+  if (!first || !last) return [];
+
+  const days = [];
+  for (let key = first; key <= last; key = nextDay(key)) {
+    days.push(groups.get(key) ?? { key, count: 0, total: 0 });
+  }
+  return days;
+};
+
+// [{ key: "YYYY-MM", count, total }], oldest first
+export const getMonthlyTrend = (payments) =>
+  sortedGroups(groupBy(payments, (req) => toDateKey(req.createdAt ?? 0).slice(0, 7)));
+
+export const getClassTotals = (payments) => sortedGroups(groupBy(payments, (req) => req.class || "—"));
+
+// Team comes from the roster; payments do not carry it
+export const getTeamTotals = (payments, students) => {
+  const teams = new Map(students.map((s) => [String(s.admissionNo), String(s.team ?? "").trim()]));
+  return sortedGroups(groupBy(payments, (req) => teams.get(String(req.admissionNo)) || NO_TEAM));
+};
+
+// 🚩 Active students who still owe for the fees due up to and including
+// `termId` (earlier terms left unpaid count too), with any late fines.
+// Concessions are spread over the terms the same way applyFeeRules does.
+//   [{ student, dueSoFar, paid, inQueue, outstanding, noPayment, lastPaidAt }]
+// This counter's queue with the sheet's payments (`sheetPayments`: Map
+// admissionNo → payments, for the students checked) merged in as the statement does
+export const withSheetPayments = (requests, sheetPayments) => {
+  if (sheetPayments.size === 0) return requests;
+  return [
+    ...requests.filter((req) => !sheetPayments.has(String(req.admissionNo))),
+    ...[...sheetPayments].flatMap(([admissionNo, remote]) =>
+      mergePaymentHistory(
+        requests.filter((req) => String(req.admissionNo) === admissionNo),
+        remote
+      )
+    ),
+  ];
+};
+
+export const findDefaulters = (structure, rules, students, requests, termId, today = new Date()) => {
+  const termIndex = structure.terms.findIndex((term) => term.id === termId);
+  if (termIndex < 0) return [];
+  const termsSoFar = structure.terms.slice(0, termIndex + 1);
+
+  const paymentsOf = new Map();
+  requests.forEach((req) => {
+    const key = String(req.admissionNo);
+    if (!paymentsOf.has(key)) paymentsOf.set(key, []);
+    paymentsOf.get(key).push(req);
+  });
+
+  return students
+    .filter(isActive)
+    .map((student) => {
+      const payments = paymentsOf.get(String(student.admissionNo)) ?? [];
+      const ledger = buildLedger(structure, rules, student, payments, today);
+      const lateFee = ledger.heads.find((line) => line.id === LATE_FEE_HEAD.id)?.due ?? 0;
+      const yearDue = structure.terms.reduce((sum, term) => sum + getTermDue(structure, student, term.id), 0);
+      const dueUpToTerm = termsSoFar.reduce((sum, term) => sum + getTermDue(structure, student, term.id), 0);
+      const feesDue = ledger.totalDue - lateFee;
+      const dueSoFar = Math.round(yearDue > 0 ? (feesDue * dueUpToTerm) / yearDue : 0) + lateFee;
+      const paidIn = payments.filter((p) => p.status === "success" && amountOf(p) > 0);
+
+      return {
+        student,
+        dueSoFar,
+        paid: ledger.totalPaid,
+        inQueue: ledger.totalInQueue,
+        outstanding: dueSoFar - ledger.totalPaid,
+        // Nothing left once voids and refunds are taken off
+        noPayment: ledger.totalPaid <= 0,
+        lastPaidAt: paidIn.reduce((latest, p) => Math.max(latest, p.createdAt ?? 0), 0) || null,
+      };
+    })
+    .filter((row) => row.outstanding > 0)
+    .sort((a, b) => b.outstanding - a.outstanding);
+};
+
+// 📤 Spreadsheet rows for each dashboard table
+
+export const toGroupRows = (groups, keyLabel) =>
+  groups.map((group) => ({ [keyLabel]: group.key, Payments: group.count, Total: group.total }));
+
+export const toDefaulterRows = (defaulters) =>
+  defaulters.map((row) => ({
+    "Admission No": row.student.admissionNo,
+    Name: row.student.name,
+    Class: row.student.class,
+    Team: row.student.team ?? "",
+    Guardian: row.student.guardianName ?? "",
+    Phone: row.student.guardianPhone ?? "",
+    "Due so far": row.dueSoFar,
+    Paid: row.paid,
+    "In queue": row.inQueue,
+    Outstanding: row.outstanding,
+    "No payment yet": row.noPayment ? "Yes" : "",
+    "Last paid": row.lastPaidAt ? toDateKey(row.lastPaidAt) : "",
+  }));
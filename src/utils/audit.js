@@ -0,0 +1,31 @@
+import { getAll, putMany } from "./db";
+
+// 📝 Append-only audit trail of who did what on this counter. Entries are only
+// ever added; there is deliberately no update or delete here.
+
+export const AUDIT_ACTIONS = {
+  create: "Payment taken",
+  retry: "Payment retried",
+  edit: "Amount edited",
+  cancel: "Payment cancelled",
+  void: "Payment voided",
+  refund: "Payment refunded",
+  roster: "Roster changed",
+  rules: "Fee rules changed",
+  notifications: "Guardian messages changed",
+  year: "Academic year changed",
+};
+
+// actor: the signed-in user, or null for changes the app made by itself (roster sync)
+export const logAudit = (action, actor, { summary, ...details } = {}) =>
+  putMany("audit", [
+    {
+      at: Date.now(),
+      action,
+      actor: actor ? { id: actor.id, name: actor.name, role: actor.role } : null,
+      summary,
+      details,
+    },
+  ]).catch((err) => console.error("Could not write the audit log:", err));
+
+export const listAudit = async () => (await getAll("audit")).sort((a, b) => b.at - a.at || b.id - a.id);
@@ -0,0 +1,57 @@
+// 🔐 Roles, what each role may do, and the signed-in session kept on this counter.
+// The role here only decides what the portal shows: the sheet and the proxy
+// go by the signed session token login returned, which the counter cannot forge.
+
+export const ROLES = {
+  cashier: "Cashier",
+  admin: "Admin",
+};
+
+// Cashiers only collect fees; everything else is for admins
+const PERMISSIONS = {
+  collect: ["cashier", "admin"],
+  // So the counter can answer "did my earlier payment go through?"
+  viewStatements: ["cashier", "admin"],
+  editPayments: ["admin"],
+  importRoster: ["admin"],
+  manageRoster: ["admin"],
+  viewReports: ["admin"],
+  manageSettings: ["admin"],
+  viewAudit: ["admin"],
+};
+
+export const can = (user, permission) => Boolean(user && PERMISSIONS[permission]?.includes(user.role));
+
+export const getRoleLabel = (role) => ROLES[role] ?? role;
+
+const SESSION_KEY = "session";
+
+// Claims in a session token "<base64url JSON>.<signature>": { id, name, role, exp }.
+// Read only for the expiry; the signature is checked on the server.
+export const readToken = (token) => {
+  try {
+    const body = String(token).split(".")[0].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(body.padEnd(Math.ceil(body.length / 4) * 4, "=")));
+  } catch {
+    return null;
+  }
+};
+
+// A missing token (mock login) never expires; the mock sink does not ask for one
+export const isTokenExpired = (token, now = Date.now()) => Boolean(token) && !(readToken(token)?.exp > now);
+
+// { user: { id, name, role }, token, lastActivityAt }
+export const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY)) ?? null;
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session) => localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+
+export const clearSession = () => localStorage.removeItem(SESSION_KEY);
+
+export const isExpired = (session, timeoutMs, now = Date.now()) =>
+  !session || now - session.lastActivityAt > timeoutMs || isTokenExpired(session.token, now);
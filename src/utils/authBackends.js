@@ -0,0 +1,57 @@
+import config from "../config";
+import { ROLES } from "./auth";
+
+// 🔑 Auth backends. Each one exposes login(username, password), resolving to
+// { user: { id, name, role }, token } or rejecting with an Error whose message
+// can be shown to the cashier. `token` is the signed session the sheet and the
+// proxy ask for on every payment. Pick one with VITE_AUTH_BACKEND.
+
+const DEMO_USERS = [
+  { id: "cashier", name: "Demo Cashier", role: "cashier", password: "cashier" },
+  { id: "admin", name: "Demo Admin", role: "admin", password: "admin" },
+];
+
+// Local users held in memory, with no token; for development and testing only
+export const createMockAuth = (users = DEMO_USERS) => ({
+  name: "mock",
+  login: async (username, password) => {
+    const found = users.find((u) => u.id === username.trim().toLowerCase() && u.password === password);
+    if (!found) throw new Error("Wrong user ID or password.");
+    const { password: _password, ...user } = found;
+    return { user, token: null };
+  },
+});
+
+// Checks the credentials against the Users tab through the Apps Script
+export const createSheetAuth = (url) => ({
+  name: "sheet",
+  login: async (username, password) => {
+    if (!url) throw new Error("No login server is configured (VITE_AUTH_URL or VITE_SHEETURL).");
+
+    let data;
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        body: JSON.stringify({ action: "login", username: username.trim(), password }),
+      });
+      data = await res.json();
+    } catch (err) {
+      console.error(err);
+      throw new Error("Could not reach the login server. Check the connection.");
+    }
+
+    if (data.status !== "success" || !data.user) {
+      throw new Error(data.message || "Wrong user ID or password.");
+    }
+    if (!ROLES[data.user.role]) {
+      throw new Error(`Unknown role "${data.user.role}" for this user.`);
+    }
+    if (!data.token) {
+      throw new Error("The login server did not return a session. Update the Apps Script.");
+    }
+    return { user: { id: String(data.user.id), name: data.user.name, role: data.user.role }, token: data.token };
+  },
+});
+
+export const getAuthBackend = () =>
+  config.authBackend === "mock" ? createMockAuth() : createSheetAuth(config.authUrl);
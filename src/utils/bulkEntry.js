@@ -0,0 +1,100 @@
+import * as XLSX from "xlsx";
+import { ROSTER_FIELDS, clean, normalizeHeader } from "./rosterImport";
+import { allocateToHeads } from "./fees";
+import { buildLedger } from "./feeRules";
+import { formatRupees } from "./amountInWords";
+import { isActive, STUDENT_STATUSES } from "./rosterEdits";
+
+// 📋 Bulk entry: a class teacher's list of admission numbers and amounts,
+// pasted or uploaded, checked against the roster before any of it is queued.
+
+const ADMISSION_ALIASES = ROSTER_FIELDS.find((field) => field.id === "admissionNo").aliases;
+const AMOUNT_ALIASES = ["amount", "amt", "fee", "fees", "paid", "amount paid", "amount (₹)", "amount (rs)", "rs", "₹"];
+
+// Up to two decimals, with optional thousands separators and a rupee sign
+const AMOUNT_PATTERN = /^(₹|rs\.?)?\s*\d+(\.\d{1,2})?$/i;
+
+// A sheet as rows of display text, the same way convert.jsx reads the roster
+const toRows = (workbook) =>
+  XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1, defval: "", raw: false });
+
+export const readSpreadsheet = (arrayBuffer) => toRows(XLSX.read(arrayBuffer, { type: "array" }));
+
+// Tab- or comma-separated text, as pasted from a spreadsheet or typed. `raw`
+// keeps cells as text so admission number 0777 is not read as 777; a line
+// with no separator at all ("1023 1500") is split on spaces.
+export const readPastedText = (text) => {
+  if (!clean(text)) return [];
+  return toRows(XLSX.read(text, { type: "string", raw: true })).map((row) =>
+    row.length === 1 ? clean(row[0]).split(/\s+/) : row
+  );
+};
+
+// Where the admission number and amount are. A header row naming both is
+// used when there is one near the top; otherwise the first two columns.
+export const findColumns = (rows, scanLimit = 5) => {
+  for (let i = 0; i < Math.min(rows.length, scanLimit); i += 1) {
+    const cells = rows[i].map(normalizeHeader);
+    const admissionNo = cells.findIndex((cell) => ADMISSION_ALIASES.includes(cell));
+    const amount = cells.findIndex((cell) => AMOUNT_ALIASES.includes(cell));
+    if (admissionNo >= 0 && amount >= 0) return { headerIndex: i, admissionNo, amount };
+  }
+  return { headerIndex: -1, admissionNo: 0, amount: 1 };
+};
+
+export const parseAmount = (text) => {
+  const value = clean(text).replace(/,/g, "");
+  if (!AMOUNT_PATTERN.test(value)) return null;
+  const amount = Number(value.replace(/^(₹|rs\.?)\s*/i, ""));
+  return amount > 0 ? amount : null;
+};
+
+// One entry per non-empty row after the header:
+//   { rowNumber, admissionNo, amountText, amount, student, allocations, appliedRules, errors, warnings }
+// Rows with errors are left out of the batch; warnings are for the cashier to
+// judge. Amounts are allocated head by head against what the student still
+// owes, counting the queue and the rows above, so two rows for the same
+// student do not both go to the same head.
+export const checkBulkRows = (rows, { students, feeStructure, feeRules, requests }) => {
+  const { headerIndex, admissionNo: admissionCol, amount: amountCol } = findColumns(rows);
+  const byAdmissionNo = new Map(students.map((s) => [clean(s.admissionNo).toUpperCase(), s]));
+  const planned = [];
+  const seen = new Map();
+
+  return rows
+    .map((row, i) => ({ row, rowNumber: i + 1 }))
+    .slice(headerIndex + 1)
+    .filter(({ row }) => row.some((cell) => clean(cell) !== ""))
+    .map(({ row, rowNumber }) => {
+      const admissionNo = clean(row[admissionCol]);
+      const amountText = clean(row[amountCol]);
+      const student = byAdmissionNo.get(admissionNo.toUpperCase()) ?? null;
+      const amount = parseAmount(amountText);
+      const errors = [];
+      const warnings = [];
+
+      if (!admissionNo) errors.push("Admission number is missing.");
+      else if (!student) errors.push(`No student with admission number ${admissionNo}.`);
+      else if (!isActive(student)) errors.push(`${student.name} is marked ${STUDENT_STATUSES[student.status] ?? student.status}.`);
+      if (!amountText) errors.push("Amount is missing.");
+      else if (amount === null) errors.push(`"${amountText}" is not a valid amount.`);
+
+      if (student && seen.has(student.admissionNo)) {
+        warnings.push(`Also on row ${seen.get(student.admissionNo)}.`);
+      }
+      if (student) seen.set(student.admissionNo, rowNumber);
+
+      let allocations = [];
+      let appliedRules = [];
+      if (errors.length === 0) {
+        const ledger = buildLedger(feeStructure, feeRules, student, [...requests, ...planned]);
+        allocations = allocateToHeads(ledger, amount);
+        appliedRules = ledger.appliedRules;
+        const excess = amount - Math.max(0, ledger.totalRemaining);
+        if (excess > 0) warnings.push(`${formatRupees(excess)} more than the student owes.`);
+        planned.push({ admissionNo: student.admissionNo, amount: String(amount), allocations, status: "pending" });
+      }
+
+      return { rowNumber, admissionNo, amountText, amount, student, allocations, appliedRules, errors, warnings };
+    });
+};
@@ -0,0 +1,71 @@
+import { getModeLabel, PAYMENT_MODES } from "./paymentModes";
+import { getMeta, setMeta } from "./db";
+
+// 📅 "YYYY-MM-DD" in the counter's local time zone
+export const toDateKey = (timestamp) => {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// When a payment counts for the day close: when it was taken, which is when the
+// cash went into the drawer. One taken offline and recorded the next morning
+// still belongs to the day it was counted in; the export shows both times.
+export const getCloseTime = (req) => req.createdAt ?? 0;
+
+// Running count and total per key, for the breakdown tables
+export const addTo = (groups, key, amount) => {
+  const group = groups.get(key) ?? { key, count: 0, total: 0 };
+  group.count += 1;
+  group.total += amount;
+  groups.set(key, group);
+};
+
+export const sortedGroups = (groups) =>
+  [...groups.values()].sort((a, b) => String(a.key).localeCompare(String(b.key), undefined, { numeric: true }));
+
+// 🧮 Everything the day-close screen shows for one date, from the persisted queue
+export const summarizeDay = (requests, dateKey) => {
+  const ofDay = requests.filter((req) => toDateKey(getCloseTime(req)) === dateKey);
+  const succeeded = ofDay.filter((req) => req.status === "success");
+  const failed = ofDay.filter((req) => req.status === "error");
+  const unfinished = ofDay.filter((req) => req.status === "pending" || req.status === "loading");
+
+  const byMode = new Map(PAYMENT_MODES.map((m) => [m.label, { key: m.label, count: 0, total: 0 }]));
+  const byClass = new Map();
+  const byCashier = new Map();
+
+  succeeded.forEach((req) => {
+    const amount = Number(req.amount) || 0;
+    addTo(byMode, getModeLabel(req.mode), amount);
+    addTo(byClass, req.class || "—", amount);
+    addTo(byCashier, req.cashier || "—", amount);
+  });
+
+  const sum = (list) => list.reduce((total, req) => total + (Number(req.amount) || 0), 0);
+
+  return {
+    dateKey,
+    succeeded,
+    failed,
+    unfinished,
+    totalCollected: sum(succeeded),
+    expectedCash: byMode.get(getModeLabel("cash")).total,
+    failedTotal: sum(failed),
+    unfinishedTotal: sum(unfinished),
+    byMode: [...byMode.values()],
+    byClass: sortedGroups(byClass),
+    byCashier: sortedGroups(byCashier),
+  };
+};
+
+// 💵 Notes and coins counted in the drawer
+export const DENOMINATIONS = [500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+export const countCash = (counts) =>
+  DENOMINATIONS.reduce((sum, value) => sum + value * (Number(counts[value]) || 0), 0);
+
+// The cash count and closing time for a date, kept so the close can be reopened
+export const loadClosing = (dateKey) => getMeta(`dayClose:${dateKey}`);
+
+export const saveClosing = (dateKey, closing) => setMeta(`dayClose:${dateKey}`, closing);
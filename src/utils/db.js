@@ -0,0 +1,108 @@
+// Thin promise wrapper around the browser's IndexedDB.
+// Every object store the app needs is declared in STORES; bump DB_VERSION
+// whenever a store is added so existing browsers run the upgrade.
+
+const DB_NAME = "hisan-store";
+const DB_VERSION = 5;
+
+const STORES = {
+  requests: { keyPath: "id" },
+  // Small key/value records: cached roster, settings, counters
+  meta: { keyPath: "key" },
+  // The rosters most recently in use, newest last (see MAX_ROSTER_VERSIONS)
+  rosterVersions: { keyPath: "id", autoIncrement: true },
+  // Append-only audit trail, oldest first
+  audit: { keyPath: "id", autoIncrement: true },
+  // Guardian messages waiting to go out, kept apart from the payment queue
+  notifications: { keyPath: "id" },
+};
+
+let dbPromise = null;
+
+// 🔌 Open (or upgrade) the database once and reuse the connection
+export const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, options]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, options);
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer tab upgrade the schema instead of being blocked by us
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later call to try again if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+// Run `work` inside a transaction and resolve once it has committed
+const withStore = async (storeName, mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    let result;
+    Promise.resolve(work(store)).then((value) => {
+      result = value;
+    });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Wrap a single IDBRequest in a promise
+const asPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export const getAll = (storeName) =>
+  withStore(storeName, "readonly", (store) => asPromise(store.getAll()));
+
+export const getAllKeys = (storeName) =>
+  withStore(storeName, "readonly", (store) => asPromise(store.getAllKeys()));
+
+export const getOne = (storeName, key) =>
+  withStore(storeName, "readonly", (store) => asPromise(store.get(key)));
+
+export const putMany = (storeName, values) =>
+  withStore(storeName, "readwrite", (store) => {
+    values.forEach((value) => store.put(value));
+  });
+
+export const deleteMany = (storeName, keys) =>
+  withStore(storeName, "readwrite", (store) => {
+    keys.forEach((key) => store.delete(key));
+  });
+
+// Key/value helpers on the "meta" store
+export const getMeta = async (key) => (await getOne("meta", key))?.value;
+
+export const setMeta = (key, value) => putMany("meta", [{ key, value }]);
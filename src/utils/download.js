@@ -0,0 +1,13 @@
+// ⬇️ Hand a piece of text to the browser as a file download
+export const downloadText = (text, fileName, type = "text/plain") => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadJson = (data, fileName) =>
+  downloadText(JSON.stringify(data, null, 2), fileName, "application/json");
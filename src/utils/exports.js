@@ -0,0 +1,86 @@
+import { getModeLabel } from "./paymentModes";
+import { getAllocations } from "./fees";
+import { toDateKey } from "./dayClose";
+import { ADJUSTMENT_KINDS } from "./adjustments";
+import { formatAppliedRules } from "./feeRules";
+import { getPaymentYear } from "./academicYears";
+
+// 📤 Flat, spreadsheet-friendly rows for the roster and the payment history
+
+export const PAYMENT_STATUSES = ["success", "pending", "loading", "error", "cancelled"];
+
+export const EMPTY_FILTERS = { from: "", to: "", className: "", status: "", query: "" };
+
+// Admission number, name, receipt number or batch ID containing the search text
+const matchesQuery = (req, query) => {
+  const text = query.trim().toLowerCase();
+  if (!text) return true;
+  return [req.admissionNo, req.name, req.receiptNo, req.batchId].some((value) =>
+    String(value ?? "").toLowerCase().includes(text)
+  );
+};
+
+// filters: { from, to } as "YYYY-MM-DD" (inclusive), className, status, query
+export const filterPayments = (
+  requests,
+  { from = "", to = "", className = "", status = "", query = "" } = {}
+) =>
+  requests.filter((req) => {
+    if (!matchesQuery(req, query)) return false;
+    const day = toDateKey(req.createdAt ?? 0);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    if (className && String(req.class) !== className) return false;
+    if (status && req.status !== status) return false;
+    return true;
+  });
+
+export const filterRoster = (students, { className = "" } = {}) =>
+  className ? students.filter((s) => String(s.class) === className) : students;
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString("en-IN") : "");
+
+export const toPaymentRows = (requests) =>
+  requests.map((req) => ({
+    Date: req.createdAt ? toDateKey(req.createdAt) : "",
+    "Receipt No": req.receiptNo ?? "",
+    Entry: ADJUSTMENT_KINDS[req.kind] ?? "Payment",
+    "Against receipt": req.originalReceiptNo ?? "",
+    Reason: req.reason ?? "",
+    "Transaction ID": req.txnId ?? "",
+    "Admission No": req.admissionNo,
+    Name: req.name,
+    Class: req.class,
+    Amount: Number(req.amount) || 0,
+    "Fee heads": getAllocations(req)
+      .map((a) => `${a.label}: ${a.amount}`)
+      .join(", "),
+    "Concessions & late fees": formatAppliedRules(req.appliedRules),
+    Mode: getModeLabel(req.mode),
+    Reference: req.reference ?? "",
+    "Cheque No": req.chequeNo ?? "",
+    Bank: req.bank ?? "",
+    "Cheque Date": req.chequeDate ?? "",
+    Cashier: req.cashier ?? "",
+    "Batch ID": req.batchId ?? "",
+    "Academic year": getPaymentYear(req),
+    Term: req.term ?? "",
+    Status: req.status,
+    Attempts: req.attempts ?? 0,
+    "Last error": req.lastError ?? "",
+    "Queued at": formatTime(req.createdAt),
+    "Completed at": formatTime(req.completedAt),
+  }));
+
+export const toRosterRows = (students) =>
+  students.map((s) => ({
+    "Admission No": s.admissionNo,
+    Name: s.name,
+    Class: s.class,
+    Team: s.team ?? "",
+    "Optional heads": (s.feeHeads ?? []).join(", "),
+    Category: s.category ?? "",
+    Guardian: s.guardianName ?? "",
+    Phone: s.guardianPhone ?? "",
+    Email: s.guardianEmail ?? "",
+  }));
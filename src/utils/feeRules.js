@@ -0,0 +1,183 @@
+import config from "../config";
+import { getMeta, setMeta } from "./db";
+import { computeLedger, getAllocations, getApplicableHeads, getHeadDue, getTermDue, LATE_FEE_HEAD } from "./fees";
+import { toDateKey } from "./dayClose";
+import { formatRupees } from "./amountInWords";
+
+// 🏷️ Concessions and late fines, configured by an admin on the Fee rules page.
+//
+//   concessions: [{ id, label, kind: "percent" | "fixed", value,
+//                   category?, admissionNos?: [], heads?: [] }]
+//     A concession applies to the students listed in admissionNos and to
+//     every student whose roster `category` matches (sibling, staff-ward,
+//     scholarship …). It comes off the listed heads, or all of them; a fixed
+//     amount is spread over the heads in order.
+//   lateFees:    [{ id, label, termId?, kind: "fixed" | "perDay" | "percent",
+//                   value, graceDays, maxAmount? }]
+//     Charged for every term (or just termId) still unpaid more than
+//     graceDays after its due date; percent is of the unpaid amount.
+//
+// Every counter reads the same rules from a JSON document published next to
+// the fee structure (public/fee-rules.json by default). Rules changed on the
+// Fee rules page apply on this counter alone until that file is updated, and
+// are dropped once it says the same.
+
+const SHARED_CACHE_KEY = "sharedFeeRules";
+const LOCAL_KEY = "feeRules";
+
+export const EMPTY_RULES = { concessions: [], lateFees: [] };
+
+const toRules = (body) => ({
+  concessions: Array.isArray(body?.concessions) ? body.concessions : [],
+  lateFees: Array.isArray(body?.lateFees) ? body.lateFees : [],
+});
+
+export const sameRules = (a, b) => JSON.stringify(toRules(a)) === JSON.stringify(toRules(b));
+
+export const CONCESSION_KINDS = { percent: "Percentage", fixed: "Fixed amount" };
+export const LATE_FEE_KINDS = { fixed: "Fixed fine", perDay: "Per day late", percent: "Percentage of unpaid" };
+
+// The published rules as last fetched, or null before the first fetch
+export const loadCachedFeeRules = async () => {
+  const cached = await getMeta(SHARED_CACHE_KEY);
+  return cached ? toRules(cached) : null;
+};
+
+export const fetchFeeRules = async () => {
+  const res = await fetch(config.feeRulesUrl, { cache: "no-cache" });
+  if (!res.ok) {
+    throw new Error(`Fee rules request failed (${res.status}).`);
+  }
+  const rules = toRules(await res.json());
+  await setMeta(SHARED_CACHE_KEY, rules);
+  return rules;
+};
+
+// Rules changed on this counter and not published yet, or null
+export const loadLocalFeeRules = async () => {
+  const saved = await getMeta(LOCAL_KEY);
+  return saved ? toRules(saved) : null;
+};
+
+export const saveLocalFeeRules = (rules) => setMeta(LOCAL_KEY, rules);
+
+const sameCategory = (a, b) => Boolean(a) && String(a).trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+export const matchesConcession = (rule, student) =>
+  (rule.admissionNos ?? []).includes(String(student.admissionNo)) || sameCategory(rule.category, student.category);
+
+// Whole days from one "YYYY-MM-DD" to another
+const daysBetween = (fromKey, toKey) =>
+  Math.round((new Date(`${toKey}T00:00:00`) - new Date(`${fromKey}T00:00:00`)) / 86400000);
+
+export const describeRule = (rule) => {
+  switch (rule.kind) {
+    case "percent":
+      return `${rule.value}%`;
+    case "perDay":
+      return `${formatRupees(Number(rule.value))} a day`;
+    default:
+      return formatRupees(Number(rule.value));
+  }
+};
+
+// What the rules charge or waive for one student today:
+//   { lines: [{ ruleId, type: "concession" | "lateFee", label, detail, amount }],
+//     discounts: Map headId → amount off, lateFee }
+// Concession amounts are negative in `lines`, fines positive. Whole rupees only.
+export const applyFeeRules = (structure, rules, student, payments, today = new Date()) => {
+  const heads = getApplicableHeads(structure, student);
+  const grossDue = new Map(heads.map((head) => [head.id, getHeadDue(structure, student, head.id)]));
+  const discounts = new Map();
+  const lines = [];
+
+  (rules.concessions ?? [])
+    .filter((rule) => matchesConcession(rule, student))
+    .forEach((rule) => {
+      const value = Number(rule.value) || 0;
+      let budget = rule.kind === "fixed" ? value : Infinity;
+      let total = 0;
+      heads
+        .filter((head) => !rule.heads?.length || rule.heads.includes(head.id))
+        .forEach((head) => {
+          const left = grossDue.get(head.id) - (discounts.get(head.id) ?? 0);
+          const wanted = rule.kind === "percent" ? Math.round((grossDue.get(head.id) * value) / 100) : budget;
+          const part = Math.max(0, Math.min(left, wanted));
+          if (part <= 0) return;
+          discounts.set(head.id, (discounts.get(head.id) ?? 0) + part);
+          budget -= part;
+          total += part;
+        });
+      if (total > 0) {
+        lines.push({ ruleId: rule.id, type: "concession", label: rule.label, detail: describeRule(rule), amount: -total });
+      }
+    });
+
+  // Terms are paid oldest first, so what has been paid towards fees (not
+  // fines) clears term 1, then term 2 … Concessions shrink every term alike.
+  const gross = [...grossDue.values()].reduce((sum, due) => sum + due, 0);
+  const discounted = [...discounts.values()].reduce((sum, amount) => sum + amount, 0);
+  const netShare = gross > 0 ? (gross - discounted) / gross : 0;
+  const paidTowardsFees = payments
+    .filter((p) => p.status === "success" && String(p.admissionNo) === String(student.admissionNo))
+    .flatMap(getAllocations)
+    .filter((allocation) => allocation.head !== LATE_FEE_HEAD.id)
+    .reduce((sum, allocation) => sum + (Number(allocation.amount) || 0), 0);
+  const todayKey = toDateKey(today);
+
+  let dueSoFar = 0;
+  structure.terms.forEach((term) => {
+    const termDue = getTermDue(structure, student, term.id) * netShare;
+    dueSoFar += termDue;
+    const unpaid = Math.min(termDue, Math.max(0, dueSoFar - paidTowardsFees));
+    if (unpaid <= 0 || !term.dueDate) return;
+
+    (rules.lateFees ?? [])
+      .filter((rule) => !rule.termId || rule.termId === term.id)
+      .forEach((rule) => {
+        const daysLate = daysBetween(term.dueDate, todayKey) - (Number(rule.graceDays) || 0);
+        if (daysLate <= 0) return;
+        const value = Number(rule.value) || 0;
+        let amount =
+          rule.kind === "perDay" ? value * daysLate : rule.kind === "percent" ? (unpaid * value) / 100 : value;
+        if (Number(rule.maxAmount) > 0) amount = Math.min(amount, Number(rule.maxAmount));
+        amount = Math.round(amount);
+        if (amount <= 0) return;
+        lines.push({
+          ruleId: rule.id,
+          type: "lateFee",
+          label: `${rule.label} · ${term.label}`,
+          detail: `${daysLate} ${daysLate === 1 ? "day" : "days"} past grace`,
+          amount,
+        });
+      });
+  });
+
+  const lateFee = lines.filter((line) => line.type === "lateFee").reduce((sum, line) => sum + line.amount, 0);
+  return { lines, discounts, lateFee };
+};
+
+// The ledger with the fee rules applied; what every screen that shows dues uses
+export const buildLedger = (structure, rules, student, payments, today = new Date()) =>
+  computeLedger(structure, student, payments, applyFeeRules(structure, rules, student, payments, today));
+
+// "Sibling 10% −₹1,200; Late fee · Term 1 +₹100", for the sheet and exports
+export const formatAppliedRules = (appliedRules = []) =>
+  appliedRules
+    .map((line) => `${line.label} ${line.amount < 0 ? "−" : "+"}${formatRupees(Math.abs(line.amount))}`)
+    .join("; ");
+
+// Returns { field: message }; empty when the rule can be saved
+export const validateRule = (type, rule) => {
+  const errors = {};
+  const value = Number(rule.value);
+  if (!String(rule.label ?? "").trim()) errors.label = "Give the rule a name.";
+  if (!Number.isFinite(value) || value <= 0) errors.value = "Enter an amount above zero.";
+  else if (rule.kind === "percent" && value > 100) errors.value = "A percentage cannot be above 100.";
+
+  if (type === "concession" && !String(rule.category ?? "").trim() && !(rule.admissionNos ?? []).length) {
+    errors.appliesTo = "Choose a category or list admission numbers.";
+  }
+  if (type === "lateFee" && !(Number(rule.graceDays) >= 0)) errors.graceDays = "Grace period cannot be negative.";
+  return errors;
+};
@@ -0,0 +1,183 @@
+import config from "../config";
+import { getMeta, setMeta } from "./db";
+import { toDateKey } from "./dayClose";
+
+// 💰 Fee structure and per-student ledger.
+//
+// The structure is a JSON document (public/fee-structure.json by default):
+//   academicYear: "2026-27", the year every counter takes payments for
+//   terms:   [{ id, label, dueDate }]
+//   heads:   [{ id, label, optional? }]   e.g. tuition, bus, exam
+//   classes: { [class]: { [headId]: { [termId]: amount } } }
+// An `optional` head (bus) is only due from students whose roster record
+// lists it in `feeHeads`; everyone in the class owes the other heads.
+//
+// Payments carry `allocations: [{ head, label, amount }]`; older payments
+// without them count as unallocated. Late fines are a head of their own
+// (LATE_FEE_HEAD), owed only once the rules in feeRules.js charge one.
+
+const CACHE_KEY = "feeStructure";
+
+export const EMPTY_STRUCTURE = { academicYear: null, terms: [], heads: [], classes: {} };
+
+export const LATE_FEE_HEAD = { id: "lateFee", label: "Late fee" };
+
+export const loadCachedFeeStructure = () => getMeta(CACHE_KEY);
+
+export const fetchFeeStructure = async () => {
+  const res = await fetch(config.feeStructureUrl, { cache: "no-cache" });
+  if (!res.ok) {
+    throw new Error(`Fee structure request failed (${res.status}).`);
+  }
+  const body = await res.json();
+  const structure = {
+    academicYear: body.academicYear ?? null,
+    terms: body.terms ?? [],
+    heads: body.heads ?? [],
+    classes: body.classes ?? {},
+  };
+  await setMeta(CACHE_KEY, structure);
+  return structure;
+};
+
+const toAmount = (value) => {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+// Heads this student owes anything for
+export const getApplicableHeads = (structure, student) =>
+  structure.heads.filter((head) => !head.optional || (student.feeHeads ?? []).includes(head.id));
+
+// Total due for one head across all terms of the student's class
+export const getHeadDue = (structure, student, headId) => {
+  const termAmounts = structure.classes[student.class]?.[headId] ?? {};
+  return structure.terms.reduce((sum, term) => sum + toAmount(termAmounts[term.id]), 0);
+};
+
+// Total due for one term across the heads this student owes
+export const getTermDue = (structure, student, termId) =>
+  getApplicableHeads(structure, student).reduce(
+    (sum, head) => sum + toAmount(structure.classes[student.class]?.[head.id]?.[termId]),
+    0
+  );
+
+// The term whose due date comes next; the last one once they have all passed
+export const getCurrentTerm = (structure, today = new Date()) => {
+  const todayKey = toDateKey(today);
+  return structure.terms.find((term) => !term.dueDate || term.dueDate >= todayKey) ?? structure.terms.at(-1) ?? null;
+};
+
+// A queued payment can be given a new amount only while it sits on one head (or
+// none); a split over several heads has to be cancelled and taken again
+export const canChangeAmount = (payment) => (payment.allocations?.length ?? 0) <= 1;
+
+// The same payment at `amount`, with its one allocation moved along with it
+export const withAmount = (payment, amount) => ({
+  ...payment,
+  amount: String(amount),
+  ...(payment.allocations?.length === 1 && {
+    allocations: [{ ...payment.allocations[0], amount: String(amount) }],
+  }),
+});
+
+// Split a queued payment into its head allocations
+export const getAllocations = (payment) =>
+  payment.allocations?.length > 0
+    ? payment.allocations
+    : [{ head: null, label: "Unallocated", amount: payment.amount }];
+
+// 📒 Due / paid / in-queue / outstanding per head for one student.
+// Only "success" payments count as paid; pending and in-flight ones are shown
+// as "in queue" so the cashier does not take the same fee twice.
+// `charges` is what applyFeeRules worked out for the student: concessions
+// come off each head's due, and any late fine is due under LATE_FEE_HEAD.
+export const computeLedger = (structure, student, payments, charges = null) => {
+  const lines = new Map();
+  const lineFor = (id, label) => {
+    if (!lines.has(id)) lines.set(id, { id, label, due: 0, paid: 0, inQueue: 0 });
+    return lines.get(id);
+  };
+
+  getApplicableHeads(structure, student).forEach((head) => {
+    const concession = charges?.discounts.get(head.id) ?? 0;
+    lineFor(head.id, head.label).due = getHeadDue(structure, student, head.id) - concession;
+  });
+
+  payments
+    .filter((p) => String(p.admissionNo) === String(student.admissionNo))
+    .forEach((payment) => {
+      const bucket =
+        payment.status === "success"
+          ? "paid"
+          : ["pending", "loading"].includes(payment.status)
+            ? "inQueue"
+            : null;
+      if (!bucket) return;
+
+      getAllocations(payment).forEach((allocation) => {
+        const label = structure.heads.find((h) => h.id === allocation.head)?.label ?? allocation.label;
+        lineFor(allocation.head, label)[bucket] += toAmount(allocation.amount);
+      });
+    });
+
+  // A fine already paid stays due, even once paying the term stops it accruing
+  if (charges?.lateFee > 0 || lines.has(LATE_FEE_HEAD.id)) {
+    const line = lineFor(LATE_FEE_HEAD.id, LATE_FEE_HEAD.label);
+    line.due = Math.max(charges?.lateFee ?? 0, line.paid);
+  }
+
+  const heads = [...lines.values()].map((line) => ({
+    ...line,
+    outstanding: line.due - line.paid,
+    // What can still be collected without overpaying, counting queued payments
+    remaining: line.due - line.paid - line.inQueue,
+  }));
+
+  const total = (key) => heads.reduce((sum, line) => sum + line[key], 0);
+
+  return {
+    heads,
+    totalDue: total("due"),
+    totalPaid: total("paid"),
+    totalInQueue: total("inQueue"),
+    totalOutstanding: total("outstanding"),
+    totalRemaining: total("remaining"),
+    // Concessions and fines behind the dues above: [{ ruleId, type, label, detail, amount }]
+    appliedRules: charges?.lines ?? [],
+  };
+};
+
+// Allocations that would push a head past what is due: [{ label, excess }]
+export const findOverpayments = (ledger, allocations) =>
+  allocations
+    .map((allocation) => {
+      const line = ledger.heads.find((l) => l.id === allocation.head);
+      const remaining = line ? line.remaining : 0;
+      return { label: allocation.label, excess: toAmount(allocation.amount) - Math.max(0, remaining) };
+    })
+    .filter((item) => item.excess > 0);
+
+// Spread an amount over the heads still owed, in fee-structure order. Anything
+// left once every head is covered stays on the first head as an overpayment.
+export const allocateToHeads = (ledger, amount) => {
+  const heads = ledger.heads.filter((line) => line.id !== null);
+  if (heads.length === 0) return [];
+
+  const parts = new Map();
+  let left = amount;
+  heads.forEach((line) => {
+    const part = Math.min(left, Math.max(0, line.remaining));
+    if (part <= 0) return;
+    parts.set(line.id, part);
+    left = Math.round((left - part) * 100) / 100;
+  });
+  if (left > 0) {
+    const first = heads.find((line) => parts.has(line.id)) ?? heads[0];
+    parts.set(first.id, (parts.get(first.id) ?? 0) + left);
+  }
+
+  return heads
+    .filter((line) => parts.has(line.id))
+    .map((line) => ({ head: line.id, label: line.label, amount: String(parts.get(line.id)) }));
+};
@@ -0,0 +1,22 @@
+// 🆔 Transaction IDs: one per payment, generated once when it is queued and
+// sent unchanged on every retry so the sheet can spot a resend.
+export const createTxnId = () => {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+
+  // randomUUID is only exposed on https/localhost; the counter laptop may
+  // open the portal over plain http on the LAN, so build a v4 UUID by hand.
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// Batch IDs tag the payments queued together from one bulk list. Short enough
+// to read out and search for: "B-20261018-3F9A".
+export const createBatchId = (now = new Date()) => {
+  const day = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map((n) => String(n).padStart(2, "0")).join("");
+  return `B-${day}-${createTxnId().slice(0, 4).toUpperCase()}`;
+};
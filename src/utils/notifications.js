@@ -0,0 +1,95 @@
+import config from "../config";
+import { getMeta, setMeta } from "./db";
+import { isAdjustment } from "./adjustments";
+import { formatRupees } from "./amountInWords";
+import { createTxnId } from "./ids";
+import { getPaymentYear } from "./academicYears";
+
+// 📣 Guardian payment messages. Once a payment is recorded in the sheet, a
+// message built from the admin's template is queued for the guardian contact
+// on the student's roster record. The messages have their own queue and retry
+// schedule, so a gateway being down never holds up a payment.
+
+const SETTINGS_KEY = "notifySettings";
+
+export const NOTIFY_CHANNELS = { sms: "SMS", whatsapp: "WhatsApp", email: "Email" };
+
+// {variable} → what the template editor says it stands for
+export const TEMPLATE_VARIABLES = {
+  name: "Student name",
+  admissionNo: "Admission number",
+  class: "Class",
+  amount: "Amount paid",
+  receiptNo: "Receipt number",
+  date: "Date paid",
+  year: "Academic year",
+  school: "School name",
+};
+
+export const DEFAULT_NOTIFY_SETTINGS = {
+  enabled: false,
+  channel: "sms",
+  subject: "Fee receipt {receiptNo}",
+  template: "Dear parent, we have received {amount} towards the fees of {name} (Adm. {admissionNo}) on {date}. Receipt no. {receiptNo}. - {school}",
+  // Payments recorded before this are never messaged, so turning messages on
+  // does not send one for every payment already in the queue
+  enabledAt: null,
+};
+
+export const loadNotifySettings = async () => ({ ...DEFAULT_NOTIFY_SETTINGS, ...(await getMeta(SETTINGS_KEY)) });
+
+export const saveNotifySettings = (settings) => setMeta(SETTINGS_KEY, settings);
+
+// Fill in {variable}s; anything not in `values` is left as written
+export const renderTemplate = (template, values) =>
+  String(template ?? "").replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key] ?? "") : match));
+
+// Variables a template uses that renderTemplate would leave as written
+export const findUnknownVariables = (template) =>
+  [...String(template ?? "").matchAll(/\{(\w+)\}/g)].map((m) => m[1]).filter((key) => !(key in TEMPLATE_VARIABLES));
+
+export const getTemplateValues = (request) => ({
+  name: request.name,
+  admissionNo: request.admissionNo,
+  class: request.class,
+  amount: formatRupees(Number(request.amount) || 0),
+  receiptNo: request.receiptNo ?? "—",
+  date: new Date(request.createdAt ?? Date.now()).toLocaleDateString("en-IN"),
+  year: getPaymentYear(request),
+  school: config.schoolName,
+});
+
+// Phone for SMS and WhatsApp, email address for email
+export const getRecipient = (student, channel) =>
+  String((channel === "email" ? student?.guardianEmail : student?.guardianPhone) ?? "").trim();
+
+// A recorded payment (not a void or refund) taken after messages were turned on
+export const needsNotification = (request, settings) =>
+  request.status === "success" &&
+  !isAdjustment(request) &&
+  Boolean(settings.enabledAt) &&
+  (request.completedAt ?? 0) >= settings.enabledAt;
+
+// 📝 New message queue item for a recorded payment. Without a contact for the
+// channel it is stored as "skipped", so the admin can see who was missed.
+export const buildNotification = (request, student, settings) => {
+  const values = getTemplateValues(request);
+  const to = getRecipient(student, settings.channel);
+  const id = createTxnId();
+  return {
+    id,
+    txnId: request.txnId,
+    admissionNo: request.admissionNo,
+    name: request.name,
+    receiptNo: request.receiptNo,
+    channel: settings.channel,
+    to,
+    subject: settings.channel === "email" ? renderTemplate(settings.subject, values) : "",
+    // `message` is the queue's status line, as on payments; `text` is what is sent
+    text: renderTemplate(settings.template, values),
+    status: to ? "pending" : "skipped",
+    message: to ? "" : `No guardian ${settings.channel === "email" ? "email" : "phone"} on the roster.`,
+    attempts: 0,
+    createdAt: Date.now(),
+  };
+};
@@ -0,0 +1,41 @@
+import config from "../config";
+
+// 📣 Notifiers: how guardian messages leave the counter. Each one exposes
+// send(notice, { signal, session }) for a notice
+// { id, admissionNo, channel, to, subject, message }, resolving to { status: "success" | "error", message } and rejecting only when
+// there was no answer at all, like the payment sinks. Pick one with VITE_NOTIFIER.
+
+// Through server/proxy.js, which holds the gateway URLs and keys and only
+// sends to the guardian contact the roster has for the student
+export const createProxyNotifier = (baseUrl) => ({
+  name: "proxy",
+  send: async (notice, { signal, session } = {}) => {
+    if (!baseUrl) throw new Error("VITE_PROXY_URL is not set.");
+    const res = await fetch(`${baseUrl}/api/notify`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${session ?? ""}` },
+      body: JSON.stringify(notice),
+      signal,
+    });
+    const data = await res.json().catch(() => null);
+    return data ?? { status: "error", message: `Unexpected reply from the server (${res.status}).` };
+  },
+});
+
+// Logs each message in the browser console and keeps it in `sent`, for
+// development; nothing reaches a guardian
+export const createConsoleNotifier = () => {
+  const sent = [];
+  return {
+    name: "console",
+    sent,
+    send: async (notice) => {
+      sent.push({ ...notice, sentAt: Date.now() });
+      console.info(`[${notice.channel} → ${notice.to}] ${notice.message}`);
+      return { status: "success", message: "Logged to the console (mock)." };
+    },
+  };
+};
+
+export const getNotifier = () =>
+  config.notifier === "proxy" ? createProxyNotifier(config.proxyUrl) : createConsoleNotifier();
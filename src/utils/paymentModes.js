@@ -0,0 +1,91 @@
+// 💳 Payment modes and the extra details each one needs.
+
+export const PAYMENT_MODES = [
+  { id: "cash", label: "Cash" },
+  { id: "upi", label: "UPI" },
+  { id: "cheque", label: "Cheque" },
+  { id: "bank", label: "Bank transfer" },
+];
+
+// Cheques are only honoured for three months from their date
+const CHEQUE_VALIDITY_DAYS = 90;
+
+// UTR / RRN / UPI transaction IDs are 12–22 characters; allow some slack
+const REFERENCE_PATTERN = /^[A-Za-z0-9]{6,35}$/;
+const CHEQUE_NO_PATTERN = /^\d{6}$/;
+
+export const getModeLabel = (mode) =>
+  PAYMENT_MODES.find((m) => m.id === mode)?.label ?? "Cash";
+
+// Returns { field: message } for every problem; empty when the details are valid.
+// `details` is { mode, reference, chequeNo, bank, chequeDate }.
+export const validatePaymentDetails = (details, today = new Date()) => {
+  const errors = {};
+  const reference = (details.reference ?? "").trim();
+
+  switch (details.mode) {
+    case "upi":
+    case "bank":
+      if (!reference) errors.reference = "Transaction reference is required.";
+      else if (!REFERENCE_PATTERN.test(reference)) {
+        errors.reference = "Reference should be 6–35 letters or digits, no spaces.";
+      }
+      break;
+
+    case "cheque": {
+      if (!CHEQUE_NO_PATTERN.test((details.chequeNo ?? "").trim())) {
+        errors.chequeNo = "Cheque number must be 6 digits.";
+      }
+      if (!(details.bank ?? "").trim()) errors.bank = "Bank name is required.";
+
+      const date = details.chequeDate ? new Date(`${details.chequeDate}T00:00:00`) : null;
+      if (!date || Number.isNaN(date.getTime())) {
+        errors.chequeDate = "Cheque date is required.";
+      } else {
+        const ageDays = (today - date) / 86400000;
+        if (ageDays > CHEQUE_VALIDITY_DAYS) errors.chequeDate = "Cheque is older than three months.";
+      }
+      break;
+    }
+
+    case "cash":
+      break;
+
+    default:
+      errors.mode = "Choose a payment mode.";
+  }
+
+  return errors;
+};
+
+// Only the fields that belong to the chosen mode go into the payload
+export const toPaymentFields = (details) => {
+  switch (details.mode) {
+    case "upi":
+    case "bank":
+      return { mode: details.mode, reference: details.reference.trim() };
+    case "cheque":
+      return {
+        mode: "cheque",
+        chequeNo: details.chequeNo.trim(),
+        bank: details.bank.trim(),
+        chequeDate: details.chequeDate,
+      };
+    default:
+      return { mode: "cash" };
+  }
+};
+
+// One-line summary for the queue panel and receipts: "Cheque 123456 · SBI · 2026-10-18"
+export const describePayment = (payment) => {
+  const label = getModeLabel(payment.mode);
+  switch (payment.mode) {
+    case "upi":
+    case "bank":
+      return `${label} · Ref ${payment.reference}`;
+    case "cheque":
+      return `${label} ${payment.chequeNo} · ${payment.bank} · ${payment.chequeDate}`;
+    default:
+      return label;
+  }
+};
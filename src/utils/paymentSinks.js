@@ -0,0 +1,114 @@
+import config from "../config";
+
+// 📮 Payment sinks: where queued payments are recorded. Each one exposes
+// submit(request, { signal }), sending the request with the session token it
+// carries (`request.session`, from the cashier who took it), resolving to the sheet's reply
+//   { status: "success" | "duplicate" | "error", message, receiptNo }
+// (a duplicate also carries the `amount` recorded the first time)
+// and rejecting only when the request never got an answer (network down), so
+// the queue can tell "rejected" from "offline"; aborting `signal` rejects too.
+// fetchPayments(admissionNo, { session })
+// reads back everything recorded for a student, from any counter.
+// Pick one with VITE_PAYMENT_SINK.
+
+const postJson = async (url, body, { headers = {}, signal } = {}) => {
+  const res = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal });
+  const data = await res.json().catch(() => null);
+  if (!data) {
+    return { status: "error", message: `Unexpected reply from the server (${res.status}).` };
+  }
+  return data;
+};
+
+const getPaymentList = async (url, headers = {}) => {
+  const res = await fetch(url, { cache: "no-store", headers });
+  const data = await res.json();
+  if (data.status !== "success") {
+    throw new Error(data.message || "The sheet did not return the payments.");
+  }
+  return data.payments ?? [];
+};
+
+// Straight to the Apps Script web app. Sent as text/plain, which the script
+// accepts, so the browser skips the CORS preflight Apps Script cannot answer;
+// for the same reason the token goes in the body or the query, not a header.
+export const createAppsScriptSink = (url) => ({
+  name: "apps-script",
+  submit: (request, { signal } = {}) => {
+    if (!url) throw new Error("VITE_SHEETURL is not set.");
+    return postJson(url, request, { signal });
+  },
+  fetchPayments: (admissionNo, { session } = {}) =>
+    getPaymentList(`${url}?${new URLSearchParams({ action: "payments", admissionNo, session: session ?? "" })}`),
+});
+
+const bearer = (session) => ({ Authorization: `Bearer ${session ?? ""}` });
+
+// Through server/proxy.js, which keeps the Apps Script URL and the signing
+// secret on the server. The session token goes in the Authorization header.
+export const createProxySink = (baseUrl) => ({
+  name: "proxy",
+  submit: ({ session, ...request }, { signal } = {}) => {
+    if (!baseUrl) throw new Error("VITE_PROXY_URL is not set.");
+    return postJson(`${baseUrl}/api/payments`, request, {
+      headers: { "Content-Type": "application/json", ...bearer(session) },
+      signal,
+    });
+  },
+  fetchPayments: (admissionNo, { session } = {}) =>
+    getPaymentList(`${baseUrl}/api/payments?admissionNo=${encodeURIComponent(admissionNo)}`, bearer(session)),
+});
+
+// Records payments in memory for development and tests. Behaves like the sheet:
+// sequential receipt numbers and "duplicate" for a txnId it has already seen.
+// `failureRate` (0–1) rejects that share of payments, to exercise retries.
+export const createMockSink = ({ failureRate = 0, delayMs = 300 } = {}) => {
+  const recorded = new Map();
+  let lastReceiptNo = 0;
+
+  return {
+    name: "mock",
+    recorded,
+    submit: async (request, { signal } = {}) => {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delayMs);
+        signal?.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(new DOMException("The request was aborted.", "AbortError"));
+        });
+      });
+
+      const existing = recorded.get(request.txnId);
+      if (existing) {
+        return {
+          status: "duplicate",
+          message: "Payment already recorded (mock).",
+          receiptNo: existing.receiptNo,
+          amount: existing.amount,
+        };
+      }
+      if (Math.random() < failureRate) {
+        return { status: "error", message: "Simulated failure (mock)." };
+      }
+
+      lastReceiptNo += 1;
+      recorded.set(request.txnId, { ...request, receiptNo: lastReceiptNo, recordedAt: Date.now() });
+      return { status: "success", message: "Payment recorded (mock).", receiptNo: lastReceiptNo };
+    },
+    fetchPayments: async (admissionNo) =>
+      [...recorded.values()]
+        .filter((p) => String(p.admissionNo) === String(admissionNo))
+        .map((p) => ({ ...p, status: "success" })),
+  };
+};
+
+export const getPaymentSink = () => {
+  switch (config.paymentSink) {
+    case "proxy":
+      return createProxySink(config.proxyUrl);
+    case "mock":
+      return createMockSink({ failureRate: config.mockFailureRate });
+    default:
+      return createAppsScriptSink(config.sheetUrl);
+  }
+};
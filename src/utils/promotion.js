@@ -0,0 +1,47 @@
+import { isActive } from "./rosterEdits";
+
+// 🎓 Year-end promotion. Each class moves to the class the admin maps it to
+// (by default the next one up; the top class graduates), and single students
+// can be held back or graduated instead.
+//
+//   classMap:   { [fromClass]: toClass | GRADUATE }
+//   exceptions: { [admissionNo]: "hold" | "graduate" }
+
+export const GRADUATE = "graduate";
+
+export const PROMOTION_ACTIONS = {
+  promote: "Promote",
+  hold: "Hold back",
+  graduate: "Graduate",
+};
+
+export const buildDefaultClassMap = (classes) =>
+  Object.fromEntries(classes.map((c, i) => [c, classes[i + 1] ?? GRADUATE]));
+
+// [{ student, from, to, action }] for every active student
+export const planPromotion = (students, classMap, exceptions = {}) =>
+  students.filter(isActive).map((student) => {
+    const from = String(student.class ?? "").trim();
+    const mapped = classMap[from] ?? GRADUATE;
+    // A student with no class on record stays put until someone gives them one
+    const defaultAction = !from ? "hold" : mapped === GRADUATE ? "graduate" : "promote";
+    const action = exceptions[student.admissionNo] ?? defaultAction;
+    const to = action === "promote" ? mapped : action === "hold" ? from : null;
+    return { student, from, to, action };
+  });
+
+// The roster records to save: promoted students get their new class,
+// graduates are marked graduated, students held back are left as they are
+export const applyPromotion = (plan) =>
+  plan
+    .filter((item) => item.action !== "hold")
+    .map(({ student, to, action }) =>
+      action === "graduate" ? { ...student, status: "graduated" } : { ...student, class: to }
+    );
+
+// { promoted, held, graduated } counts
+export const summarizePromotion = (plan) => ({
+  promoted: plan.filter((item) => item.action === "promote").length,
+  held: plan.filter((item) => item.action === "hold").length,
+  graduated: plan.filter((item) => item.action === "graduate").length,
+});
@@ -0,0 +1,35 @@
+import config from "../config";
+
+// ⏳ Exponential backoff: base, 2×base, 4×base … capped at retryMaxDelayMs.
+// A little jitter keeps several failed items from all firing in the same tick.
+export const getRetryDelay = (retryNumber) => {
+  const exponential = config.retryBaseDelayMs * 2 ** Math.max(0, retryNumber - 1);
+  const jitter = Math.random() * config.retryBaseDelayMs * 0.25;
+  return Math.min(config.retryMaxDelayMs, exponential + jitter);
+};
+
+// Decide what a failed attempt turns into: another scheduled try or a hard error
+export const afterFailure = (request, errorMessage) => {
+  const autoRetries = request.autoRetries ?? 0;
+  const base = { ...request, lastError: errorMessage, message: errorMessage };
+
+  if (autoRetries < config.maxRetries) {
+    return {
+      ...base,
+      status: "pending",
+      autoRetries: autoRetries + 1,
+      nextAttemptAt: Date.now() + getRetryDelay(autoRetries + 1),
+    };
+  }
+
+  return { ...base, status: "error", nextAttemptAt: null };
+};
+
+// Manual retry from the queue panel starts a fresh round of automatic retries
+export const resetForRetry = (request) => ({
+  ...request,
+  status: "pending",
+  autoRetries: 0,
+  nextAttemptAt: null,
+  message: "Queued for retry.",
+});
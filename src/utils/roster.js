@@ -0,0 +1,126 @@
+import config from "../config";
+import { getMeta, setMeta, getAll, getAllKeys, putMany, deleteMany } from "./db";
+
+const CACHE_KEY = "roster";
+// Each version is a full copy of the roster, so only the latest are kept
+export const MAX_ROSTER_VERSIONS = 30;
+
+// Optional fee heads (bus, …) a student has opted into, as head ids. The sheet
+// and imported files hold them as text: "bus" or "bus, hostel".
+export const parseFeeHeads = (value) => {
+  const ids = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return [...new Set(ids.map((id) => String(id).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Same shape whatever the source: admissionNo and class are always strings,
+// feeHeads (left out when there are none) an array of head ids
+export const normalizeStudent = (raw) => {
+  const feeHeads = parseFeeHeads(raw.feeHeads);
+  const student = {
+    ...raw,
+    admissionNo: String(raw.admissionNo ?? "").trim(),
+    name: String(raw.name ?? "").trim(),
+    class: String(raw.class ?? "").trim(),
+    ...(raw.team ? { team: String(raw.team).trim() } : {}),
+    feeHeads,
+  };
+  if (feeHeads.length === 0) delete student.feeHeads;
+  return student;
+};
+
+// The sheet endpoint answers { status, version, students }; a static file is a bare array
+const parseRosterResponse = (body) => {
+  if (Array.isArray(body)) return { students: body, version: null };
+  if (body && Array.isArray(body.students)) return { students: body.students, version: body.version ?? null };
+  throw new Error(body?.message || "Roster response did not contain any students.");
+};
+
+// Cheap content fingerprint for sources that send neither version nor ETag
+const signatureOf = (students) => {
+  const text = JSON.stringify(students);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}:${hash >>> 0}`;
+};
+
+// 💾 Last roster that was fetched successfully: { students, version, etag, syncedAt, source }
+export const loadCachedRoster = () => getMeta(CACHE_KEY);
+
+export const saveCachedRoster = (roster) => setMeta(CACHE_KEY, roster);
+
+// 🗂️ Roster history: { id, savedAt, source, note, summary, students }.
+// Ids count up, so the oldest versions are the first keys.
+export const addRosterVersion = async (version) => {
+  await putMany("rosterVersions", [{ savedAt: Date.now(), ...version }]);
+  const ids = await getAllKeys("rosterVersions");
+  if (ids.length > MAX_ROSTER_VERSIONS) {
+    await deleteMany("rosterVersions", ids.slice(0, ids.length - MAX_ROSTER_VERSIONS));
+  }
+};
+
+export const listRosterVersions = async () =>
+  (await getAll("rosterVersions")).sort((a, b) => b.savedAt - a.savedAt);
+
+// The proxy and the sheet only send the roster, guardian contacts and all, to a
+// signed-in session: the proxy reads the token from a bearer header, the Apps
+// Script (which cannot answer a CORS preflight) from a `session` parameter.
+// A static students.json needs neither.
+const rosterAuth = () => {
+  if (config.proxyUrl && config.rosterUrl.startsWith(config.proxyUrl)) return "header";
+  if (config.sheetUrl && config.rosterUrl.startsWith(config.sheetUrl)) return "query";
+  return null;
+};
+
+export const rosterNeedsSession = () => rosterAuth() !== null;
+
+const rosterRequest = (session) => {
+  const auth = rosterAuth();
+  if (auth === "header") {
+    return [config.rosterUrl, { headers: { Authorization: `Bearer ${session ?? ""}` } }];
+  }
+  if (auth === "query") {
+    const url = new URL(config.rosterUrl, window.location.href);
+    url.searchParams.set("session", session ?? "");
+    return [url.toString(), {}];
+  }
+  return [config.rosterUrl, {}];
+};
+
+// 🌐 Fetch the roster. `cache: "no-cache"` makes the browser revalidate with the
+// ETag it holds, so an unchanged static file costs a 304 instead of a download.
+// Returns the cached copy untouched when the source has not changed (same
+// version, ETag or content), so local edits made since the last sync survive.
+export const fetchRoster = async (cached, { session } = {}) => {
+  const [url, options] = rosterRequest(session);
+  const res = await fetch(url, { ...options, cache: "no-cache" });
+  if (!res.ok) {
+    throw new Error(`Roster request failed (${res.status}).`);
+  }
+
+  const etag = res.headers.get("ETag");
+  const { students, version } = parseRosterResponse(await res.json());
+  const syncedAt = Date.now();
+
+  const normalized = students.map(normalizeStudent).filter((s) => s.admissionNo && s.name);
+  const signature = signatureOf(normalized);
+
+  const unchanged =
+    cached &&
+    ((version && version === cached.version) ||
+      (etag && etag === cached.etag) ||
+      signature === cached.signature);
+  if (unchanged) {
+    return { ...cached, syncedAt };
+  }
+
+  return {
+    students: normalized,
+    version,
+    etag,
+    signature,
+    syncedAt,
+    source: config.rosterUrl,
+  };
+};
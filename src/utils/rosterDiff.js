@@ -0,0 +1,80 @@
+import { normalizeStudent } from "./roster";
+
+// 🔀 Compare an imported roster with the one in use and merge the changes
+// the admin accepts. Students are matched on admission number.
+
+const COMPARED_FIELDS = ["name", "class", "team", "feeHeads", "category", "guardianName", "guardianPhone", "guardianEmail"];
+
+// feeHeads is a list; compared and shown as "bus, hostel"
+const clean = (value) => (Array.isArray(value) ? value.join(", ") : String(value ?? "").trim());
+
+// Only fields present in the import are compared, so a column the new file
+// does not have (or an empty cell) never wipes data from the current roster
+const fieldChanges = (before, after) =>
+  COMPARED_FIELDS.filter((field) => field in after && clean(after[field]) !== clean(before[field])).map(
+    (field) => ({ field, from: clean(before[field]), to: clean(after[field]) })
+  );
+
+// [{ id, type: "added" | "removed" | "changed", admissionNo, before, after, fields }]
+export const diffRosters = (current, incoming) => {
+  const currentByNo = new Map(current.map((s) => [String(s.admissionNo), s]));
+  const incomingByNo = new Map(incoming.map((s) => [String(s.admissionNo), s]));
+  const changes = [];
+
+  incoming.forEach((after) => {
+    const admissionNo = String(after.admissionNo);
+    const before = currentByNo.get(admissionNo);
+    if (!before) {
+      changes.push({ id: `added:${admissionNo}`, type: "added", admissionNo, before: null, after, fields: [] });
+      return;
+    }
+    const fields = fieldChanges(before, after);
+    if (fields.length > 0) {
+      changes.push({ id: `changed:${admissionNo}`, type: "changed", admissionNo, before, after, fields });
+    }
+  });
+
+  current.forEach((before) => {
+    const admissionNo = String(before.admissionNo);
+    if (!incomingByNo.has(admissionNo)) {
+      changes.push({ id: `removed:${admissionNo}`, type: "removed", admissionNo, before, after: null, fields: [] });
+    }
+  });
+
+  return changes;
+};
+
+// Apply the accepted changes (`accepted` is a Set of change ids) to the current roster.
+// A rejected change leaves that student exactly as they are now. Accepted
+// fields are copied from the import as they are (not the text `clean` shows).
+export const mergeRosters = (current, changes, accepted) => {
+  const byNo = new Map(changes.map((change) => [change.admissionNo, change]));
+  const isAccepted = (change) => change && accepted.has(change.id);
+
+  const merged = current
+    .filter((student) => {
+      const change = byNo.get(String(student.admissionNo));
+      return !(change?.type === "removed" && isAccepted(change));
+    })
+    .map((student) => {
+      const change = byNo.get(String(student.admissionNo));
+      if (change?.type !== "changed" || !isAccepted(change)) return student;
+      const updated = { ...student };
+      change.fields.forEach(({ field }) => {
+        updated[field] = change.after[field];
+      });
+      return normalizeStudent(updated);
+    });
+
+  changes
+    .filter((change) => change.type === "added" && isAccepted(change))
+    .forEach((change) => merged.push(normalizeStudent(change.after)));
+
+  return merged;
+};
+
+export const summarizeChanges = (changes) => ({
+  added: changes.filter((c) => c.type === "added").length,
+  removed: changes.filter((c) => c.type === "removed").length,
+  changed: changes.filter((c) => c.type === "changed").length,
+});
@@ -0,0 +1,138 @@
+import { getMeta, setMeta } from "./db";
+import { normalizeStudent } from "./roster";
+
+// ✏️ Students added or changed on this counter, from the Students screen, a
+// roster import or a promotion. They are kept apart from the synced roster and
+// laid over it, so the next sync from the sheet or students.json does not undo
+// a mid-year admission, a correction or an imported file. For a student the
+// sheet has, only the fields changed here are kept, and each one is dropped
+// once the sheet says the same, so later corrections in the sheet show through.
+
+const EDITS_KEY = "rosterEdits";
+
+// A student who has left keeps their record, and with it their payment history
+export const STUDENT_STATUSES = {
+  active: "Active",
+  left: "Left",
+  inactive: "Inactive",
+  graduated: "Graduated",
+};
+
+export const isActive = (student) => !student.status || student.status === "active";
+
+// { [admissionNo]: changed fields, or the whole record for a new admission }
+export const loadRosterEdits = async () => (await getMeta(EDITS_KEY)) ?? {};
+
+export const saveRosterEdits = (edits) => setMeta(EDITS_KEY, edits);
+
+// Fields compare as the roster shows them: a missing team or fee-head list is
+// the same as an empty one, and no status is "active"
+const fieldValue = (student, field) => {
+  const value = field === "status" ? student[field] ?? "active" : student[field];
+  if (value == null || value === "" || (Array.isArray(value) && value.length === 0)) return "";
+  return JSON.stringify(value);
+};
+
+// Which of `fields` differ between the synced record and `student`; one
+// `student` has cleared is kept as null, so the edit clears it too
+const changedFields = (synced, student, fields) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => field !== "updatedAt" && fieldValue(synced, field) !== fieldValue(student, field))
+      .map((field) => [field, student[field] ?? null])
+  );
+
+// The edit that turns `synced` (null for a new admission) into `student`, or
+// null when there is nothing left to keep
+export const toRosterEdit = (synced, student, now = Date.now()) => {
+  const normalized = normalizeStudent(student);
+  const fields = synced
+    ? changedFields(synced, normalized, [...new Set([...Object.keys(synced), ...Object.keys(normalized)])])
+    : normalized;
+  return Object.keys(fields).length > 0 ? { ...fields, updatedAt: now } : null;
+};
+
+const withoutTimestamp = (edit) => {
+  const fields = { ...edit };
+  delete fields.updatedAt;
+  return fields;
+};
+
+// Edits laid over the synced records with the same admission number; new
+// admissions go at the end. An edit for a student the sheet no longer has is
+// shown only if it is a whole record.
+export const applyRosterEdits = (students, edits) => {
+  const pending = new Map(Object.entries(edits));
+  const merged = students.map((student) => {
+    const edited = pending.get(student.admissionNo);
+    if (!edited) return student;
+    pending.delete(student.admissionNo);
+    return normalizeStudent({ ...student, ...withoutTimestamp(edited) });
+  });
+  const added = [...pending.values()].filter((s) => s.admissionNo && s.name && s.class);
+  return [...merged, ...added.map((s) => normalizeStudent(withoutTimestamp(s)))];
+};
+
+// Drop every edited field the synced roster now agrees with, and edits with
+// nothing left. Returns `edits` itself when nothing changed.
+export const pruneRosterEdits = (students, edits) => {
+  const syncedByNo = new Map(students.map((s) => [s.admissionNo, s]));
+  let changed = false;
+  const pruned = {};
+  Object.entries(edits).forEach(([admissionNo, edit]) => {
+    const synced = syncedByNo.get(admissionNo);
+    const fields = synced ? changedFields(synced, edit, Object.keys(edit)) : withoutTimestamp(edit);
+    if (Object.keys(fields).length === Object.keys(withoutTimestamp(edit)).length) {
+      pruned[admissionNo] = edit;
+      return;
+    }
+    changed = true;
+    if (Object.keys(fields).length > 0) pruned[admissionNo] = { ...fields, updatedAt: edit.updatedAt };
+  });
+  return changed ? pruned : edits;
+};
+
+// The edits that turn the synced roster `base` into `students` (an imported or
+// restored roster). Students it leaves out are still in the sheet, so they are
+// marked inactive rather than dropped.
+export const toRosterEdits = (base, students, now = Date.now()) => {
+  const edits = {};
+  const baseByNo = new Map(base.map((s) => [s.admissionNo, s]));
+  students.map(normalizeStudent).forEach((student) => {
+    const edit = toRosterEdit(baseByNo.get(student.admissionNo) ?? null, student, now);
+    if (edit) edits[student.admissionNo] = edit;
+  });
+  const kept = new Set(students.map((s) => String(s.admissionNo).trim()));
+  base
+    .filter((s) => !kept.has(s.admissionNo) && isActive(s))
+    .forEach((s) => {
+      edits[s.admissionNo] = { status: "inactive", updatedAt: now };
+    });
+  return edits;
+};
+
+// Returns { field: message } for every problem; empty when the record can be saved.
+// `students` is the roster in use, to keep admission numbers unique.
+export const validateStudent = (raw, students, { isNew }) => {
+  const student = normalizeStudent(raw);
+  const errors = {};
+
+  if (!student.admissionNo) errors.admissionNo = "Admission number is required.";
+  else if (!/^\d+$/.test(student.admissionNo)) errors.admissionNo = "Admission number should be digits only.";
+  else if (isNew) {
+    const taken = students.find((s) => String(s.admissionNo).trim() === student.admissionNo);
+    if (taken) errors.admissionNo = `Admission number ${student.admissionNo} already belongs to ${taken.name}.`;
+  }
+
+  if (!student.name) errors.name = "Name is required.";
+  if (!student.class) errors.class = "Class is required.";
+  if (student.guardianPhone && !/^\+?[\d\s-]{10,15}$/.test(student.guardianPhone)) {
+    errors.guardianPhone = "Phone number does not look valid.";
+  }
+  if (student.guardianEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(student.guardianEmail)) {
+    errors.guardianEmail = "Email address does not look valid.";
+  }
+  if (student.status && !STUDENT_STATUSES[student.status]) errors.status = "Choose a status.";
+
+  return errors;
+};
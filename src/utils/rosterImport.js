@@ -0,0 +1,115 @@
+import { parseFeeHeads } from './roster';
+
+// 📥 Turning an office spreadsheet into roster records.
+// The layout is not fixed: the header row is detected by matching known
+// column names, and the admin can correct both the header row and the
+// column-to-field mapping before anything is exported.
+
+export const ROSTER_FIELDS = [
+  { id: 'admissionNo', label: 'Admission No', required: true, aliases: ['ad.no.', 'ad no', 'adm no', 'admn no', 'admission no', 'admission number', 'adm. no.'] },
+  { id: 'name', label: 'Name', required: true, aliases: ['name', 'student name', 'name of student', 'name of the student'] },
+  { id: 'class', label: 'Class', required: true, aliases: ['class', 'std', 'standard', 'grade'] },
+  { id: 'team', label: 'Team', aliases: ['team', 'house'] },
+  { id: 'feeHeads', label: 'Optional fee heads', aliases: ['fee heads', 'optional heads', 'optional fee heads', 'opted heads'] },
+  { id: 'category', label: 'Category', aliases: ['category', 'concession', 'concession category', 'scholarship'] },
+  { id: 'guardianName', label: 'Guardian name', aliases: ['guardian', 'guardian name', 'parent', 'parent name', 'father name', "father's name"] },
+  { id: 'guardianPhone', label: 'Guardian phone', aliases: ['phone', 'mobile', 'mobile no', 'phone no', 'contact', 'contact no', 'guardian phone', 'parent phone'] },
+  { id: 'guardianEmail', label: 'Guardian email', aliases: ['email', 'e-mail', 'guardian email', 'parent email'] },
+];
+
+// Cell text without surrounding spaces; header text also lower-cased with
+// runs of spaces collapsed, for matching against the aliases
+export const clean = (value) => String(value ?? '').trim();
+export const normalizeHeader = (value) => clean(value).toLowerCase().replace(/\s+/g, ' ');
+
+// How many cells of a row look like a known column name
+const headerScore = (row) =>
+  ROSTER_FIELDS.filter((field) => row.some((cell) => field.aliases.includes(normalizeHeader(cell)))).length;
+
+// Index of the most header-like row among the first rows, or -1 when none
+// has at least two recognisable column names
+export const detectHeaderRow = (rows, scanLimit = 20) => {
+  let best = -1;
+  let bestScore = 1;
+  rows.slice(0, scanLimit).forEach((row, i) => {
+    const score = headerScore(row);
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// { fieldId: columnIndex } for every field whose column name we recognise
+export const autoMapColumns = (headerRow) => {
+  const mapping = {};
+  ROSTER_FIELDS.forEach((field) => {
+    const index = headerRow.findIndex((cell) => field.aliases.includes(normalizeHeader(cell)));
+    if (index >= 0) mapping[field.id] = index;
+  });
+  return mapping;
+};
+
+// Rows after the header → records; completely empty rows are dropped.
+// `rowNumber` is the 1-based row in the spreadsheet, for the report.
+export const extractStudents = (rows, headerIndex, mapping) =>
+  rows
+    .map((row, i) => ({ row, rowNumber: i + 1 }))
+    .slice(headerIndex + 1)
+    .filter(({ row }) => row.some((cell) => clean(cell) !== ''))
+    .map(({ row, rowNumber }) => {
+      const student = { rowNumber };
+      ROSTER_FIELDS.forEach((field) => {
+        const col = mapping[field.id];
+        if (col !== undefined && col !== null && col !== '') {
+          const value = clean(row[col]);
+          if (value !== '' || field.required) student[field.id] = value;
+        }
+      });
+      return student;
+    });
+
+// Problems that must be fixed before export: [{ rowNumber, field, message }]
+export const validateStudents = (students) => {
+  const issues = [];
+  const seen = new Map();
+
+  students.forEach((s) => {
+    if (!s.admissionNo) {
+      issues.push({ rowNumber: s.rowNumber, field: 'admissionNo', message: 'Missing admission number' });
+    } else if (!/^\d+$/.test(s.admissionNo)) {
+      issues.push({ rowNumber: s.rowNumber, field: 'admissionNo', message: `Admission number "${s.admissionNo}" is not numeric` });
+    } else if (seen.has(s.admissionNo)) {
+      issues.push({
+        rowNumber: s.rowNumber,
+        field: 'admissionNo',
+        message: `Duplicate admission number ${s.admissionNo} (also row ${seen.get(s.admissionNo)})`,
+      });
+    } else {
+      seen.set(s.admissionNo, s.rowNumber);
+    }
+
+    if (!s.name) issues.push({ rowNumber: s.rowNumber, field: 'name', message: 'Missing name' });
+    if (!s.class) issues.push({ rowNumber: s.rowNumber, field: 'class', message: 'Missing class' });
+    if (s.guardianPhone && !/^\+?[\d\s-]{10,15}$/.test(s.guardianPhone)) {
+      issues.push({ rowNumber: s.rowNumber, field: 'guardianPhone', message: `Phone "${s.guardianPhone}" does not look valid` });
+    }
+  });
+
+  return issues;
+};
+
+// Drop the bookkeeping row number before the records leave the importer, and
+// turn "bus, hostel" into the head ids the fee structure uses
+export const toRosterRecords = (students) =>
+  students.map((student) => {
+    const record = { ...student };
+    delete record.rowNumber;
+    if ('feeHeads' in record) {
+      const feeHeads = parseFeeHeads(record.feeHeads);
+      if (feeHeads.length > 0) record.feeHeads = feeHeads;
+      else delete record.feeHeads;
+    }
+    return record;
+  });
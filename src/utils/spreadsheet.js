@@ -0,0 +1,22 @@
+import * as XLSX from "xlsx";
+
+// 📊 Write a workbook and hand it to the browser as a download.
+// `sheets` is [{ name, rows }] where rows is an array of plain objects (keys
+// become the header row) or an array of arrays.
+export const downloadWorkbook = (fileName, sheets) => {
+  const workbook = XLSX.utils.book_new();
+
+  sheets.forEach(({ name, rows }) => {
+    const worksheet =
+      rows.length > 0 && Array.isArray(rows[0])
+        ? XLSX.utils.aoa_to_sheet(rows)
+        : XLSX.utils.json_to_sheet(rows);
+    // Sheet names are limited to 31 characters and must be unique
+    XLSX.utils.book_append_sheet(workbook, worksheet, name.slice(0, 31));
+  });
+
+  XLSX.writeFile(workbook, fileName);
+};
+
+// CSV text for an array of plain objects, quoted the way Excel expects
+export const rowsToCsv = (rows) => XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows));
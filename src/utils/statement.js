@@ -0,0 +1,49 @@
+import { buildLedger } from "./feeRules";
+import { getAdjustments, isAdjustment } from "./adjustments";
+
+// 📄 Per-student statement: every payment, void and refund with the balance
+// left after each one.
+
+// Combine this counter's queue with what the sheet holds (payments taken on
+// other counters). The local copy keeps its head ids and status details, but
+// anything the sheet has is recorded, whatever the local status says.
+export const mergePaymentHistory = (local, remote = []) => {
+  const byTxn = new Map(remote.map((payment) => [payment.txnId, payment]));
+  local.forEach((payment) => {
+    const recorded = byTxn.get(payment.txnId);
+    byTxn.set(
+      payment.txnId,
+      recorded
+        ? { ...recorded, ...payment, status: "success", receiptNo: payment.receiptNo ?? recorded.receiptNo }
+        : payment
+    );
+  });
+  return [...byTxn.values()].sort((a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0));
+};
+
+// lines: recorded entries oldest first, each with the balance after it;
+// unrecorded: queued, failed or cancelled ones, which do not move the balance.
+// The year's dues are after concessions and any late fees charged so far.
+export const buildStatement = (structure, rules, student, payments) => {
+  const own = payments.filter((p) => String(p.admissionNo) === String(student.admissionNo));
+  const adjustments = getAdjustments(own);
+  const { totalDue, appliedRules } = buildLedger(structure, rules, student, own);
+
+  let balance = totalDue;
+  const lines = own
+    .filter((p) => p.status === "success")
+    .map((payment) => {
+      balance -= Number(payment.amount) || 0;
+      const voidEntry = isAdjustment(payment) ? null : adjustments.get(payment.txnId)?.voidEntry;
+      return { ...payment, balance, voided: voidEntry?.status === "success" };
+    });
+
+  return {
+    totalDue,
+    appliedRules,
+    totalPaid: totalDue - balance,
+    balance,
+    lines,
+    unrecorded: own.filter((p) => p.status !== "success"),
+  };
+};
@@ -0,0 +1,115 @@
+// 🔎 Student typeahead search over the roster.
+// Matches partial admission numbers and case/diacritic-insensitive, typo
+// tolerant name fragments: "subhan" finds "mohammed Subhan K R".
+// The index is built once per roster so each keystroke is a single linear
+// pass over pre-normalised strings, fast enough for several thousand students.
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+export const normalize = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+export const buildSearchIndex = (students) =>
+  students.map((student) => {
+    const name = normalize(student.name);
+    return {
+      student,
+      admissionNo: String(student.admissionNo).trim().toLowerCase(),
+      className: String(student.class ?? "").trim(),
+      name,
+      tokens: name.split(" ").filter(Boolean),
+    };
+  });
+
+// Levenshtein distance with an early exit once `max` is exceeded
+const withinDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+};
+
+// Score one query word against a name; 0 means no match
+const scoreToken = (queryToken, entry) => {
+  let best = 0;
+  for (const token of entry.tokens) {
+    if (token === queryToken) return 40;
+    if (token.startsWith(queryToken)) best = Math.max(best, 30);
+    else if (token.includes(queryToken)) best = Math.max(best, 20);
+    else if (queryToken.length >= 4) {
+      // Allow one typo in short words, two in long ones, on the word or its prefix
+      const max = queryToken.length >= 7 ? 2 : 1;
+      const prefix = token.slice(0, queryToken.length);
+      if (withinDistance(queryToken, token, max) || withinDistance(queryToken, prefix, max)) {
+        best = Math.max(best, 10);
+      }
+    }
+  }
+  return best;
+};
+
+const scoreEntry = (entry, query, queryTokens) => {
+  // Admission numbers: exact beats prefix beats anywhere
+  let admissionScore = 0;
+  if (entry.admissionNo === query) admissionScore = 1000;
+  else if (entry.admissionNo.startsWith(query)) admissionScore = 500;
+  else if (entry.admissionNo.includes(query)) admissionScore = 200;
+
+  // Names: every query word has to match some word of the name
+  let nameScore = 0;
+  if (entry.name.startsWith(query)) nameScore += 50;
+  for (const queryToken of queryTokens) {
+    const tokenScore = scoreToken(queryToken, entry);
+    if (tokenScore === 0) {
+      nameScore = 0;
+      break;
+    }
+    nameScore += tokenScore;
+  }
+
+  return Math.max(admissionScore, nameScore);
+};
+
+export const searchStudents = (index, rawQuery, { classFilter = "", limit = 20 } = {}) => {
+  const query = normalize(rawQuery);
+  const inClass = (entry) => !classFilter || entry.className === classFilter;
+
+  // No query but a class picked: list the class in roster order
+  if (!query) {
+    return classFilter ? index.filter(inClass).slice(0, limit).map((entry) => entry.student) : [];
+  }
+
+  const queryTokens = query.split(" ");
+  const matches = [];
+  for (const entry of index) {
+    if (!inClass(entry)) continue;
+    const score = scoreEntry(entry, query, queryTokens);
+    if (score > 0) matches.push({ entry, score });
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+    .slice(0, limit)
+    .map(({ entry }) => entry.student);
+};
+
+// Distinct classes in natural order: 1, 2, … 10 rather than 1, 10, 2
+export const listClasses = (students) =>
+  [...new Set(students.map((s) => String(s.class ?? "").trim()).filter(Boolean))].sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true })
+  );